@@ -0,0 +1,66 @@
+/**
+ * FIXTURE SITE SERVER
+ * Serves a site from disk so the audit can run offline:
+ *
+ *   node audit/fixture-server.js audit/fixtures/site 8088
+ *   node index.js audit http://localhost:8088
+ *
+ * {{origin}} in served files is replaced with the server's origin, and
+ * _redirects.json ({ "/from": "/to" }) adds 301 redirects.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.xml': 'application/xml',
+  '.txt': 'text/plain; charset=utf-8',
+  '.json': 'application/json',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.jpg': 'image/jpeg',
+  '.css': 'text/css'
+};
+
+const TEMPLATED = ['.html', '.xml', '.txt'];
+
+function createFixtureServer(root) {
+  root = path.resolve(root);
+  const redirectsFile = path.join(root, '_redirects.json');
+  const redirects = fs.existsSync(redirectsFile) ? JSON.parse(fs.readFileSync(redirectsFile, 'utf8')) : {};
+
+  return http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (redirects[pathname]) {
+      res.writeHead(301, { Location: redirects[pathname] });
+      return res.end();
+    }
+
+    const relative = pathname.endsWith('/') ? `${pathname}index.html` : pathname;
+    const file = path.join(root, path.normalize(relative).replace(/^(\.\.[/\\])+/, ''));
+    if (!file.startsWith(root) || !fs.existsSync(file) || !fs.statSync(file).isFile() || path.basename(file).startsWith('_')) {
+      res.writeHead(404, { 'Content-Type': 'text/html; charset=utf-8' });
+      return res.end('<h1>Not found</h1>');
+    }
+
+    const ext = path.extname(file).toLowerCase();
+    let body = fs.readFileSync(file);
+    if (TEMPLATED.includes(ext)) {
+      body = Buffer.from(body.toString('utf8').replace(/\{\{origin\}\}/g, `http://${req.headers.host}`));
+    }
+
+    res.writeHead(200, { 'Content-Type': TYPES[ext] || 'application/octet-stream', 'Content-Length': body.length });
+    res.end(req.method === 'HEAD' ? undefined : body);
+  });
+}
+
+module.exports = { createFixtureServer };
+
+if (require.main === module) {
+  const root = path.resolve(process.argv[2] || path.join(__dirname, 'fixtures/site'));
+  const port = parseInt(process.argv[3], 10) || 8088;
+  createFixtureServer(root).listen(port, () => console.log(`🧪 Serving ${root} on :${port}`));
+}
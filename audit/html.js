@@ -0,0 +1,110 @@
+/**
+ * HTML EXTRACTION
+ * Just enough parsing for an SEO audit - tags and attributes by regex, no DOM
+ */
+
+// Attributes of one tag: '<a href="x" rel=nofollow>' -> { href: 'x', rel: 'nofollow' }
+function parseAttributes(tag) {
+  const attrs = {};
+  const pattern = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  const body = tag.replace(/^<\s*[^\s>/]+/, '').replace(/\/?>$/, '');
+  let match;
+  while ((match = pattern.exec(body))) {
+    attrs[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return attrs;
+}
+
+// All opening tags of a name, as attribute objects
+function findTags(html, name) {
+  return (html.match(new RegExp(`<${name}\\b[^>]*>`, 'gi')) || []).map(parseAttributes);
+}
+
+// Text content of every <name>...</name>
+function findText(html, name) {
+  const pattern = new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)<\\/${name}>`, 'gi');
+  const results = [];
+  let match;
+  while ((match = pattern.exec(html))) {
+    results.push(stripTags(match[1]));
+  }
+  return results;
+}
+
+function stripTags(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&#(\d+);/g, (m, code) => String.fromCharCode(parseInt(code, 10)));
+}
+
+// Everything the audit checks on one page
+function extractPage(html, pageUrl) {
+  const withoutScripts = html.replace(/<script\b[\s\S]*?<\/script>/gi, '').replace(/<style\b[\s\S]*?<\/style>/gi, '');
+  const meta = findTags(html, 'meta');
+  const metaContent = name => {
+    const tag = meta.find(m => (m.name || m.property || '').toLowerCase() === name);
+    return tag ? tag.content || '' : null;
+  };
+
+  const canonicalTag = findTags(html, 'link').find(l => (l.rel || '').toLowerCase().split(/\s+/).includes('canonical'));
+
+  const links = findTags(withoutScripts, 'a')
+    .filter(a => a.href)
+    .map(a => ({ href: a.href, url: resolve(a.href, pageUrl), nofollow: /nofollow/i.test(a.rel || '') }))
+    .filter(a => a.url && /^https?:/.test(a.url));
+
+  const images = findTags(withoutScripts, 'img').map(img => ({
+    src: img.src ? resolve(img.src, pageUrl) : null,
+    alt: img.alt === undefined ? null : img.alt
+  }));
+
+  const jsonLd = [];
+  const jsonLdPattern = /<script\b[^>]*type\s*=\s*["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  let match;
+  while ((match = jsonLdPattern.exec(html))) {
+    try {
+      jsonLd.push({ valid: true, data: JSON.parse(match[1]) });
+    } catch (e) {
+      jsonLd.push({ valid: false, error: e.message });
+    }
+  }
+
+  const titles = findText(html, 'title');
+
+  return {
+    title: titles.length ? titles[0] : null,
+    titleCount: titles.length,
+    description: metaContent('description'),
+    robots: metaContent('robots'),
+    viewport: metaContent('viewport'),
+    h1: findText(withoutScripts, 'h1'),
+    canonical: canonicalTag && canonicalTag.href ? resolve(canonicalTag.href, pageUrl) : null,
+    lang: (findTags(html, 'html')[0] || {}).lang || null,
+    links,
+    images,
+    jsonLd,
+    microdata: /\bitemtype\s*=/i.test(html),
+    wordCount: stripTags(withoutScripts).split(' ').filter(Boolean).length
+  };
+}
+
+function resolve(href, base) {
+  try {
+    const url = new URL(href, base);
+    url.hash = '';
+    return url.toString();
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = { extractPage, parseAttributes, findTags, findText, stripTags, decodeEntities, resolve };
@@ -0,0 +1,511 @@
+/**
+ * SEO AUDIT ENGINE
+ * Crawls a site's internal pages and checks title/meta/H1, canonical,
+ * robots.txt, sitemap.xml, broken links, image alt text, page weight,
+ * redirect chains and structured data. Produces a weighted 0-100 score and
+ * an issue list for AICore.generateAuditReport.
+ */
+
+const dns = require('dns');
+const net = require('net');
+const { extractPage, decodeEntities, resolve } = require('./html');
+
+// Category weights for the overall score (sum = 100)
+const CATEGORIES = {
+  meta: { label: 'Titles & meta tags', weight: 25 },
+  crawlability: { label: 'Crawlability', weight: 20 },
+  links: { label: 'Links', weight: 20 },
+  images: { label: 'Images', weight: 10 },
+  performance: { label: 'Page weight & mobile', weight: 10 },
+  redirects: { label: 'Redirects', weight: 5 },
+  structuredData: { label: 'Structured data', weight: 10 }
+};
+
+const SEVERITY_PENALTY = { critical: 40, warning: 15, notice: 5 };
+
+const ISSUES = {
+  missing_title: { category: 'meta', severity: 'critical', message: 'Pages without a <title>' },
+  title_length: { category: 'meta', severity: 'notice', message: 'Titles shorter than 10 or longer than 60 characters' },
+  duplicate_title: { category: 'meta', severity: 'warning', message: 'Several pages share the same title' },
+  missing_description: { category: 'meta', severity: 'warning', message: 'Pages without a meta description' },
+  description_length: { category: 'meta', severity: 'notice', message: 'Meta descriptions shorter than 50 or longer than 160 characters' },
+  duplicate_description: { category: 'meta', severity: 'notice', message: 'Several pages share the same meta description' },
+  missing_h1: { category: 'meta', severity: 'warning', message: 'Pages without an <h1>' },
+  multiple_h1: { category: 'meta', severity: 'notice', message: 'Pages with more than one <h1>' },
+  noindex: { category: 'crawlability', severity: 'critical', message: 'Pages marked noindex' },
+  missing_robots: { category: 'crawlability', severity: 'warning', message: 'No robots.txt' },
+  robots_blocks_all: { category: 'crawlability', severity: 'critical', message: 'robots.txt blocks all crawlers from the whole site' },
+  missing_sitemap: { category: 'crawlability', severity: 'warning', message: 'No sitemap.xml' },
+  invalid_sitemap: { category: 'crawlability', severity: 'warning', message: 'sitemap.xml has no <loc> entries' },
+  sitemap_not_in_robots: { category: 'crawlability', severity: 'notice', message: 'robots.txt does not reference the sitemap' },
+  missing_canonical: { category: 'crawlability', severity: 'notice', message: 'Pages without a canonical URL' },
+  canonical_other_host: { category: 'crawlability', severity: 'warning', message: 'Canonical URLs pointing at another host' },
+  broken_internal_link: { category: 'links', severity: 'critical', message: 'Internal links returning errors' },
+  broken_external_link: { category: 'links', severity: 'warning', message: 'External links returning errors' },
+  missing_alt: { category: 'images', severity: 'warning', message: 'Images without alt text' },
+  broken_image: { category: 'images', severity: 'warning', message: 'Images that fail to load' },
+  heavy_page: { category: 'performance', severity: 'warning', message: 'HTML documents over 500 KB' },
+  slow_response: { category: 'performance', severity: 'notice', message: 'Pages taking over 2 seconds to respond' },
+  missing_viewport: { category: 'performance', severity: 'warning', message: 'Pages without a mobile viewport meta tag' },
+  redirect_chain: { category: 'redirects', severity: 'warning', message: 'Redirect chains (more than one hop)' },
+  redirect_loop: { category: 'redirects', severity: 'critical', message: 'Redirect loops or too many redirects' },
+  missing_structured_data: { category: 'structuredData', severity: 'warning', message: 'No structured data (JSON-LD or microdata) on the site' },
+  invalid_json_ld: { category: 'structuredData', severity: 'warning', message: 'JSON-LD blocks that fail to parse' }
+};
+
+const HEAVY_PAGE_BYTES = 500 * 1024;
+const SLOW_RESPONSE_MS = 2000;
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+// Addresses the crawler never fetches: the URL comes from the customer, the results are emailed back
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+class SEOAuditor {
+  constructor(options = {}) {
+    this.maxPages = options.maxPages || 25;
+    this.maxLinkChecks = options.maxLinkChecks || 40;
+    this.maxRedirects = options.maxRedirects || 5;
+    this.timeoutMs = options.timeoutMs || 10000;
+    this.userAgent = options.userAgent || 'AuditIQsBot/1.0 (+https://auditiqs.com/bot)';
+    this.allowPrivateHosts = options.allowPrivateHosts !== undefined ? options.allowPrivateHosts : process.env.AUDIT_ALLOW_PRIVATE_HOSTS === 'true'; // local fixtures only
+  }
+
+  // ==================== AUDIT ====================
+
+  async audit(website) {
+    let start = normalizeStart(website);
+    if (!start) return unreachable(website, String(website || ''), 'not a valid website address');
+    
+    let home = await this.fetchUrl(start);
+
+    // No scheme given and no HTTPS - try plain HTTP before giving up
+    if (home.error && !/^https?:\/\//i.test(String(website).trim())) {
+      start = start.replace(/^https:/, 'http:');
+      home = await this.fetchUrl(start);
+    }
+
+    if (home.error || home.status >= 400) {
+      return unreachable(website, start, home.error || `HTTP ${home.status}`);
+    }
+
+    const origin = new URL(home.finalUrl).origin;
+    const robots = await this.checkRobots(origin);
+    const sitemap = await this.checkSitemap(origin, robots);
+    const pages = await this.crawl(home, origin, sitemap.urls);
+    const linkStatus = await this.checkLinks(pages, origin);
+
+    const issues = this.evaluate({ pages, origin, robots, sitemap, linkStatus });
+    const { score, categories } = scoreIssues(issues);
+
+    return {
+      website,
+      finalUrl: home.finalUrl,
+      auditedAt: new Date().toISOString(),
+      score,
+      grade: grade(score),
+      categories,
+      issues,
+      pages: pages.map(p => ({
+        url: p.url,
+        status: p.status,
+        title: p.page ? p.page.title : null,
+        description: p.page ? p.page.description : null,
+        h1: p.page ? p.page.h1 : [],
+        bytes: p.bytes,
+        responseMs: p.responseMs,
+        redirects: p.redirects.length
+      })),
+      robots: { found: robots.found, blocksAll: robots.blocksAll, sitemaps: robots.sitemaps },
+      sitemap: { found: sitemap.found, url: sitemap.url, urls: sitemap.urls.length },
+      stats: {
+        pagesCrawled: pages.length,
+        linksChecked: linkStatus.size,
+        brokenLinks: [...linkStatus.values()].filter(s => s.broken).length,
+        images: pages.reduce((sum, p) => sum + (p.page ? p.page.images.length : 0), 0)
+      }
+    };
+  }
+
+  // Breadth-first crawl of same-origin HTML pages (links + sitemap URLs)
+  async crawl(home, origin, sitemapUrls = []) {
+    const pages = [];
+    const seen = new Set([home.finalUrl, home.url]);
+    const queue = [];
+
+    const visit = response => {
+      const isHtml = /text\/html|application\/xhtml/i.test(response.headers['content-type'] || '');
+      const page = isHtml && response.status < 400 ? extractPage(response.body, response.finalUrl) : null;
+      pages.push({ ...response, page });
+
+      if (page && !/nofollow/i.test(page.robots || '')) {
+        page.links.forEach(l => enqueue(l.url));
+      }
+    };
+
+    const enqueue = url => {
+      if (!url || seen.has(url) || new URL(url).origin !== origin || !looksLikePage(url)) return;
+      seen.add(url);
+      queue.push(url);
+    };
+
+    visit(home);
+    sitemapUrls.forEach(enqueue);
+
+    while (queue.length > 0 && pages.length < this.maxPages) {
+      const url = queue.shift();
+      const response = await this.fetchUrl(url);
+      if (response.finalUrl !== url && seen.has(response.finalUrl) && response.redirects.length > 0) {
+        // Redirect to a page we already have - keep the hop for redirect checks only
+        pages.push({ ...response, page: null, duplicateOf: response.finalUrl });
+        continue;
+      }
+      seen.add(response.finalUrl);
+      visit(response);
+    }
+
+    return pages;
+  }
+
+  // ==================== SITE FILES ====================
+
+  async checkRobots(origin) {
+    const response = await this.fetchUrl(`${origin}/robots.txt`);
+    if (response.error || response.status >= 400) return { found: false, blocksAll: false, sitemaps: [] };
+
+    const lines = response.body.split(/\r?\n/).map(l => l.replace(/#.*$/, '').trim()).filter(Boolean);
+    const sitemaps = lines.filter(l => /^sitemap:/i.test(l)).map(l => l.replace(/^sitemap:\s*/i, ''));
+
+    // Disallow: / inside a "User-agent: *" group
+    let inWildcard = false;
+    let blocksAll = false;
+    let previousWasAgent = false;
+    for (const line of lines) {
+      const [field, ...rest] = line.split(':');
+      const value = rest.join(':').trim();
+      const key = field.trim().toLowerCase();
+
+      if (key === 'user-agent') {
+        inWildcard = previousWasAgent ? inWildcard || value === '*' : value === '*';
+        previousWasAgent = true;
+        continue;
+      }
+      previousWasAgent = false;
+      if (inWildcard && key === 'disallow' && value === '/') blocksAll = true;
+    }
+
+    return { found: true, blocksAll, sitemaps };
+  }
+
+  async checkSitemap(origin, robots) {
+    const candidates = [...robots.sitemaps, `${origin}/sitemap.xml`];
+
+    for (const url of candidates) {
+      const response = await this.fetchUrl(url);
+      if (response.error || response.status >= 400) continue;
+
+      // Entries are entity-encoded and may be relative; ones that don't parse as URLs are dropped
+      const urls = (response.body.match(/<loc>\s*([^<]+?)\s*<\/loc>/gi) || [])
+        .map(loc => resolve(decodeEntities(loc.replace(/<\/?loc>/gi, '').trim()), origin))
+        .filter(Boolean);
+      return { found: true, url: response.finalUrl, valid: urls.length > 0, urls };
+    }
+
+    return { found: false, url: null, valid: false, urls: [] };
+  }
+
+  // ==================== LINKS ====================
+
+  // Status of every linked URL and image: crawled pages are known, the rest get a HEAD request
+  async checkLinks(pages, origin) {
+    const status = new Map();
+    pages.forEach(p => {
+      const known = { status: p.status, broken: Boolean(p.error || p.redirectError) || p.status >= 400, internal: true };
+      status.set(p.url, known);
+      status.set(p.finalUrl, known);
+    });
+
+    const targets = new Set();
+    pages.forEach(p => {
+      if (!p.page) return;
+      p.page.links.forEach(l => targets.add(l.url));
+      p.page.images.forEach(i => i.src && targets.add(i.src));
+    });
+
+    // Internal targets first - they matter most and are cheapest to check
+    const unchecked = [...targets]
+      .filter(url => !status.has(url))
+      .sort((a, b) => (new URL(b).origin === origin) - (new URL(a).origin === origin))
+      .slice(0, this.maxLinkChecks);
+
+    for (const url of unchecked) {
+      let response = await this.fetchUrl(url, { method: 'HEAD' });
+      // Plenty of servers reject HEAD - confirm with GET before calling a link broken
+      if (response.error || response.status >= 400) response = await this.fetchUrl(url);
+      status.set(url, {
+        status: response.status,
+        broken: Boolean(response.error) || response.status >= 400,
+        internal: new URL(url).origin === origin,
+        error: response.error
+      });
+    }
+
+    return status;
+  }
+
+  // ==================== CHECKS ====================
+
+  evaluate({ pages, origin, robots, sitemap, linkStatus }) {
+    const found = {};
+    const add = (code, url) => {
+      if (!found[code]) found[code] = new Set();
+      if (url) found[code].add(url);
+    };
+
+    const htmlPages = pages.filter(p => p.page);
+
+    // Site files
+    if (!robots.found) add('missing_robots');
+    if (robots.blocksAll) add('robots_blocks_all');
+    if (!sitemap.found) add('missing_sitemap');
+    else if (!sitemap.valid) add('invalid_sitemap', sitemap.url);
+    if (robots.found && sitemap.found && robots.sitemaps.length === 0) add('sitemap_not_in_robots');
+
+    // Per page
+    for (const { url, page, bytes, responseMs } of htmlPages) {
+      if (!page.title) add('missing_title', url);
+      else if (page.title.length < 10 || page.title.length > 60) add('title_length', url);
+
+      if (!page.description) add('missing_description', url);
+      else if (page.description.length < 50 || page.description.length > 160) add('description_length', url);
+
+      if (page.h1.length === 0) add('missing_h1', url);
+      if (page.h1.length > 1) add('multiple_h1', url);
+
+      if (/noindex/i.test(page.robots || '')) add('noindex', url);
+      if (!page.canonical) add('missing_canonical', url);
+      else if (new URL(page.canonical).host !== new URL(origin).host) add('canonical_other_host', url);
+
+      page.images.filter(i => !i.alt || !i.alt.trim()).forEach(i => add('missing_alt', `${url} → ${i.src}`));
+      if (bytes > HEAVY_PAGE_BYTES) add('heavy_page', url);
+      if (responseMs > SLOW_RESPONSE_MS) add('slow_response', url);
+      if (!page.viewport) add('missing_viewport', url);
+
+      page.jsonLd.filter(j => !j.valid).forEach(() => add('invalid_json_ld', url));
+
+      // Broken links and images on this page
+      page.links.forEach(l => {
+        const s = linkStatus.get(l.url);
+        if (s && s.broken) add(s.internal ? 'broken_internal_link' : 'broken_external_link', `${url} → ${l.url}`);
+      });
+      page.images.forEach(i => {
+        const s = i.src && linkStatus.get(i.src);
+        if (s && s.broken) add('broken_image', `${url} → ${i.src}`);
+      });
+    }
+
+    findDuplicates(htmlPages, p => p.page.title).forEach(url => add('duplicate_title', url));
+    findDuplicates(htmlPages, p => p.page.description).forEach(url => add('duplicate_description', url));
+
+    if (htmlPages.length > 0 && !htmlPages.some(p => p.page.jsonLd.some(j => j.valid) || p.page.microdata)) {
+      add('missing_structured_data');
+    }
+
+    // Redirects
+    pages.forEach(p => {
+      if (p.redirectError) add('redirect_loop', p.url);
+      else if (p.redirects.length > 1) add('redirect_chain', [p.url, ...p.redirects.map(r => r.location)].join(' → '));
+    });
+
+    return Object.entries(found).map(([code, urls]) => ({
+      code,
+      ...ISSUES[code],
+      count: urls.size || 1,
+      urls: [...urls].slice(0, 10)
+    })).sort((a, b) => SEVERITY_PENALTY[b.severity] - SEVERITY_PENALTY[a.severity]);
+  }
+
+  // ==================== HTTP ====================
+
+  // Follow redirects by hand so every hop is recorded
+  async fetchUrl(url, { method = 'GET' } = {}) {
+    const redirects = [];
+    const started = Date.now();
+    let current = url;
+
+    for (let hop = 0; hop <= this.maxRedirects; hop++) {
+      // Every hop, so a public site can't redirect the crawler inwards
+      const blocked = await this.checkHost(current);
+      if (blocked) {
+        return { url, finalUrl: current, status: 0, headers: {}, body: '', bytes: 0, redirects, responseMs: Date.now() - started, error: blocked };
+      }
+      
+      let response;
+      try {
+        response = await fetch(current, {
+          method,
+          redirect: 'manual',
+          headers: { 'User-Agent': this.userAgent, Accept: 'text/html,application/xhtml+xml,*/*;q=0.8' },
+          signal: AbortSignal.timeout(this.timeoutMs)
+        });
+      } catch (e) {
+        return { url, finalUrl: current, status: 0, headers: {}, body: '', bytes: 0, redirects, responseMs: Date.now() - started, error: e.cause ? e.cause.code || e.message : e.message };
+      }
+
+      const location = response.headers.get('location');
+      if (response.status >= 300 && response.status < 400 && location) {
+        const next = new URL(location, current).toString();
+        redirects.push({ from: current, status: response.status, location: next });
+        if (redirects.some(r => r.from === next)) {
+          return { url, finalUrl: next, status: response.status, headers: {}, body: '', bytes: 0, redirects, responseMs: Date.now() - started, redirectError: 'loop' };
+        }
+        current = next;
+        continue;
+      }
+
+      // A timeout or reset mid-body is an unreachable page, not a failed audit
+      let body;
+      try {
+        body = method === 'HEAD' ? { buffer: Buffer.alloc(0), bytes: 0 } : await readBody(response);
+      } catch (e) {
+        return { url, finalUrl: current, status: 0, headers: {}, body: '', bytes: 0, redirects, responseMs: Date.now() - started, error: e.cause ? e.cause.code || e.message : e.message };
+      }
+      const { buffer, bytes } = body;
+      return {
+        url,
+        finalUrl: current,
+        status: response.status,
+        headers: Object.fromEntries(response.headers.entries()),
+        body: buffer.toString('utf8'),
+        bytes,
+        redirects,
+        responseMs: Date.now() - started
+      };
+    }
+
+    return { url, finalUrl: current, status: 0, headers: {}, body: '', bytes: 0, redirects, responseMs: Date.now() - started, redirectError: 'too_many_redirects' };
+  }
+
+  // Reason to refuse a URL (non-HTTP, or a host that resolves to a loopback/private/link-local address), else null
+  async checkHost(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      return 'invalid_url';
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) return 'unsupported_protocol';
+    if (this.allowPrivateHosts) return null;
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+      addresses = net.isIP(host) ? [{ address: host, family: net.isIP(host) }] : await dns.promises.lookup(host, { all: true });
+    } catch (e) {
+      return e.code || 'dns_error';
+    }
+
+    return addresses.some(a => isBlockedAddress(a.address, a.family)) ? 'blocked_host' : null;
+  }
+}
+
+// ==================== SCORING ====================
+
+// Each issue costs its severity penalty (x1.5 when it is widespread); categories are weighted into 0-100
+function scoreIssues(issues) {
+  const categories = {};
+  Object.entries(CATEGORIES).forEach(([name, { label, weight }]) => {
+    categories[name] = { label, weight, score: 100, issues: 0 };
+  });
+
+  issues.forEach(issue => {
+    const category = categories[issue.category];
+    const penalty = SEVERITY_PENALTY[issue.severity] * (issue.count >= 5 ? 1.5 : 1);
+    category.score = Math.max(0, category.score - penalty);
+    category.issues++;
+  });
+
+  const totalWeight = Object.values(CATEGORIES).reduce((sum, c) => sum + c.weight, 0);
+  const score = Object.values(categories).reduce((sum, c) => sum + c.score * c.weight, 0) / totalWeight;
+
+  return { score: Math.round(score), categories };
+}
+
+function grade(score) {
+  return score >= 90 ? 'A' : score >= 80 ? 'B' : score >= 65 ? 'C' : score >= 50 ? 'D' : 'F';
+}
+
+// URLs of pages whose key() value is shared with another page
+function findDuplicates(pages, key) {
+  const byValue = {};
+  pages.forEach(p => {
+    const value = key(p);
+    if (!value) return;
+    (byValue[value] = byValue[value] || []).push(p.url);
+  });
+  return Object.values(byValue).filter(urls => urls.length > 1).flat();
+}
+
+// Customer-typed website -> absolute URL, or null if it isn't one
+function normalizeStart(website) {
+  const value = String(website || '').trim();
+  let url;
+  try {
+    url = new URL(/^https?:\/\//i.test(value) ? value : `https://${value}`);
+  } catch (e) {
+    return null;
+  }
+  url.hash = '';
+  return url.toString();
+}
+
+// Zero-score result for a site that couldn't be audited
+function unreachable(website, start, reason) {
+  const issue = { code: 'unreachable', category: 'links', severity: 'critical', message: `Site could not be loaded (${reason})`, urls: [start], count: 1 };
+  return { website, finalUrl: start, auditedAt: new Date().toISOString(), score: 0, grade: 'F', categories: {}, issues: [issue], pages: [], robots: null, sitemap: null, stats: { pagesCrawled: 0 } };
+}
+
+// IPv4-mapped IPv6 addresses are checked as IPv4
+function isBlockedAddress(address, family) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Stream the body, keeping at most MAX_BODY_BYTES; bytes is the full size when the server says it
+async function readBody(response) {
+  const chunks = [];
+  let kept = 0;
+  let truncated = false;
+
+  if (response.body) {
+    const reader = response.body.getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      const chunk = Buffer.from(value);
+      chunks.push(chunk.subarray(0, MAX_BODY_BYTES - kept));
+      kept += Math.min(chunk.length, MAX_BODY_BYTES - kept);
+      if (kept >= MAX_BODY_BYTES) {
+        truncated = true;
+        await reader.cancel().catch(() => {});
+        break;
+      }
+    }
+  }
+
+  const declared = parseInt(response.headers.get('content-length'), 10) || 0;
+  return { buffer: Buffer.concat(chunks), bytes: truncated ? Math.max(kept, declared) : kept };
+}
+
+// Skip obvious non-HTML resources when crawling
+function looksLikePage(url) {
+  return !/\.(png|jpe?g|gif|svg|webp|ico|css|js|pdf|zip|xml|txt|mp4|mp3|woff2?)$/i.test(new URL(url).pathname);
+}
+
+module.exports = { SEOAuditor, scoreIssues, CATEGORIES, ISSUES };
@@ -0,0 +1,266 @@
+/**
+ * COMPETITOR INTELLIGENCE
+ * Fetches the public pages of a customer's site and its competitors
+ * (home, pricing, top navigation pages), extracts meta/keywords, headings,
+ * prices and tech fingerprints, and diffs them against the last snapshot.
+ * Snapshots are kept per domain under data/competitor_snapshots/.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { SEOAuditor } = require('../audit');
+const { extractPage, findText, stripTags } = require('../audit/html');
+const { readJSON, writeJSON } = require('../storage');
+
+const MAX_SNAPSHOTS = 10;
+const PRICING_PATHS = ['/pricing', '/plans', '/prices', '/pricing.html', '/plans.html'];
+const PRICING_LINK = /pric|plans?\b|packages|rates/i;
+
+// [name, test(html, headers)] - first match per name wins
+const FINGERPRINTS = [
+  ['WordPress', html => /wp-content|wp-includes/i.test(html)],
+  ['Shopify', html => /cdn\.shopify\.com|Shopify\.theme/i.test(html)],
+  ['Wix', html => /static\.wixstatic\.com|wix-code/i.test(html)],
+  ['Squarespace', html => /squarespace\.com|static1\.squarespace/i.test(html)],
+  ['Webflow', html => /webflow\.(js|css|com)|data-wf-page/i.test(html)],
+  ['Next.js', html => /__NEXT_DATA__|\/_next\/static/i.test(html)],
+  ['Gatsby', html => /___gatsby/i.test(html)],
+  ['React', html => /data-reactroot|react(\.production)?\.min\.js/i.test(html)],
+  ['Vue', html => /data-v-[0-9a-f]{6,}|vue(\.runtime)?(\.min)?\.js/i.test(html)],
+  ['Google Analytics', html => /googletagmanager\.com\/gtag|google-analytics\.com\/(analytics|ga)\.js/i.test(html)],
+  ['Google Tag Manager', html => /googletagmanager\.com\/gtm\.js/i.test(html)],
+  ['Meta Pixel', html => /connect\.facebook\.net\/.*fbevents\.js/i.test(html)],
+  ['HubSpot', html => /js\.hs-scripts\.com|js\.hsforms\.net/i.test(html)],
+  ['Intercom', html => /widget\.intercom\.io|intercomSettings/i.test(html)],
+  ['Drift', html => /js\.driftt\.com/i.test(html)],
+  ['Hotjar', html => /static\.hotjar\.com/i.test(html)],
+  ['Stripe', html => /js\.stripe\.com/i.test(html)],
+  ['Cloudflare', (html, headers) => Boolean(headers['cf-ray']) || /cloudflare/i.test(headers.server || '')],
+  ['Nginx', (html, headers) => /nginx/i.test(headers.server || '')],
+  ['Apache', (html, headers) => /apache/i.test(headers.server || '')],
+  ['PHP', (html, headers) => /php/i.test(headers['x-powered-by'] || '')],
+  ['Express', (html, headers) => /express/i.test(headers['x-powered-by'] || '')],
+  ['Vercel', (html, headers) => Boolean(headers['x-vercel-id'])],
+  ['Netlify', (html, headers) => /netlify/i.test(headers.server || '')]
+];
+
+class CompetitorIntel {
+  constructor(options = {}) {
+    this.fetcher = options.fetcher || new SEOAuditor({ timeoutMs: options.timeoutMs || 10000 });
+    this.maxPages = options.maxPages || 5;
+    this.dataDir = options.dataDir || path.join(__dirname, '../data');
+    this.snapshotDir = path.join(this.dataDir, 'competitor_snapshots');
+  }
+
+  // ==================== PIPELINE ====================
+
+  // Snapshot the customer and every competitor, diffing each against its previous snapshot
+  async analyze(website, competitors = []) {
+    const domains = [...new Set([website, ...competitors].filter(Boolean).map(normalizeDomain))];
+    const sites = [];
+
+    for (const domain of domains) {
+      const previous = this.latestSnapshot(domain);
+      const snapshot = await this.snapshot(domain);
+      if (!snapshot.error) this.saveSnapshot(snapshot);
+
+      sites.push({
+        domain,
+        isCustomer: domain === normalizeDomain(website),
+        snapshot,
+        changes: previous && !snapshot.error ? diffSnapshots(previous, snapshot) : null,
+        previousAt: previous ? previous.takenAt : null
+      });
+    }
+
+    return { website: normalizeDomain(website), analyzedAt: new Date().toISOString(), sites, comparison: compare(sites) };
+  }
+
+  // Fetch home, pricing and the first few internal pages of one domain
+  async snapshot(domain) {
+    const takenAt = new Date().toISOString();
+    const home = await this.fetchHome(domain);
+    if (home.error || home.status >= 400) {
+      return { domain, takenAt, error: home.error || `HTTP ${home.status}`, pages: {}, tech: [], prices: [] };
+    }
+
+    const origin = new URL(home.finalUrl).origin;
+    const homePage = extractPage(home.body, home.finalUrl);
+    const pages = { [pathOf(home.finalUrl)]: summarize(home, homePage, 'home') };
+
+    // Pricing page: a linked one first, then the usual paths
+    const linked = homePage.links.filter(l => new URL(l.url).origin === origin);
+    const pricingLink = linked.find(l => PRICING_LINK.test(l.href) || PRICING_LINK.test(pathOf(l.url)));
+    const pricingCandidates = [...new Set([pricingLink && pricingLink.url, ...PRICING_PATHS.map(p => `${origin}${p}`)].filter(Boolean))];
+
+    for (const url of pricingCandidates) {
+      const response = await this.fetcher.fetchUrl(url);
+      if (response.error || response.status >= 400 || !isHtml(response)) continue;
+      pages[pathOf(response.finalUrl)] = summarize(response, extractPage(response.body, response.finalUrl), 'pricing');
+      break;
+    }
+
+    // A few more navigation pages so content changes show up
+    for (const link of linked) {
+      if (Object.keys(pages).length >= this.maxPages) break;
+      if (pages[pathOf(link.url)] || /\.(png|jpe?g|gif|svg|pdf|zip)$/i.test(link.url)) continue;
+
+      const response = await this.fetcher.fetchUrl(link.url);
+      if (response.error || response.status >= 400 || !isHtml(response)) continue;
+      pages[pathOf(response.finalUrl)] = summarize(response, extractPage(response.body, response.finalUrl), 'page');
+    }
+
+    const tech = FINGERPRINTS.filter(([, test]) => test(home.body, home.headers)).map(([name]) => name);
+    const prices = [...new Set(Object.values(pages).flatMap(p => p.prices))];
+
+    return { domain, origin, takenAt, pages, tech, prices };
+  }
+
+  async fetchHome(domain) {
+    const https = await this.fetcher.fetchUrl(`https://${domain}/`);
+    if (!https.error) return https;
+    return this.fetcher.fetchUrl(`http://${domain}/`);
+  }
+
+  // ==================== SNAPSHOTS ====================
+
+  history(domain) {
+    const file = this.snapshotFile(normalizeDomain(domain));
+    return readJSON(file, []);
+  }
+
+  latestSnapshot(domain) {
+    const history = this.history(domain);
+    return history.length ? history[history.length - 1] : null;
+  }
+
+  saveSnapshot(snapshot) {
+    if (!fs.existsSync(this.snapshotDir)) {
+      fs.mkdirSync(this.snapshotDir, { recursive: true });
+    }
+    const history = [...this.history(snapshot.domain), snapshot].slice(-MAX_SNAPSHOTS);
+    writeJSON(this.snapshotFile(snapshot.domain), history);
+  }
+
+  snapshotFile(domain) {
+    return path.join(this.snapshotDir, `${domain.replace(/[^a-z0-9.-]/gi, '_')}.json`);
+  }
+}
+
+// ==================== EXTRACTION ====================
+
+function summarize(response, page, kind) {
+  const text = stripTags(response.body.replace(/<script\b[\s\S]*?<\/script>|<style\b[\s\S]*?<\/style>/gi, ''));
+  const keywords = (findKeywords(response.body) || '').split(',').map(k => k.trim().toLowerCase()).filter(Boolean);
+
+  return {
+    url: response.finalUrl,
+    kind,
+    title: page.title,
+    description: page.description,
+    keywords,
+    headings: [...page.h1, ...findText(response.body, 'h2')].filter(Boolean).slice(0, 20),
+    prices: extractPrices(text),
+    words: page.wordCount,
+    textHash: crypto.createHash('sha1').update(text).digest('hex').slice(0, 16)
+  };
+}
+
+function findKeywords(html) {
+  const match = html.match(/<meta\b[^>]*name\s*=\s*["']keywords["'][^>]*>/i);
+  if (!match) return null;
+  const content = match[0].match(/content\s*=\s*["']([^"']*)["']/i);
+  return content ? content[1] : null;
+}
+
+// "$49/mo", "€19 per month", "£1,200" -> normalized price strings
+function extractPrices(text) {
+  const pattern = /([$€£])\s?(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)(?:\s*(?:\/|per)\s*(mo(?:nth)?|yr|year|week|user|seat))?/gi;
+  const prices = new Set();
+  let match;
+  while ((match = pattern.exec(text))) {
+    const period = match[3] ? `/${match[3].toLowerCase().replace(/^month$/, 'mo').replace(/^year$/, 'yr')}` : '';
+    prices.add(`${match[1]}${match[2]}${period}`);
+  }
+  return [...prices].slice(0, 30);
+}
+
+// ==================== DIFFS ====================
+
+// What changed on a domain since its previous snapshot
+function diffSnapshots(before, after) {
+  const changes = [];
+  const beforePages = before.pages || {};
+  const afterPages = after.pages || {};
+
+  Object.keys(afterPages).filter(p => !beforePages[p]).forEach(p => changes.push({ type: 'page_added', page: p }));
+  Object.keys(beforePages).filter(p => !afterPages[p]).forEach(p => changes.push({ type: 'page_removed', page: p }));
+
+  Object.keys(afterPages).filter(p => beforePages[p]).forEach(p => {
+    const a = beforePages[p];
+    const b = afterPages[p];
+    if (a.title !== b.title) changes.push({ type: 'title_changed', page: p, before: a.title, after: b.title });
+    if (a.description !== b.description) changes.push({ type: 'description_changed', page: p, before: a.description, after: b.description });
+    listDiff(a.keywords, b.keywords, (added, removed) => changes.push({ type: 'keywords_changed', page: p, added, removed }));
+    listDiff(a.headings, b.headings, (added, removed) => changes.push({ type: 'headings_changed', page: p, added, removed }));
+    if (a.textHash !== b.textHash) changes.push({ type: 'content_changed', page: p, wordsBefore: a.words, wordsAfter: b.words });
+  });
+
+  listDiff(before.prices, after.prices, (added, removed) => changes.push({ type: 'prices_changed', added, removed }));
+  listDiff(before.tech, after.tech, (added, removed) => changes.push({ type: 'tech_changed', added, removed }));
+
+  return changes;
+}
+
+function listDiff(before = [], after = [], onChange) {
+  const added = after.filter(x => !before.includes(x));
+  const removed = before.filter(x => !after.includes(x));
+  if (added.length || removed.length) onChange(added, removed);
+}
+
+// Side-by-side view: pricing, keyword overlap with the customer, tech in use
+function compare(sites) {
+  const customer = sites.find(s => s.isCustomer && !s.snapshot.error);
+  const customerKeywords = customer ? allKeywords(customer.snapshot) : [];
+
+  return sites.filter(s => !s.snapshot.error).map(s => {
+    const keywords = allKeywords(s.snapshot);
+    return {
+      domain: s.domain,
+      isCustomer: s.isCustomer,
+      title: (Object.values(s.snapshot.pages)[0] || {}).title || null,
+      prices: s.snapshot.prices,
+      hasPricingPage: Object.values(s.snapshot.pages).some(p => p.kind === 'pricing'),
+      tech: s.snapshot.tech,
+      keywords: keywords.slice(0, 15),
+      sharedKeywords: s.isCustomer ? [] : keywords.filter(k => customerKeywords.includes(k)),
+      changes: s.changes ? s.changes.length : null
+    };
+  });
+}
+
+function allKeywords(snapshot) {
+  return [...new Set(Object.values(snapshot.pages).flatMap(p => p.keywords))];
+}
+
+// ==================== HELPERS ====================
+
+function normalizeDomain(value) {
+  const text = String(value || '').trim().toLowerCase();
+  try {
+    return new URL(/^https?:\/\//.test(text) ? text : `http://${text}`).host.replace(/^www\./, '');
+  } catch (e) {
+    return text;
+  }
+}
+
+function pathOf(url) {
+  return new URL(url).pathname || '/';
+}
+
+function isHtml(response) {
+  return /text\/html|application\/xhtml/i.test(response.headers['content-type'] || '');
+}
+
+module.exports = { CompetitorIntel, diffSnapshots, extractPrices, normalizeDomain, FINGERPRINTS };
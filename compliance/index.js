@@ -0,0 +1,153 @@
+/**
+ * OUTREACH COMPLIANCE (CAN-SPAM)
+ * Suppression checks, signed unsubscribe links and per-brand postal footers
+ *
+ * Unsubscribe tokens are HMAC-signed, so any process holding the secret can
+ * verify them offline - no lookup table needed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { SuppressionList, SUPPRESSION_REASONS } = require('./suppression');
+
+class Compliance {
+  constructor({ businesses = {}, settings = {}, dataDir, suppression } = {}) {
+    this.businesses = businesses;
+    this.dataDir = dataDir || path.join(__dirname, '../data');
+    this.baseUrl = (settings.publicBaseUrl || 'http://localhost:3000').replace(/\/$/, '');
+    this.postalAddress = settings.postalAddress || null;
+    this.suppression = suppression || new SuppressionList({ dataDir: this.dataDir });
+    this.secret = settings.unsubscribeSecret || this.loadSecret();
+  }
+
+  // ==================== SUPPRESSION ====================
+
+  checkRecipient(email) {
+    return this.suppression.check(email);
+  }
+
+  suppress(email, reason, details) {
+    return this.suppression.add(email, reason, details);
+  }
+
+  // ==================== UNSUBSCRIBE TOKENS ====================
+
+  createUnsubscribeToken(email, brand) {
+    const payload = base64url(JSON.stringify({ e: email.trim().toLowerCase(), b: brand, iat: Date.now() }));
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  // { valid, email, brand } - never throws on bad input
+  verifyUnsubscribeToken(token) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) return { valid: false, reason: 'malformed' };
+
+    const expected = Buffer.from(this.sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return { valid: false, reason: 'bad_signature' };
+    }
+
+    try {
+      const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      return { valid: true, email: data.e, brand: data.b, issuedAt: new Date(data.iat).toISOString() };
+    } catch (e) {
+      return { valid: false, reason: 'malformed' };
+    }
+  }
+
+  unsubscribeUrl(email, brand) {
+    return `${this.baseUrl}/unsubscribe?token=${this.createUnsubscribeToken(email, brand)}`;
+  }
+
+  // Verify a token and suppress its address
+  unsubscribe(token) {
+    const verified = this.verifyUnsubscribeToken(token);
+    if (!verified.valid) return verified;
+
+    this.suppression.add(verified.email, 'unsubscribe', { brand: verified.brand });
+    return verified;
+  }
+
+  // ==================== FOOTER ====================
+
+  // Brand footer settings: config.businesses[brand].compliance over the global defaults
+  footerSettings(brand) {
+    const business = this.businesses[brand] || {};
+    const settings = business.compliance || {};
+
+    return {
+      company: settings.company || business.name || brand,
+      postalAddress: settings.postalAddress || this.postalAddress,
+      reason: settings.reason || `You're receiving this because we thought ${business.name || 'our service'} could help your business.`
+    };
+  }
+
+  footer(brand, unsubscribeUrl) {
+    const { company, postalAddress, reason } = this.footerSettings(brand);
+
+    if (!postalAddress) {
+      throw new Error(`No postal address configured for ${brand} - set BUSINESS_POSTAL_ADDRESS or businesses.${brand}.compliance.postalAddress`);
+    }
+
+    return {
+      html: `<hr style="border:none;border-top:1px solid #ddd;margin-top:24px">
+<p style="font-size:12px;color:#888;line-height:1.5">${escapeHtml(reason)}<br>
+${escapeHtml(company)} · ${escapeHtml(postalAddress)}<br>
+<a href="${unsubscribeUrl}" style="color:#888">Unsubscribe</a> - one click, no login.</p>`,
+      text: `--\n${reason}\n${company} · ${postalAddress}\nUnsubscribe: ${unsubscribeUrl}`
+    };
+  }
+
+  // Add the unsubscribe link, footer and List-Unsubscribe headers to an outreach email
+  prepareOutreach({ brand, email, html, text }) {
+    const url = this.unsubscribeUrl(email, brand);
+    const footer = this.footer(brand, url);
+
+    return {
+      html: /<\/body>/i.test(html) ? html.replace(/<\/body>/i, `${footer.html}</body>`) : `${html}\n${footer.html}`,
+      text: text ? `${text}\n\n${footer.text}` : undefined,
+      headers: {
+        'List-Unsubscribe': `<${url}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      },
+      unsubscribeUrl: url
+    };
+  }
+
+  // ==================== HELPERS ====================
+
+  sign(payload) {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+
+  // UNSUBSCRIBE_SECRET, else a random secret persisted under data/
+  loadSecret() {
+    if (process.env.UNSUBSCRIBE_SECRET) return process.env.UNSUBSCRIBE_SECRET;
+
+    const file = path.join(this.dataDir, '.unsubscribe_secret');
+    if (fs.existsSync(file)) return fs.readFileSync(file, 'utf8').trim();
+
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+    const secret = crypto.randomBytes(32).toString('hex');
+    fs.writeFileSync(file, secret, { mode: 0o600 });
+    return secret;
+  }
+}
+
+function base64url(text) {
+  return Buffer.from(text, 'utf8').toString('base64url');
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = { Compliance, SuppressionList, SUPPRESSION_REASONS };
@@ -0,0 +1,98 @@
+/**
+ * SUPPRESSION LIST
+ * Addresses and domains outreach must never contact again
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeEmail } = require('../leads');
+const { readJSON, writeJSON } = require('../storage');
+
+const SUPPRESSION_REASONS = ['unsubscribe', 'hard_bounce', 'complaint', 'blocked_domain', 'manual'];
+
+class SuppressionList {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || path.join(__dirname, '../data');
+    this.file = path.join(this.dataDir, 'suppression.json');
+    this.ensureDataDir();
+  }
+
+  ensureDataDir() {
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+  }
+
+  // Suppress one address
+  add(email, reason, details = {}) {
+    const value = normalizeEmail(email);
+    if (!value) {
+      throw new Error(`Cannot suppress malformed email: ${email}`);
+    }
+    return this.insert({ type: 'email', value, reason, ...details });
+  }
+
+  // Suppress a whole domain
+  blockDomain(domain, details = {}) {
+    const value = String(domain).trim().toLowerCase().replace(/^@/, '');
+    return this.insert({ type: 'domain', value, reason: 'blocked_domain', ...details });
+  }
+
+  insert(entry) {
+    if (!SUPPRESSION_REASONS.includes(entry.reason)) {
+      throw new Error(`Unknown suppression reason: ${entry.reason}`);
+    }
+
+    const entries = this.load();
+    const existing = entries.find(e => e.type === entry.type && e.value === entry.value);
+    if (existing) return existing;
+
+    const record = { ...entry, addedAt: new Date().toISOString() };
+    entries.push(record);
+    this.save(entries);
+    return record;
+  }
+
+  remove(value) {
+    const key = String(value).trim().toLowerCase();
+    const normalized = normalizeEmail(key) || key;
+    const entries = this.load();
+    const kept = entries.filter(e => e.value !== normalized);
+    this.save(kept);
+    return entries.length - kept.length;
+  }
+
+  // { suppressed, reason } for an address, checking the address and its domain
+  check(email) {
+    const value = normalizeEmail(email);
+    if (!value) return { suppressed: true, reason: 'invalid_email' };
+
+    const domain = value.split('@')[1];
+    const hit = this.load().find(e =>
+      (e.type === 'email' && e.value === value) ||
+      (e.type === 'domain' && (domain === e.value || domain.endsWith(`.${e.value}`)))
+    );
+
+    return hit ? { suppressed: true, reason: hit.reason } : { suppressed: false };
+  }
+
+  isSuppressed(email) {
+    return this.check(email).suppressed;
+  }
+
+  list(filter = {}) {
+    return this.load().filter(e => !filter.reason || e.reason === filter.reason);
+  }
+
+  // ==================== HELPERS ====================
+
+  load() {
+    return readJSON(this.file, []);
+  }
+
+  save(entries) {
+    writeJSON(this.file, entries);
+  }
+}
+
+module.exports = { SuppressionList, SUPPRESSION_REASONS };
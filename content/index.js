@@ -0,0 +1,147 @@
+/**
+ * CONTENT ORDERS
+ * Intake for contentais orders: topic, keywords, tone, audience, word count
+ * and content type. Arrives with the Stripe payment (metadata or Checkout
+ * custom fields) or, when the topic is missing, through the /intake form
+ * linked from the order email. Persisted in data/content_intakes.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { readJSON, writeJSON } = require('../storage');
+
+const CONTENT_TYPES = ['blog-post', 'article', 'landing-page', 'email', 'social-post'];
+
+const DEFAULTS = {
+  'blog-post': 1000,
+  'article': 1500,
+  'landing-page': 600,
+  'email': 150,
+  'social-post': 50
+};
+
+class ContentIntake {
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl || 'http://localhost:3000').replace(/\/$/, '');
+    this.secret = options.secret || 'dev-only-intake-secret';
+    this.dataDir = options.dataDir || path.join(__dirname, '../data');
+    this.intakeFile = path.join(this.dataDir, 'content_intakes.json');
+    this.ensureDataDir();
+  }
+
+  ensureDataDir() {
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+  }
+
+  // ==================== INTAKE ====================
+
+  // Paid order still missing its brief: remember it until the form comes back
+  open(orderId, email, requirements = {}) {
+    const intakes = this.load();
+    intakes[orderId] = intakes[orderId] || {
+      orderId,
+      email,
+      status: 'pending',
+      requirements,
+      createdAt: new Date().toISOString()
+    };
+    this.save(intakes);
+    return intakes[orderId];
+  }
+
+  // Form answers for an open intake; { intake, accepted } - only the first submission is accepted
+  submit(orderId, fields) {
+    const intakes = this.load();
+    const intake = intakes[orderId];
+    if (!intake) return { intake: null, accepted: false };
+    if (intake.status !== 'pending') return { intake, accepted: false };
+
+    intake.requirements = normalizeRequirements({ ...intake.requirements, ...fields });
+    if (!intake.requirements.topic) return { intake, accepted: false, reason: 'topic_required' };
+
+    intake.status = 'submitted';
+    intake.submittedAt = new Date().toISOString();
+    this.save(intakes);
+    return { intake, accepted: true };
+  }
+
+  markDelivered(orderId) {
+    const intakes = this.load();
+    if (!intakes[orderId]) return;
+    intakes[orderId].status = 'delivered';
+    intakes[orderId].deliveredAt = new Date().toISOString();
+    this.save(intakes);
+  }
+
+  // Delivery failed after submission: let the customer send the form again
+  reopen(orderId) {
+    const intakes = this.load();
+    if (!intakes[orderId]) return;
+    intakes[orderId].status = 'pending';
+    this.save(intakes);
+  }
+
+  get(orderId) {
+    return this.load()[orderId] || null;
+  }
+
+  // ==================== FORM LINKS ====================
+
+  formUrl(orderId) {
+    return `${this.baseUrl}/intake?token=${this.createToken(orderId)}`;
+  }
+
+  createToken(orderId) {
+    const payload = Buffer.from(String(orderId), 'utf8').toString('base64url');
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  // { valid, orderId } - never throws on bad input
+  verifyToken(token) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) return { valid: false, reason: 'malformed' };
+
+    const expected = Buffer.from(this.sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return { valid: false, reason: 'bad_signature' };
+    }
+    return { valid: true, orderId: Buffer.from(payload, 'base64url').toString('utf8') };
+  }
+
+  sign(payload) {
+    return crypto.createHmac('sha256', this.secret).update(`intake|${payload}`).digest('base64url');
+  }
+
+  // ==================== STORAGE ====================
+
+  load() {
+    return readJSON(this.intakeFile, {});
+  }
+
+  save(intakes) {
+    writeJSON(this.intakeFile, intakes);
+  }
+}
+
+// Raw metadata/form values -> { topic, keywords[], tone, audience, wordCount, contentType }
+function normalizeRequirements(raw = {}) {
+  const contentType = String(raw.contentType || raw.content_type || raw.type || '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+  const type = CONTENT_TYPES.includes(contentType) ? contentType : 'blog-post';
+  const keywords = Array.isArray(raw.keywords) ? raw.keywords : String(raw.keywords || '').split(/[,;\n]+/);
+  const wordCount = parseInt(raw.wordCount || raw.word_count || raw.words, 10);
+
+  return {
+    topic: String(raw.topic || '').trim().slice(0, 200) || null,
+    keywords: [...new Set(keywords.map(k => String(k).trim()).filter(Boolean))].slice(0, 10),
+    tone: String(raw.tone || '').trim().slice(0, 50) || 'professional',
+    audience: String(raw.audience || '').trim().slice(0, 200) || null,
+    wordCount: Number.isFinite(wordCount) ? Math.min(Math.max(wordCount, 30), 3000) : DEFAULTS[type],
+    contentType: type
+  };
+}
+
+module.exports = { ContentIntake, normalizeRequirements, CONTENT_TYPES };
@@ -0,0 +1,133 @@
+/**
+ * MARKDOWN RENDERING
+ * The subset AI drafts use (headings, paragraphs, lists, quotes, code, links,
+ * emphasis) rendered to email-safe HTML: everything escaped, inline styles
+ * only, and links limited to http(s)/mailto.
+ */
+
+const STYLES = {
+  body: 'font-family:Georgia,serif;font-size:16px;line-height:1.6;color:#222;max-width:640px',
+  h1: 'font-size:28px;margin:24px 0 12px',
+  h2: 'font-size:22px;margin:22px 0 10px',
+  h3: 'font-size:18px;margin:18px 0 8px',
+  blockquote: 'margin:16px 0;padding:8px 16px;border-left:4px solid #ccc;color:#555',
+  pre: 'background:#f5f5f5;padding:12px;overflow:auto;font-size:14px',
+  code: 'background:#f5f5f5;padding:1px 4px;font-size:14px',
+  hr: 'border:none;border-top:1px solid #ddd;margin:24px 0'
+};
+
+// Markdown -> HTML fragment (wrapped in a styled <div>)
+function renderMarkdown(markdown) {
+  const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+  const html = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    // ``` fenced code
+    if (/^\s*```/.test(line)) {
+      const code = [];
+      i++;
+      while (i < lines.length && !/^\s*```/.test(lines[i])) code.push(lines[i++]);
+      i++;
+      html.push(`<pre style="${STYLES.pre}"><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    if (/^\s*$/.test(line)) {
+      i++;
+      continue;
+    }
+
+    const heading = line.match(/^\s*(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      const level = heading[1].length;
+      html.push(`<h${level}${STYLES[`h${level}`] ? ` style="${STYLES[`h${level}`]}"` : ''}>${renderInline(heading[2])}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      html.push(`<hr style="${STYLES.hr}">`);
+      i++;
+      continue;
+    }
+
+    if (/^\s*>/.test(line)) {
+      const quote = [];
+      while (i < lines.length && /^\s*>/.test(lines[i])) quote.push(lines[i++].replace(/^\s*>\s?/, ''));
+      html.push(`<blockquote style="${STYLES.blockquote}">${renderInline(quote.join(' '))}</blockquote>`);
+      continue;
+    }
+
+    const listType = listMarker(line);
+    if (listType) {
+      const items = [];
+      while (i < lines.length && listMarker(lines[i]) === listType) {
+        let item = lines[i++].replace(/^\s*(?:[-*+]|\d+[.)])\s+/, '');
+        // Indented continuation lines belong to the item
+        while (i < lines.length && /^\s{2,}\S/.test(lines[i]) && !listMarker(lines[i])) item += ` ${lines[i++].trim()}`;
+        items.push(`<li>${renderInline(item)}</li>`);
+      }
+      html.push(`<${listType}>${items.join('')}</${listType}>`);
+      continue;
+    }
+
+    // Paragraph: consecutive lines until a blank line or another block
+    const paragraph = [];
+    while (i < lines.length && !/^\s*$/.test(lines[i]) && !isBlockStart(lines[i])) paragraph.push(lines[i++].trim());
+    html.push(`<p>${renderInline(paragraph.join(' '))}</p>`);
+  }
+
+  return `<div style="${STYLES.body}">${html.join('\n')}</div>`;
+}
+
+function listMarker(line) {
+  if (/^\s*[-*+]\s+/.test(line) && !/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) return 'ul';
+  if (/^\s*\d+[.)]\s+/.test(line)) return 'ol';
+  return null;
+}
+
+function isBlockStart(line) {
+  return /^\s*(#{1,6}\s|```|>)/.test(line) || Boolean(listMarker(line)) || /^\s*([-*_])(\s*\1){2,}\s*$/.test(line);
+}
+
+// Emphasis, inline code and links - escaped first, so model output can't inject markup
+function renderInline(text) {
+  const codes = [];
+  let html = escapeHtml(text).replace(/`([^`]+)`/g, (m, code) => {
+    codes.push(`<code style="${STYLES.code}">${code}</code>`);
+    return `\u0000${codes.length - 1}\u0000`;
+  });
+
+  html = html
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (m, label, href) => {
+      const url = href.replace(/&amp;/g, '&');
+      return /^(https?:|mailto:)/i.test(url) ? `<a href="${escapeHtml(url)}">${label}</a>` : label;
+    })
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+    .replace(/(^|[^*\w])\*(?=\S)([^*]*?\S)\*(?!\*)/g, '$1<em>$2</em>')
+    .replace(/(^|[^_\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<em>$2</em>');
+
+  return html.replace(/\u0000(\d+)\u0000/g, (m, index) => codes[index]);
+}
+
+// First "# Title" of a draft
+function extractTitle(markdown) {
+  const match = String(markdown || '').match(/^\s*#\s+(.+?)\s*#*\s*$/m);
+  return match ? match[1].replace(/[*_`]/g, '') : null;
+}
+
+// HTML that Word, Pages and Google Docs open as a document (.doc)
+function toWordDocument(title, html) {
+  return `<html xmlns:o="urn:schemas-microsoft-com:office:office" xmlns:w="urn:schemas-microsoft-com:office:word" xmlns="http://www.w3.org/TR/REC-html40">
+<head><meta charset="utf-8"><title>${escapeHtml(title || 'Document')}</title></head>
+<body>${html}</body></html>`;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+module.exports = { renderMarkdown, renderInline, extractTitle, toWordDocument };
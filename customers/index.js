@@ -0,0 +1,247 @@
+/**
+ * CUSTOMERS & ORDERS
+ * Every payment becomes an order linked to its customer, the lead it came
+ * from, the outreach emails that lead received and their A/B variants.
+ * Persisted in data/customers.json and data/orders.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { normalizeEmail } = require('../leads');
+const { readJSON, writeJSON } = require('../storage');
+
+// Service deliveries tried this often before an order needs a human
+const MAX_DELIVERY_ATTEMPTS = 5;
+
+// A delivery still 'pending' this long after its order was recorded died with its handler
+const PENDING_DELIVERY_MS = 15 * 60 * 1000;
+
+class CustomerStore {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || path.join(__dirname, '../data');
+    this.customersFile = path.join(this.dataDir, 'customers.json');
+    this.ordersFile = path.join(this.dataDir, 'orders.json');
+    this.ensureDataDir();
+  }
+
+  ensureDataDir() {
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+  }
+
+  // ==================== ORDERS ====================
+
+  // Record a payment; attribution = { leadId, emails: [{ emailId, variant, sentAt }] }
+  recordOrder(payment, attribution = {}) {
+    const customers = this.loadCustomers();
+    const orders = this.loadOrders();
+    const now = new Date().toISOString();
+
+    // Stripe retries are filtered upstream, but never store the same payment twice
+    const existing = payment.paymentId && orders.find(o => o.paymentId === payment.paymentId);
+    if (existing) return { order: existing, customer: customers[existing.customerId], duplicate: true };
+
+    const customer = this.upsertCustomer(customers, payment, attribution.leadId, now);
+    const emails = attribution.emails || [];
+
+    const order = {
+      id: `ord_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      customerId: customer.id,
+      leadId: attribution.leadId || null,
+      businessType: payment.businessType || null,
+      amount: payment.amount,
+      refunded: 0,
+      status: 'paid',
+      website: payment.website || null,
+      emailIds: emails.map(e => e.emailId),
+      variants: [...new Set([payment.variant, ...emails.map(e => e.variant)].filter(Boolean))],
+      // Outreach emails before the sale, plus the checkout itself; repeat purchases count from the last order
+      touchpoints: emails.length + 1,
+      paymentId: payment.paymentId || null,
+      subscriptionId: payment.subscriptionId || null,
+      stripeCustomerId: payment.customerId || null,
+      eventId: payment.eventId || null,
+      // Pending until deliverOrder records an outcome; keeps the payment so a crash before then can be retried
+      delivery: {
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: new Date(Date.now() + PENDING_DELIVERY_MS).toISOString(),
+        payment
+      },
+      createdAt: now
+    };
+
+    orders.push(order);
+    customer.orders += 1;
+    customer.totalSpent = round(customer.totalSpent + order.amount);
+    customer.lastPurchaseAt = now;
+    customer.lastActiveAt = now;
+
+    this.saveOrders(orders);
+    this.saveCustomers(customers);
+    return { order, customer, duplicate: false };
+  }
+
+  // Stripe reports the cumulative refunded amount per charge
+  recordRefund({ paymentId, invoiceId, amount }) {
+    const orders = this.loadOrders();
+    const order = orders.find(o => o.paymentId && (o.paymentId === paymentId || o.paymentId === invoiceId));
+    if (!order) return null;
+
+    const customers = this.loadCustomers();
+    const customer = customers[order.customerId];
+    const delta = round(Math.min(amount, order.amount) - order.refunded);
+
+    order.refunded = round(order.refunded + delta);
+    order.status = order.refunded >= order.amount ? 'refunded' : 'partially_refunded';
+    order.refundedAt = new Date().toISOString();
+
+    if (customer) {
+      customer.totalRefunded = round((customer.totalRefunded || 0) + delta);
+      this.saveCustomers(customers);
+    }
+    this.saveOrders(orders);
+    return order;
+  }
+
+  // ==================== DELIVERY ====================
+
+  // Outcome of delivering an order's service; failures keep the payment so the delivery can be retried
+  recordDelivery(orderId, { delivered, error = null, payment = null }) {
+    const orders = this.loadOrders();
+    const order = orders.find(o => o.id === orderId);
+    if (!order) return null;
+
+    const now = new Date().toISOString();
+    const previous = order.delivery || { attempts: 0 };
+    const attempts = previous.attempts + 1;
+
+    order.delivery = delivered
+      ? { status: 'delivered', attempts, deliveredAt: now, lastAttemptAt: now }
+      : {
+        status: attempts >= MAX_DELIVERY_ATTEMPTS ? 'abandoned' : 'failed',
+        attempts,
+        lastAttemptAt: now,
+        lastError: error,
+        // Back off 15 min, 30 min, 1 h, ...
+        nextAttemptAt: new Date(Date.now() + 15 * 60 * 1000 * 2 ** (attempts - 1)).toISOString(),
+        payment: payment || previous.payment || null
+      };
+
+    this.saveOrders(orders);
+    return order;
+  }
+
+  // Failed deliveries whose next attempt is due, and pending ones whose handler never got to deliver
+  pendingDeliveries(now = new Date().toISOString()) {
+    return this.loadOrders().filter(o => o.delivery && ['pending', 'failed'].includes(o.delivery.status) && o.delivery.nextAttemptAt <= now);
+  }
+
+  // ==================== QUERIES ====================
+
+  // By customer id, lead id, Stripe customer id or email
+  find(key) {
+    const customers = Object.values(this.loadCustomers());
+    const email = normalizeEmail(key);
+    return customers.find(c =>
+      c.id === key || c.leadId === key || c.stripeCustomerIds.includes(key) || (email && c.normalizedEmail === email)
+    ) || null;
+  }
+
+  // { customer, orders } newest first
+  history(key) {
+    const customer = this.find(key);
+    if (!customer) return null;
+
+    const orders = this.loadOrders()
+      .filter(o => o.customerId === customer.id)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    return { customer, orders };
+  }
+
+  // Record activity that isn't a purchase (opens, clicks, replies)
+  touch(key, at = new Date().toISOString()) {
+    const customers = this.loadCustomers();
+    const customer = Object.values(customers).find(c => c.id === key || c.leadId === key);
+    if (!customer || (customer.lastActiveAt && customer.lastActiveAt >= at)) return;
+
+    customer.lastActiveAt = at;
+    this.saveCustomers(customers);
+  }
+
+  averageOrderValue(businessType) {
+    const orders = this.loadOrders().filter(o => o.status !== 'refunded' && (!businessType || o.businessType === businessType));
+    if (orders.length === 0) return null;
+    return round(orders.reduce((sum, o) => sum + o.amount - o.refunded, 0) / orders.length);
+  }
+
+  stats() {
+    const customers = Object.values(this.loadCustomers());
+    const orders = this.loadOrders();
+    const revenue = orders.reduce((sum, o) => sum + o.amount, 0);
+    const refunded = orders.reduce((sum, o) => sum + o.refunded, 0);
+
+    return {
+      customers: customers.length,
+      orders: orders.length,
+      revenue: round(revenue),
+      refunded: round(refunded),
+      repeatCustomers: customers.filter(c => c.orders > 1).length,
+      avgTouchpoints: orders.length ? round(orders.reduce((sum, o) => sum + o.touchpoints, 0) / orders.length) : 0
+    };
+  }
+
+  // ==================== HELPERS ====================
+
+  upsertCustomer(customers, payment, leadId, now) {
+    const normalizedEmail = normalizeEmail(payment.email) || String(payment.email || '').toLowerCase();
+    const id = customerId(normalizedEmail || payment.customerId);
+
+    const customer = customers[id] || (customers[id] = {
+      id,
+      email: payment.email || null,
+      normalizedEmail,
+      leadId: null,
+      stripeCustomerIds: [],
+      orders: 0,
+      totalSpent: 0,
+      totalRefunded: 0,
+      createdAt: now
+    });
+
+    if (leadId && !customer.leadId) customer.leadId = leadId;
+    if (payment.customerId && !customer.stripeCustomerIds.includes(payment.customerId)) {
+      customer.stripeCustomerIds.push(payment.customerId);
+    }
+    return customer;
+  }
+
+  loadCustomers() {
+    return readJSON(this.customersFile, {});
+  }
+
+  saveCustomers(customers) {
+    writeJSON(this.customersFile, customers);
+  }
+
+  loadOrders() {
+    return readJSON(this.ordersFile, []);
+  }
+
+  saveOrders(orders) {
+    writeJSON(this.ordersFile, orders);
+  }
+}
+
+// Stable id per customer email (same scheme as lead ids)
+function customerId(key) {
+  return `cust_${crypto.createHash('sha1').update(String(key)).digest('hex').slice(0, 12)}`;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = { CustomerStore };
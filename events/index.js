@@ -0,0 +1,162 @@
+/**
+ * ENGAGEMENT EVENTS
+ * Ingests delivered/open/click/reply/bounce/complaint events (Resend webhooks
+ * or a generic JSON format) and feeds them back into email_performance,
+ * the lead lifecycle and the suppression list.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readJSON, writeJSON } = require('../storage');
+
+const EVENT_TYPES = ['delivered', 'open', 'click', 'reply', 'bounce', 'complaint', 'machine_open', 'machine_click'];
+
+// Resend webhook types -> our event types
+const RESEND_TYPES = {
+  'email.delivered': 'delivered',
+  'email.opened': 'open',
+  'email.clicked': 'click',
+  'email.bounced': 'bounce',
+  'email.complained': 'complaint'
+};
+
+// Loose names accepted in the generic format
+const GENERIC_ALIASES = {
+  delivered: 'delivered', delivery: 'delivered',
+  open: 'open', opened: 'open',
+  click: 'click', clicked: 'click',
+  reply: 'reply', replied: 'reply',
+  bounce: 'bounce', bounced: 'bounce',
+  complaint: 'complaint', complained: 'complaint', spam: 'complaint',
+  machine_open: 'machine_open', machine_click: 'machine_click'
+};
+
+class EngagementEvents {
+  constructor({ learning, leads, compliance, customers, experiments, dataDir } = {}) {
+    this.learning = learning;
+    this.leads = leads;
+    this.compliance = compliance;
+    this.customers = customers || null;
+    this.experiments = experiments || null;
+    this.dataDir = dataDir || path.join(__dirname, '../data');
+    this.seenFile = path.join(this.dataDir, 'processed_events.json');
+  }
+
+  // Ingest one webhook body (Resend or generic; single event, array or { events: [] })
+  async ingest(payload) {
+    const events = normalizeEvents(payload);
+    const seen = this.loadSeen();
+    const fresh = events.filter(e => !e.id || !seen.includes(e.id));
+
+    const results = await this.learning.recordEngagement(fresh);
+
+    for (const result of results.filter(r => r.matched)) {
+      this.applyLifecycle(result);
+      // Existing customers engaging with email count as active
+      if (this.customers && ['open', 'click', 'reply'].includes(result.type)) {
+        this.customers.touch(result.leadId, result.occurredAt);
+      }
+      // Opens, clicks and replies convert experiments measuring that metric
+      if (this.experiments && result.leadId) {
+        this.experiments.recordConversion(result.leadId, result.type);
+      }
+    }
+
+    const ids = fresh.map(e => e.id).filter(Boolean);
+    if (ids.length) this.saveSeen([...seen, ...ids]);
+
+    return {
+      received: events.length,
+      duplicates: events.length - fresh.length,
+      matched: results.filter(r => r.matched).length,
+      unmatched: results.filter(r => !r.matched).map(r => r.emailId || r.providerId || r.messageId)
+    };
+  }
+
+  // Replies, hard bounces and complaints change what outreach may do next
+  applyLifecycle(event) {
+    const lead = event.leadId ? this.leads.get(event.leadId) : null;
+
+    if (event.type === 'reply') {
+      this.transition(lead, 'replied', event);
+    } else if (event.type === 'bounce' && event.bounceType !== 'soft') {
+      if (lead) this.compliance.suppress(lead.email, 'hard_bounce', { emailId: event.emailId });
+      this.transition(lead, 'bounced', event);
+    } else if (event.type === 'complaint') {
+      if (lead) this.compliance.suppress(lead.email, 'complaint', { emailId: event.emailId });
+      this.transition(lead, 'unsubscribed', event);
+    }
+  }
+
+  transition(lead, state, event) {
+    if (!lead || lead.state === state) return;
+    try {
+      this.leads.transition(lead.id, state, { emailId: event.emailId, via: `event:${event.type}` });
+    } catch (e) {
+      // e.g. a customer replying - the lifecycle already moved past this state
+    }
+  }
+
+  // ==================== HELPERS ====================
+
+  loadSeen() {
+    return readJSON(this.seenFile, []);
+  }
+
+  saveSeen(ids) {
+    // Keep last 5000
+    writeJSON(this.seenFile, ids.slice(-5000), { pretty: false });
+  }
+}
+
+// ==================== NORMALIZATION ====================
+
+// Any accepted payload -> [{ id, type, emailId, providerId, messageId, occurredAt, bounceType }]
+function normalizeEvents(payload) {
+  const list = Array.isArray(payload) ? payload : Array.isArray(payload && payload.events) ? payload.events : [payload];
+  return list.map(normalizeEvent).filter(Boolean);
+}
+
+function normalizeEvent(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  // Resend: { type: 'email.opened', created_at, data: { email_id, ... } }
+  if (typeof raw.type === 'string' && raw.type.startsWith('email.')) {
+    const type = RESEND_TYPES[raw.type];
+    if (!type) return null;
+
+    const data = raw.data || {};
+    const bounce = data.bounce || {};
+    return {
+      id: raw.id || `${raw.type}:${data.email_id}:${raw.created_at}`,
+      type,
+      providerId: data.email_id,
+      occurredAt: toIso(raw.created_at || data.created_at),
+      bounceType: type === 'bounce' ? (/transient|soft/i.test(bounce.type || '') ? 'soft' : 'hard') : undefined,
+      url: data.click && data.click.link
+    };
+  }
+
+  // Generic: { type|event, emailId|email_id|messageId, timestamp|occurredAt }
+  const type = GENERIC_ALIASES[String(raw.type || raw.event || '').toLowerCase()];
+  if (!type) return null;
+
+  return {
+    id: raw.id || raw.eventId,
+    type,
+    emailId: raw.emailId || raw.email_id,
+    providerId: raw.providerId,
+    messageId: raw.messageId || raw.message_id,
+    occurredAt: toIso(raw.occurredAt || raw.timestamp || raw.created_at),
+    bounceType: raw.bounceType,
+    url: raw.url
+  };
+}
+
+function toIso(value) {
+  if (!value) return new Date().toISOString();
+  const date = typeof value === 'number' ? new Date(value < 1e12 ? value * 1000 : value) : new Date(value);
+  return isNaN(date) ? new Date().toISOString() : date.toISOString();
+}
+
+module.exports = { EngagementEvents, normalizeEvents, EVENT_TYPES };
@@ -0,0 +1,385 @@
+/**
+ * EXPERIMENTS
+ * A/B/n tests on outreach: subject line, body instructions, price or send time
+ *
+ * Leads are assigned by hashing experiment id + lead id, so a lead sees the
+ * same variant on every email without storing anything up front. Exposures
+ * (email sent) and conversions (sale, reply, click or open - the experiment's
+ * metric) are recorded separately and at most once per lead.
+ *
+ * The data is only tested at planned looks (`looks` of them, evenly spaced
+ * from minSamples to maxSamples exposures per variant), never after every
+ * event. Each look spends part of the 1 - confidence error budget along an
+ * O'Brien-Fleming-shaped curve, so early looks need overwhelming evidence and
+ * the total false-positive rate stays within budget. At a look the leader is
+ * tested against each other variant with a two-proportion z-test
+ * (Bonferroni-corrected); a significant leader ends the experiment and is
+ * served to everyone from then on. No winner by the last look ends it too.
+ *
+ * Persisted in data/experiments.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { readJSON, writeJSON } = require('../storage');
+
+const TYPES = ['subject', 'body', 'price', 'send_time'];
+const METRICS = ['sale', 'reply', 'click', 'open'];
+
+const DEFAULT_LOOKS = 5;
+
+class Experiments {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || path.join(__dirname, '../data');
+    this.file = path.join(this.dataDir, 'experiments.json');
+    this.ensureDataDir();
+  }
+
+  ensureDataDir() {
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+  }
+
+  // ==================== SETUP ====================
+
+  // spec = { id, name, type, brand, metric, variants: [{ key, value, weight }] | [value, ...], minSamples, maxSamples, looks, confidence }
+  create(spec = {}) {
+    const experiments = this.load();
+    const id = spec.id || `exp_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    const type = spec.type || 'subject';
+    const metric = spec.metric || 'sale';
+    const variants = normalizeVariants(spec.variants);
+
+    if (experiments[id]) throw new Error(`Experiment ${id} already exists`);
+    if (!TYPES.includes(type)) throw new Error(`Unknown experiment type "${type}" (expected ${TYPES.join(', ')})`);
+    if (!METRICS.includes(metric)) throw new Error(`Unknown experiment metric "${metric}" (expected ${METRICS.join(', ')})`);
+    if (variants.length < 2) throw new Error('An experiment needs at least two variants');
+    if (new Set(variants.map(v => v.key)).size !== variants.length) throw new Error('Variant keys must be unique');
+    if (type === 'price' && variants.some(v => !(Number(v.value) > 0))) throw new Error('Price variants must be positive amounts');
+    if (type === 'send_time' && variants.some(v => !/^\d{1,2}:\d{2}$/.test(String(v.value)))) throw new Error('Send time variants must be HH:MM');
+
+    const looks = spec.looks || DEFAULT_LOOKS;
+    const minSamples = spec.minSamples || 100;
+    const maxSamples = spec.maxSamples || minSamples * looks;
+    if (!(looks >= 1) || !Number.isInteger(looks)) throw new Error('looks must be a whole number of at least 1');
+    if (maxSamples < minSamples) throw new Error('maxSamples must be at least minSamples');
+
+    // One running test per type and brand, or assignments would fight over the same email
+    const clash = Object.values(experiments).find(e => e.status === 'running' && e.type === type &&
+      (!e.brand || !spec.brand || e.brand === spec.brand));
+    if (clash) throw new Error(`Experiment ${clash.id} is already testing ${type}${clash.brand ? ` for ${clash.brand}` : ''}`);
+
+    experiments[id] = {
+      id,
+      name: spec.name || id,
+      type,
+      brand: spec.brand || null,
+      metric,
+      variants,
+      minSamples,
+      maxSamples,
+      looks,
+      looksDone: 0,
+      confidence: spec.confidence || 0.95,
+      status: 'running',
+      winner: null,
+      stopReason: null,
+      counts: Object.fromEntries(variants.map(v => [v.key, { exposures: 0, conversions: 0 }])),
+      units: {},
+      createdAt: new Date().toISOString(),
+      stoppedAt: null
+    };
+
+    this.save(experiments);
+    return experiments[id];
+  }
+
+  get(id) {
+    return this.load()[id] || null;
+  }
+
+  list() {
+    return Object.values(this.load());
+  }
+
+  // ==================== ASSIGNMENT ====================
+
+  // Sticky variant for a lead: hash bucket while running, the winner once decided, null if it no longer applies
+  assign(experiment, leadId) {
+    if (experiment.status !== 'running') {
+      return experiment.winner ? experiment.variants.find(v => v.key === experiment.winner) : null;
+    }
+
+    const unit = experiment.units[leadId];
+    if (unit) return experiment.variants.find(v => v.key === unit.variant);
+
+    return bucket(experiment.variants, `${experiment.id}:${leadId}`);
+  }
+
+  // Every variant that applies to this lead's email: [{ experimentId, type, variant, value, running }]
+  // A running experiment replaces an earlier winner of the same type, so exposure goes to the variant actually sent
+  assignmentsFor(leadId, { brand, types = TYPES } = {}) {
+    const assignments = this.list()
+      .filter(e => types.includes(e.type) && (!e.brand || !brand || e.brand === brand))
+      .map(e => ({ experiment: e, variant: this.assign(e, leadId) }))
+      .filter(a => a.variant)
+      .map(({ experiment, variant }) => ({
+        experimentId: experiment.id,
+        type: experiment.type,
+        variant: variant.key,
+        value: variant.value,
+        running: experiment.status === 'running'
+      }));
+
+    const runningTypes = new Set(assignments.filter(a => a.running).map(a => a.type));
+    return assignments.filter(a => a.running || !runningTypes.has(a.type));
+  }
+
+  // ==================== RESULTS ====================
+
+  // The lead received its variant - counted once per lead, running experiments only
+  recordExposure(leadId, assignments = []) {
+    const experiments = this.load();
+    let changed = false;
+
+    assignments.forEach(({ experimentId, variant }) => {
+      const experiment = experiments[experimentId];
+      if (!experiment || experiment.status !== 'running' || experiment.units[leadId]) return;
+      if (!experiment.counts[variant]) return;
+
+      experiment.units[leadId] = { variant, exposedAt: new Date().toISOString(), convertedAt: null };
+      experiment.counts[variant].exposures++;
+      this.evaluateAndStop(experiment);
+      changed = true;
+    });
+
+    if (changed) this.save(experiments);
+  }
+
+  // Lead did something: a conversion for every running experiment measuring that metric it was exposed to
+  recordConversion(leadId, metric = 'sale') {
+    const experiments = this.load();
+    const converted = [];
+
+    Object.values(experiments).forEach(experiment => {
+      const unit = experiment.units[leadId];
+      if (experiment.status !== 'running' || experiment.metric !== metric || !unit || unit.convertedAt) return;
+
+      unit.convertedAt = new Date().toISOString();
+      experiment.counts[unit.variant].conversions++;
+      converted.push(experiment.id);
+      this.evaluateAndStop(experiment);
+    });
+
+    if (converted.length) this.save(experiments);
+    return converted;
+  }
+
+  // Raw counts without a lead (legacy runABTest/recordABResult callers)
+  recordResult(experimentId, variant, converted) {
+    const experiments = this.load();
+    const experiment = experiments[experimentId];
+    if (!experiment || experiment.status !== 'running' || !experiment.counts[variant]) return null;
+
+    experiment.counts[variant].exposures++;
+    if (converted) experiment.counts[variant].conversions++;
+    this.evaluateAndStop(experiment);
+
+    this.save(experiments);
+    return experiment;
+  }
+
+  // Per-variant rates, lift and p-value vs control, plus where the experiment is in its look schedule
+  // (p-values here are for reading only - decisions are made at the planned looks)
+  evaluate(experiment) {
+    const control = experiment.variants[0].key;
+    const stats = experiment.variants.map(v => {
+      const { exposures, conversions } = experiment.counts[v.key];
+      return { key: v.key, value: v.value, exposures, conversions, rate: exposures ? conversions / exposures : 0 };
+    });
+
+    const base = stats.find(s => s.key === control);
+    stats.forEach(s => {
+      if (s.key === control) return;
+      s.lift = base.rate ? round4((s.rate - base.rate) / base.rate) : null;
+      s.pValue = round4(zTest(s, base).pValue);
+    });
+
+    const leader = stats.reduce((best, s) => (s.rate > best.rate ? s : best), stats[0]);
+    const schedule = lookSchedule(experiment);
+    const looksDone = experiment.looksDone || 0;
+
+    return {
+      control,
+      variants: stats,
+      leader: leader.key,
+      looks: schedule.length,
+      looksDone,
+      nextLookAt: looksDone < schedule.length ? schedule[looksDone].samples : null,
+      lastLook: experiment.lastLook || null
+    };
+  }
+
+  // End a running experiment (manually or on evaluation); winner null means nothing is served any more
+  stop(id, { winner = null, reason = 'manual' } = {}) {
+    const experiments = this.load();
+    const experiment = experiments[id];
+    if (!experiment) return null;
+    if (winner && !experiment.counts[winner]) throw new Error(`Experiment ${id} has no variant "${winner}"`);
+
+    finish(experiment, winner, reason);
+    this.save(experiments);
+    return experiment;
+  }
+
+  // Analyse the data once the smallest variant reaches the next planned look (looks it skipped past are folded in)
+  evaluateAndStop(experiment) {
+    const schedule = lookSchedule(experiment);
+    const done = experiment.looksDone || 0;
+    const smallest = Math.min(...experiment.variants.map(v => experiment.counts[v.key].exposures));
+    if (done >= schedule.length || smallest < schedule[done].samples) return;
+
+    let look = done;
+    while (look + 1 < schedule.length && smallest >= schedule[look + 1].samples) look++;
+
+    const { variants, leader } = this.evaluate(experiment);
+    const best = variants.find(v => v.key === leader);
+    const budget = 1 - experiment.confidence;
+    const spent = done ? spendAlpha(budget, schedule[done - 1].fraction) : 0;
+    const alpha = (spendAlpha(budget, schedule[look].fraction) - spent) / (variants.length - 1);
+    const significant = best.conversions > 0 && variants.filter(v => v !== best).every(v => zTest(best, v).pValue < alpha);
+
+    experiment.looksDone = look + 1;
+    experiment.lastLook = { look: look + 1, samples: smallest, alpha: round6(alpha), leader, significant, at: new Date().toISOString() };
+
+    if (significant) {
+      finish(experiment, leader, 'significant');
+      console.log(`🏆 Experiment ${experiment.id}: variant ${leader} wins on ${experiment.metric} (look ${look + 1}/${schedule.length})`);
+    } else if (look + 1 === schedule.length) {
+      finish(experiment, null, 'max_samples');
+      console.log(`🤷 Experiment ${experiment.id}: no significant winner after ${schedule[look].samples} samples per variant`);
+    }
+  }
+
+  // Dashboard view, without the per-lead units
+  summary() {
+    return this.list().map(e => ({
+      id: e.id,
+      name: e.name,
+      type: e.type,
+      brand: e.brand,
+      metric: e.metric,
+      status: e.status,
+      winner: e.winner,
+      stopReason: e.stopReason,
+      createdAt: e.createdAt,
+      stoppedAt: e.stoppedAt,
+      ...this.evaluate(e)
+    }));
+  }
+
+  // ==================== STORAGE ====================
+
+  load() {
+    return readJSON(this.file, {});
+  }
+
+  save(experiments) {
+    writeJSON(this.file, experiments);
+  }
+}
+
+// ==================== HELPERS ====================
+
+function finish(experiment, winner, reason) {
+  experiment.status = 'completed';
+  experiment.winner = winner;
+  experiment.stopReason = reason;
+  experiment.stoppedAt = new Date().toISOString();
+}
+
+// ['a', 'b'] or [{ key, value, weight }] -> [{ key: 'A', value, weight }]
+function normalizeVariants(variants = []) {
+  return variants.map((v, i) => {
+    const spec = v !== null && typeof v === 'object' ? v : { value: v };
+    return {
+      key: String(spec.key || String.fromCharCode(65 + i)),
+      value: spec.value,
+      weight: spec.weight > 0 ? spec.weight : 1
+    };
+  });
+}
+
+// Deterministic weighted pick from a hash of the seed
+function bucket(variants, seed) {
+  const point = parseInt(crypto.createHash('sha256').update(seed).digest('hex').slice(0, 8), 16) / 0x100000000;
+  const total = variants.reduce((sum, v) => sum + v.weight, 0);
+
+  let edge = 0;
+  for (const variant of variants) {
+    edge += variant.weight / total;
+    if (point < edge) return variant;
+  }
+  return variants[variants.length - 1];
+}
+
+// Exposures per variant at each planned look, evenly spaced from minSamples to maxSamples -> [{ samples, fraction }]
+function lookSchedule(experiment) {
+  const looks = experiment.looks || DEFAULT_LOOKS;
+  const first = experiment.minSamples;
+  const last = experiment.maxSamples || first * looks;
+
+  return Array.from({ length: looks }, (_, i) => {
+    const samples = looks === 1 ? last : Math.round(first + (last - first) * i / (looks - 1));
+    return { samples, fraction: samples / last };
+  });
+}
+
+// Lan-DeMets O'Brien-Fleming-type spending: error budget used up by information fraction t (all of it at t = 1)
+function spendAlpha(alpha, t) {
+  if (t <= 0) return 0;
+  if (t >= 1) return alpha;
+  return 2 * (1 - normalCdf(normalQuantile(1 - alpha / 2) / Math.sqrt(t)));
+}
+
+// Inverse of normalCdf by bisection
+function normalQuantile(p) {
+  let lo = -10;
+  let hi = 10;
+  for (let i = 0; i < 80; i++) {
+    const mid = (lo + hi) / 2;
+    if (normalCdf(mid) < p) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+// Two-sided two-proportion z-test with pooled variance
+function zTest(a, b) {
+  const pooled = (a.conversions + b.conversions) / (a.exposures + b.exposures || 1);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / (a.exposures || 1) + 1 / (b.exposures || 1)));
+  if (!se) return { z: 0, pValue: 1 };
+
+  const z = (a.conversions / (a.exposures || 1) - b.conversions / (b.exposures || 1)) / se;
+  return { z, pValue: 2 * (1 - normalCdf(Math.abs(z))) };
+}
+
+// Abramowitz & Stegun 7.1.26 (error < 1.5e-7)
+function normalCdf(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) *
+    Math.exp(-(x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+function round4(value) {
+  return Math.round(value * 1e4) / 1e4;
+}
+
+function round6(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+module.exports = { Experiments, zTest, TYPES, METRICS };
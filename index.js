@@ -3,7 +3,7 @@
  * Complete system with AI/ML capabilities
  * 
  * Features:
- * - OpenAI integration for content generation
+ * - Multi-provider AI (DeepSeek, OpenAI, Ollama) with per-call fallback
  * - Self-learning from customer data
  * - Predictive analytics
  * - Continuous training
@@ -11,59 +11,187 @@
  */
 
 const { AICore } = require('./ml/ai-core');
+const { interpolate } = require('./ml/prompts');
 const { LearningEngine } = require('./ml/learning-engine');
 const { PredictiveEngine } = require('./predictive');
 const { TrainingPipeline } = require('./training');
+const { Experiments } = require('./experiments');
+const { LeadRepository, INDUSTRIES } = require('./leads');
+const { LeadImporter } = require('./leads/importer');
+const { toCSV } = require('./leads/csv');
+const { Mailer } = require('./mailer');
+const { Compliance } = require('./compliance');
+const { SendScheduler, dateKey } = require('./scheduler');
+const { SequenceEngine } = require('./sequences');
+const { EngagementEvents } = require('./events');
+const { LinkTracker } = require('./tracking');
+const { BusinessServer } = require('./server');
+const { StripeWebhooks } = require('./payments');
+const { Checkout } = require('./payments/checkout');
+const { SubscriptionStore } = require('./subscriptions');
+const { CustomerStore } = require('./customers');
+const { SEOAuditor } = require('./audit');
+const { CompetitorIntel } = require('./competitors');
+const { SocialPackGenerator } = require('./social');
+const { ContentIntake, normalizeRequirements } = require('./content');
+const { renderMarkdown, extractTitle, toWordDocument } = require('./content/markdown');
+
+// How often the send scheduler asks whether models need retraining
+const TRAINING_CHECK_MS = 60 * 60 * 1000;
 
 class AIBusiness {
   constructor() {
     this.ai = new AICore();
     this.learning = new LearningEngine();
-    this.predictive = new PredictiveEngine();
-    this.training = new TrainingPipeline();
+    this.customers = new CustomerStore();
+    this.predictive = new PredictiveEngine({ customers: this.customers });
+    this.experiments = new Experiments();
+    this.leads = new LeadRepository();
+    this.training = new TrainingPipeline({ experiments: this.experiments, leads: this.leads });
     
     this.config = {
       businesses: {
-        auditiqs: { price: 99, name: 'SEO Audit' },
-        leadvaults: { price: 97, name: 'Lead Subscription' },
-        competeai: { price: 197, name: 'Competitor Intel' },
-        contentais: { price: 25, name: 'Content Creation' },
-        socialpulses: { price: 49, name: 'Social Media' }
+        auditiqs: {
+          price: 99,
+          name: 'SEO Audit',
+          collectWebsite: true,
+          senders: {
+            outreach: 'AuditIQs <hello@auditiqs.com>',
+            delivery: 'AuditIQs Reports <reports@auditiqs.com>',
+            orders: 'AuditIQs <orders@auditiqs.com>'
+          },
+          compliance: { company: 'AuditIQs' }
+        },
+        leadvaults: {
+          price: 97,
+          name: 'Lead Subscription',
+          interval: 'month',
+          senders: {
+            outreach: 'LeadVaults <hello@leadvaults.io>',
+            delivery: 'LeadVaults <leads@leadvaults.io>',
+            orders: 'LeadVaults <orders@leadvaults.io>'
+          },
+          compliance: { company: 'LeadVaults' }
+        },
+        competeai: {
+          price: 197,
+          name: 'Competitor Intel',
+          collectWebsite: true,
+          collectCompetitors: true,
+          senders: {
+            outreach: 'CompeteAI <hello@competeai.io>',
+            delivery: 'CompeteAI Reports <reports@competeai.io>',
+            orders: 'CompeteAI <orders@competeai.io>'
+          },
+          compliance: { company: 'CompeteAI' }
+        },
+        contentais: {
+          price: 25,
+          name: 'Content Creation',
+          collectTopic: true,
+          senders: {
+            outreach: 'ContentAIs <hello@contentais.io>',
+            delivery: 'ContentAIs <content@contentais.io>',
+            orders: 'ContentAIs <orders@contentais.io>'
+          },
+          compliance: { company: 'ContentAIs' }
+        },
+        socialpulses: {
+          price: 49,
+          name: 'Social Media',
+          collectWebsite: true,
+          senders: {
+            outreach: 'SocialPulses <hello@socialpulses.io>',
+            delivery: 'SocialPulses <content@socialpulses.io>',
+            orders: 'SocialPulses <orders@socialpulses.io>'
+          },
+          compliance: { company: 'SocialPulses' }
+        }
+      },
+      compliance: {
+        postalAddress: process.env.BUSINESS_POSTAL_ADDRESS || null,
+        publicBaseUrl: process.env.PUBLIC_BASE_URL || 'http://localhost:3000'
       },
       outreach: {
+        brand: 'auditiqs',
         dailyLimit: 30,
-        sendTimes: ['9:00', '14:00', '18:00']
+        sendTimes: ['9:00', '14:00', '18:00'],
+        timezone: process.env.OUTREACH_TIMEZONE // sender's timezone, used when a lead has none
+      },
+      server: {
+        port: parseInt(process.env.PORT, 10) || 3000,
+        trustProxy: process.env.TRUST_PROXY === 'true',
+        webhookToken: process.env.EMAIL_WEBHOOK_TOKEN || null
+      },
+      tracking: {
+        enabled: process.env.EMAIL_TRACKING !== 'off'
       }
     };
+    
+    this.mailer = Mailer.fromEnv(this.config.businesses, { defaultBrand: this.config.outreach.brand });
+    this.compliance = new Compliance({ businesses: this.config.businesses, settings: this.config.compliance });
+    this.scheduler = new SendScheduler({
+      dailyLimit: this.config.outreach.dailyLimit,
+      sendTimes: this.config.outreach.sendTimes,
+      timezone: this.config.outreach.timezone
+    });
+    this.sequences = new SequenceEngine({ predictive: this.predictive });
+    this.releaseInterruptedSteps(this.scheduler.interrupted);
+    this.events = new EngagementEvents({
+      learning: this.learning,
+      leads: this.leads,
+      compliance: this.compliance,
+      customers: this.customers,
+      experiments: this.experiments
+    });
+    this.tracker = new LinkTracker({
+      baseUrl: this.compliance.baseUrl,
+      secret: process.env.TRACKING_SECRET || this.compliance.secret,
+      skip: [`${this.compliance.baseUrl}/unsubscribe`]
+    });
+    this.stripeWebhooks = new StripeWebhooks({ secrets: [process.env.STRIPE_WEBHOOK_SECRET] });
+    this.checkout = Checkout.fromEnv({
+      businesses: this.config.businesses,
+      learning: this.learning,
+      baseUrl: this.compliance.baseUrl,
+      secret: this.compliance.secret
+    });
+    this.subscriptions = new SubscriptionStore();
+    this.auditor = new SEOAuditor();
+    this.competitorIntel = new CompetitorIntel({ fetcher: this.auditor });
+    this.socialPacks = new SocialPackGenerator({ ai: this.ai });
+    this.contentIntake = new ContentIntake({
+      baseUrl: this.compliance.baseUrl,
+      secret: this.compliance.secret
+    });
+    this.server = null;
+    this.schedulerTimer = null;
   }
   
   // Initialize the AI business
   async init() {
-    this.ai.init();
+    await this.ai.init();
     
     console.log(`
 ╔══════════════════════════════════════════════════════════════╗
 ║     🤖 AI AUTONOMOUS BUSINESS v2.0 - ACTIVATED            ║
 ╠══════════════════════════════════════════════════════════════╣
-║  🧠 AI Core:        ${this.ai.openai ? '✅ OpenAI Ready' : '⚠️ Using Templates'}       ║
+║  🧠 AI Core:        ${this.ai.isAvailable() ? `✅ ${this.ai.getProvider()} Ready` : '⚠️ Using Templates'}       ║
 ║  📊 Learning Engine: ✅ Active                              ║
 ║  🔮 Predictive:      ✅ Ready                               ║
 ║  🎓 Training:       ✅ Scheduled                            ║
 ╚══════════════════════════════════════════════════════════════╝
     `);
     
-    // Run initial training if needed
-    if (this.training.shouldTrain()) {
-      console.log('📚 Running initial training...');
-      await this.training.train();
-    }
+    // Run training if it's due (first run, interval passed, new data or drift)
+    await this.runTrainingIfDue();
     
-    return { status: 'initialized', aiEnabled: !!this.ai.openai };
+    return { status: 'initialized', aiEnabled: this.ai.isAvailable(), aiProviders: this.ai.getStatus().chain };
   }
   
   // ==================== CORE OPERATIONS ====================
   
-  // Generate and send outreach
+  // Score new leads, start their sequences, queue due steps, then send whatever is due
   async runOutreach() {
     console.log('🚀 Running AI-powered outreach...');
     
@@ -71,31 +199,289 @@ class AIBusiness {
     const sendTime = await this.predictive.predictBestSendTime();
     console.log(`📬 Best send time: ${sendTime.bestTime} on ${sendTime.day}`);
     
-    // Generate leads
-    const leads = await this.generateLeads(50);
+    // Pull leads nobody has contacted yet
+    const leads = this.leads.getEligible(50);
+    const scorer = this.training.getLeadScorer();
     
     // Score and filter with AI
     const scoredLeads = [];
+    let suppressed = 0;
     for (const lead of leads) {
-      const score = await this.ai.analyzeLead(lead);
+      // Never contact unsubscribed, bounced or blocked addresses
+      if (this.suppressLead(lead)) {
+        suppressed++;
+        continue;
+      }
+      
+      // Already in a sequence
+      if (this.sequences.get(lead.id)) continue;
+      
+      const score = await this.scoreLead(lead, scorer);
+      this.leads.markScored(lead.id, score);
       if (score.score > 30) {
         scoredLeads.push({ ...lead, aiScore: score });
       }
     }
     
-    console.log(`📋 ${scoredLeads.length} leads qualified by AI`);
+    console.log(`📋 ${scoredLeads.length} leads qualified by ${scorer ? 'the lead scorer' : 'AI'}`);
+    
+    // Each qualified lead starts the cadence for the outreach brand
+    for (const lead of scoredLeads) {
+      this.sequences.start(lead, this.config.outreach.brand);
+    }
+    
+    const queued = await this.advanceSequences(sendTime);
+    const delivery = await this.processSendQueue();
+    
+    return { sent: delivery.sent, queued, leadsAvailable: leads.length, suppressed, qualified: scoredLeads.length };
+  }
+  
+  // Score 0-100: percentile of the trained scorer's conversion probability, or the AI's analysis until one is trained
+  // (the AI score is blended in as a feature when the scorer learned a weight for it)
+  async scoreLead(lead, scorer = this.training.getLeadScorer()) {
+    const business = this.config.outreach.brand;
+    if (!scorer) {
+      // Same shape as a scorer result, so training can find the AI score under .ai either way
+      const ai = await this.ai.analyzeLead(lead, { business });
+      return { ...ai, ai };
+    }
+    
+    const ai = scorer.usesAIScore() && this.ai.isAvailable() ? await this.ai.analyzeLead(lead, { business }) : null;
+    const emails = this.learning.loadMetrics('email_performance').filter(e => e.leadId === lead.id);
+    
+    return { ...scorer.score(lead, { emails, aiScore: ai ? ai.score : null }), ai };
+  }
+  
+  // Plan the next step of every due sequence and queue it into a send window
+  async advanceSequences(sendTime) {
+    const best = sendTime || await this.predictive.predictBestSendTime();
+    const stopTouchpoints = (this.training.getModel('lead_scoring') || {}).stopTouchpoints;
+    let queued = 0;
+    
+    for (const sequence of this.sequences.due()) {
+      const lead = this.leads.get(sequence.leadId);
+      const plan = await this.sequences.plan(sequence, {
+        lead,
+        suppressed: lead ? this.compliance.checkRecipient(lead.email).suppressed : false,
+        stopTouchpoints
+      });
+      
+      if (plan.action !== 'send') continue;
+      
+      // A send-time experiment pins the lead to its variant's window
+      const [sendTimeTest] = this.experiments.assignmentsFor(lead.id, { brand: sequence.brand, types: ['send_time'] });
+      
+      const result = this.scheduler.enqueue({
+        key: `${lead.id}:${plan.step}`,
+        leadId: lead.id,
+        email: lead.email,
+        timezone: lead.timezone,
+        brand: sequence.brand,
+        kind: 'sequence',
+        step: plan.step,
+        angle: plan.angle,
+        sendTimeTest
+      }, sendTimeTest ? { times: [sendTimeTest.value] } : { extraTimes: [best.bestTime] });
+      
+      if (result.queued) {
+        this.sequences.markPending(lead.id, plan.step);
+        queued++;
+      } else if (result.reason === 'duplicate') {
+        // Sent before a crash could record it - catch the sequence up instead of resending
+        if (result.job.status === 'sent') {
+          this.sequences.recordTouch(lead.id, { step: plan.step, angle: result.job.angle, emailId: (result.job.result || {}).emailId, sentAt: result.job.sentAt });
+        } else {
+          this.sequences.markPending(lead.id, plan.step);
+        }
+      } else if (result.reason === 'no_capacity') {
+        break;
+      }
+    }
+    
+    if (queued) console.log(`🗓️ Queued ${queued} sequence emails`);
+    return queued;
+  }
+  
+  // Send every queued job whose window has arrived
+  async processSendQueue() {
+    const results = await this.scheduler.runDue(job => this.sendSequenceStep(job), { delayMs: 1000 }); // Rate limit
+    
+    if (results.sent || results.failed) {
+      console.log(`✅ Sent ${results.sent} personalized AI emails (${results.failed} failed)`);
+    }
+    
+    return results;
+  }
+  
+  // Send one queued sequence step and record the outcome on the sequence
+  async sendSequenceStep(job) {
+    const lead = this.leads.get(job.leadId);
+    const allowed = job.step === 'initial' ? ['new', 'scored'] : ['contacted'];
+    
+    let result;
+    if (!lead) {
+      result = { success: false, error: 'lead not found' };
+    } else if (!allowed.includes(lead.state)) {
+      result = { success: false, error: `lead is ${lead.state}` };
+    } else {
+      result = await this.sendOutreach(lead, { brand: job.brand, step: job.step, angle: job.angle, sendTimeTest: job.sendTimeTest });
+    }
     
-    // Send emails
-    let sent = 0;
-    for (const lead of scoredLeads.slice(0, this.config.outreach.dailyLimit)) {
-      const result = await this.sendOutreach(lead);
-      if (result.success) sent++;
-      await this.delay(1000); // Rate limit
+    if (result.success) {
+      this.sequences.recordTouch(job.leadId, { step: job.step, angle: job.angle, emailId: result.emailId });
+    } else {
+      this.sequences.recordFailure(job.leadId, { step: job.step, error: result.error || 'suppressed' });
     }
     
-    console.log(`✅ Sent ${sent} personalized AI emails`);
+    return result;
+  }
+  
+  // Sequence steps whose send job died mid-send: caught up if the email was tracked, else failed so the cadence moves on
+  releaseInterruptedSteps(jobs = []) {
+    if (!jobs.length) return;
+    
+    const emails = this.learning.loadMetrics('email_performance');
+    jobs.filter(job => job.kind === 'sequence').forEach(job => {
+      const sent = emails.find(e => e.leadId === job.leadId && e.step === job.step && (!job.sendingAt || e.timestamp >= job.sendingAt));
+      if (sent) {
+        this.sequences.recordTouch(job.leadId, { step: job.step, angle: job.angle, emailId: sent.emailId, sentAt: sent.timestamp });
+      } else {
+        this.sequences.recordFailure(job.leadId, { step: job.step, error: 'interrupted during send' });
+      }
+    });
+  }
+  
+  // Check the queue and subscription deliveries every intervalMs; fills the queue from runOutreach once per day
+  startScheduler(intervalMs = 60 * 1000) {
+    if (this.schedulerTimer) return;
+    
+    let running = false;
+    let lastOutreachDay = null;
+    let lastTrainingCheck = Date.now(); // init() just checked
     
-    return { sent, leadsGenerated: leads.length, qualified: scoredLeads.length };
+    const tick = async () => {
+      if (running) return;
+      running = true;
+      try {
+        await this.runSubscriptionDeliveries();
+        await this.retryFailedDeliveries();
+        
+        if (Date.now() - lastTrainingCheck >= TRAINING_CHECK_MS) {
+          lastTrainingCheck = Date.now();
+          await this.runTrainingIfDue();
+        }
+        
+        const today = dateKey(new Date(), this.scheduler.timezone);
+        if (lastOutreachDay !== today) {
+          lastOutreachDay = today;
+          await this.runOutreach();
+        } else {
+          await this.advanceSequences();
+          await this.processSendQueue();
+        }
+      } catch (e) {
+        console.log('Scheduler tick failed:', e.message);
+      } finally {
+        running = false;
+      }
+    };
+    
+    this.schedulerTimer = setInterval(tick, intervalMs);
+    tick();
+    console.log(`⏰ Send scheduler running (every ${Math.round(intervalMs / 1000)}s)`);
+  }
+  
+  stopScheduler() {
+    clearInterval(this.schedulerTimer);
+    this.schedulerTimer = null;
+  }
+  
+  // Retrain on the interval, after enough new outcomes, or early on drift (alerted through detectAnomalies)
+  async runTrainingIfDue() {
+    const due = this.training.trainingDue();
+    
+    if (due.drift.length) {
+      const anomalies = await this.predictive.detectAnomalies({ drift: due.drift });
+      anomalies.forEach(a => console.log(`🚨 [${a.severity}] ${a.message} - ${a.recommendation}`));
+      this.training.recordAlerts(anomalies);
+    }
+    
+    if (!due.due) return null;
+    
+    console.log(`📚 Running training (${due.reason.replace('_', ' ')})...`);
+    return this.training.train({ reason: due.reason });
+  }
+  
+  // Check a lead against the suppression list; moves suppressed leads out of the outreach pool
+  suppressLead(lead) {
+    const check = this.compliance.checkRecipient(lead.email);
+    if (!check.suppressed) return false;
+    
+    const state = check.reason === 'hard_bounce' ? 'bounced' : 'unsubscribed';
+    const stored = this.leads.get(lead.id);
+    if (stored && !['unsubscribed', 'bounced'].includes(stored.state)) {
+      this.leads.transition(lead.id, state, { suppression: check.reason });
+    }
+    
+    console.log(`🚫 Skipping ${lead.email} (${check.reason})`);
+    return true;
+  }
+  
+  // Ingest engagement events (Resend webhook body or generic JSON) for tracked emails
+  async ingestEvents(payload) {
+    const result = await this.events.ingest(payload);
+    console.log(`📨 Ingested ${result.matched}/${result.received} engagement events`);
+    return result;
+  }
+  
+  // Record a pixel/redirect hit; bot and prefetch hits are kept apart from real engagement
+  async recordTrackingHit(hit) {
+    const record = this.learning.loadMetrics('email_performance').find(m => m.emailId === hit.emailId);
+    if (!record) return { recorded: false, reason: 'unknown_email' };
+    
+    const verdict = this.tracker.classifyHit({ ...hit, sentAt: record.sentAt });
+    const type = verdict.human ? hit.type : `machine_${hit.type}`;
+    
+    await this.events.ingest({ type, emailId: hit.emailId, url: hit.url });
+    return { recorded: true, type, reason: verdict.reason };
+  }
+  
+  // Serve tracking, unsubscribe and webhook endpoints
+  async startServer(port = this.config.server.port) {
+    if (this.server) return this.server;
+    
+    this.server = new BusinessServer(this, this.config.server);
+    await this.server.listen(port);
+    return this.server;
+  }
+  
+  async stopServer() {
+    if (this.server) await this.server.close();
+    this.server = null;
+  }
+  
+  // Handle an unsubscribe link click (token from the outreach footer)
+  async handleUnsubscribe(token) {
+    const result = this.compliance.unsubscribe(token);
+    if (!result.valid) return { unsubscribed: false, reason: result.reason };
+    
+    const lead = this.leads.findByEmail(result.email);
+    if (lead && lead.state !== 'unsubscribed') {
+      this.leads.transition(lead.id, 'unsubscribed', { via: 'unsubscribe_link' });
+    }
+    
+    console.log(`👋 Unsubscribed ${result.email}`);
+    return { unsubscribed: true, email: result.email };
+  }
+  
+  // Import real leads from a CSV or JSON file into the lead repository
+  async importLeads(filePath, options = {}) {
+    const report = new LeadImporter(this.leads).importFile(filePath, options);
+    
+    console.log(`📥 Imported ${report.created}/${report.total} leads (${report.rejected} rejected)`);
+    report.rejects.forEach(r => console.log(`   ✗ row ${r.row}: ${r.reason}`));
+    
+    return report;
   }
   
   // Generate leads
@@ -104,13 +490,12 @@ class AIBusiness {
     const firstNames = ['John', 'Sarah', 'Mike', 'Lisa', 'David', 'Emma', 'James', 'Maria', 'Robert', 'Jennifer'];
     const lastNames = ['Smith', 'Johnson', 'Williams', 'Brown', 'Jones', 'Garcia', 'Miller', 'Davis'];
     const companies = ['Solutions', 'Services', 'Group', 'Associates', 'Partners', 'Marketing', 'Digital', 'Tech'];
-    const industries = ['tech', 'marketing', 'finance', 'healthcare', 'retail', 'real-estate'];
     
     for (let i = 0; i < count; i++) {
       const firstName = firstNames[Math.floor(Math.random() * firstNames.length)];
       const lastName = lastNames[Math.floor(Math.random() * lastNames.length)];
       const company = companies[Math.floor(Math.random() * companies.length)];
-      const industry = industries[Math.floor(Math.random() * industries.length)];
+      const industry = INDUSTRIES[Math.floor(Math.random() * INDUSTRIES.length)];
       
       leads.push({
         id: `lead_${Date.now()}_${i}`,
@@ -127,147 +512,488 @@ class AIBusiness {
     return leads;
   }
   
-  // Send personalized outreach
-  async sendOutreach(lead) {
+  // Send personalized outreach (options: brand, sequence step, recommended angle, variant, sendTimeTest)
+  async sendOutreach(lead, options = {}) {
     try {
-      // Get optimized subject using AI + learning
-      const subject = await this.learning.getOptimizedSubject('general', lead);
+      if (this.compliance.checkRecipient(lead.email).suppressed) {
+        return { success: false, suppressed: true, leadId: lead.id };
+      }
+      
+      const brand = options.brand || this.config.outreach.brand;
+      
+      // Experiment variants for this lead (sticky) - price tests only when there is a checkout link
+      const tests = [
+        ...this.experiments.assignmentsFor(lead.id, { brand, types: this.checkout.enabled ? ['subject', 'body', 'price'] : ['subject', 'body'] }),
+        ...(options.sendTimeTest ? [options.sendTimeTest] : [])
+      ];
+      const test = type => tests.find(t => t.type === type);
+      
+      // Subject from the bandit for this brand + industry, unless a subject experiment decides it
+      const picked = test('subject') ? null : await this.learning.getOptimizedSubject(brand, lead);
+      const variant = [options.variant, ...tests.filter(t => t.running).map(t => `${t.experimentId}:${t.variant}`)].filter(Boolean).join(',') || undefined;
       
       // Generate personalized email with AI
-      const emailContent = await this.ai.generateOutreach_email(lead, 'general');
+      const emailContent = await this.ai.generateOutreach_email(lead, 'general', {
+        ...options,
+        brand,
+        instruction: test('body') ? test('body').value : undefined
+      });
+      const subjectLine = test('subject')
+        ? interpolate(String(test('subject').value), { lead })
+        : picked ? picked.subject : emailContent.subject;
+      
+      let html = `<p>${emailContent.body.replace(/\n/g, '<br>')}</p>`;
+      let text = emailContent.body;
+      
+      // Checkout link priced by the pricing model, tagged with the lead and variant
+      if (this.checkout.enabled) {
+        const business = this.config.businesses[brand];
+        const link = await this.checkout.linkFor(brand, lead, { variant, amount: test('price') ? Number(test('price').value) : undefined });
+        html += `\n<p><a href="${link.url}">Get your ${business.name} - $${link.amount}</a></p>`;
+        text += `\n\nGet your ${business.name} - $${link.amount}: ${link.url}`;
+      }
+      
+      // Unsubscribe link, postal footer and List-Unsubscribe headers
+      const compliant = this.compliance.prepareOutreach({ brand, email: lead.email, html, text });
+      
+      const emailId = `email_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
       
-      // Send via Resend
-      const { Resend } = require('resend');
-      const resend = new Resend(process.env.RESEND_API_KEY);
+      // Open pixel + signed click redirects (served by startServer)
+      const trackedHtml = this.config.tracking.enabled ? this.tracker.rewriteHtml(compliant.html, emailId) : compliant.html;
       
-      await resend.emails.send({
-        from: 'hello@auditiqs.com',
+      const delivery = await this.mailer.send({
+        brand,
+        role: 'outreach',
         to: lead.email,
-        subject: emailContent.subject || subject,
-        html: `<p>${emailContent.body.replace(/\n/g, '<br>')}</p>`
+        subject: subjectLine,
+        html: trackedHtml,
+        text: compliant.text,
+        headers: { ...compliant.headers, 'X-Email-Id': emailId }
       });
       
-      // Track for learning
+      this.leads.markContacted(lead.id, emailId);
+      this.experiments.recordExposure(lead.id, tests.filter(t => t.running));
+      
+      // Track for learning - engagement arrives later through ingestEvents()
       await this.learning.trackEmail(
-        `email_${Date.now()}`,
+        emailId,
         lead.id,
-        emailContent.subject || subject,
+        subjectLine,
         new Date().toISOString(),
-        false, false, false, false
+        false, false, false, false,
+        {
+          providerId: delivery.id,
+          messageId: delivery.messageId,
+          brand,
+          step: options.step || 'initial',
+          variant,
+          promptVersion: emailContent.promptVersion,
+          subjectArm: picked ? { pool: picked.pool, arm: picked.arm } : undefined
+        }
       );
       
-      return { success: true, leadId: lead.id };
+      return { success: true, leadId: lead.id, emailId };
     } catch (error) {
       return { success: false, error: error.message };
     }
   }
   
+  // Verify a Stripe webhook delivery and act on it (each event id is handled once)
+  async handleStripeWebhook(rawBody, signature) {
+    const result = await this.stripeWebhooks.handle(rawBody, signature, {
+      payment: data => this.processPayment(data),
+      paymentFailed: data => this.recordPaymentFailure(data),
+      refund: data => this.recordRefund(data),
+      cancellation: data => this.recordCancellation(data)
+    });
+    
+    if (result.duplicate) console.log(`↩️ Stripe event ${result.id} already handled`);
+    return result;
+  }
+  
+  // Checkout link clicked: create a Checkout Session for the lead in the token
+  async startCheckout(token) {
+    if (!this.checkout.enabled) return { valid: false, reason: 'checkout_disabled' };
+    
+    const verified = this.checkout.verifyToken(token);
+    if (!verified.valid) return verified;
+    
+    const lead = verified.leadId ? this.leads.get(verified.leadId) : null;
+    return this.checkout.sessionForToken(token, lead);
+  }
+  
+  // Record a refund reported by Stripe against its order
+  async recordRefund(refund) {
+    const order = this.customers.recordRefund(refund);
+    console.log(`💸 Refund: $${refund.amount} to ${refund.email || refund.customerId}${refund.fullRefund ? ' (full)' : ''}`);
+    if (!order) console.log(`⚠️ No order found for refunded payment ${refund.paymentId || refund.chargeId}`);
+    return { refunded: true, amount: refund.amount, chargeId: refund.chargeId, orderId: order ? order.id : null };
+  }
+  
+  // Customer record and order history by customer id, lead id, Stripe customer id or email
+  getCustomer(key) {
+    return this.customers.history(key);
+  }
+  
+  // Outreach emails that led to this sale: sent to the lead since its previous order
+  attribution(lead) {
+    if (!lead) return { leadId: null, emails: [] };
+    
+    const previous = this.customers.find(lead.id);
+    const since = previous && previous.lastPurchaseAt;
+    const emails = this.learning.loadMetrics('email_performance')
+      .filter(e => e.leadId === lead.id && (!since || e.sentAt > since))
+      .map(e => ({ emailId: e.emailId, variant: e.variant, sentAt: e.sentAt }));
+    
+    return { leadId: lead.id, emails };
+  }
+  
+  // Failed renewal: pause deliveries until an invoice is paid again
+  async recordPaymentFailure(failure) {
+    const subscription = this.subscriptions.pause(failure.subscriptionId, `payment_failed (attempt ${failure.attempt || 1})`);
+    console.log(`⏸️ Subscription ${failure.subscriptionId} paused - payment failed`);
+    return { paused: Boolean(subscription && subscription.status === 'paused'), subscriptionId: failure.subscriptionId };
+  }
+  
+  // Record a cancelled subscription reported by Stripe - no further deliveries
+  async recordCancellation(cancellation) {
+    this.subscriptions.cancel(cancellation.subscriptionId, cancellation.reason);
+    console.log(`🛑 Subscription ${cancellation.subscriptionId} cancelled (${cancellation.businessType || 'unknown business'})`);
+    return { cancelled: true, subscriptionId: cancellation.subscriptionId };
+  }
+  
   // Process payment and deliver service
   async processPayment(paymentData) {
-    const { email, website, businessType, amount } = paymentData;
+    const { email, businessType, amount, leadId } = paymentData;
     
     console.log(`💰 Processing payment: $${amount} from ${email}`);
     
-    // Track conversion
+    const lead = (leadId && this.leads.get(leadId)) || (email && this.leads.findByEmail(email)) || null;
+    
+    // Order linked to the lead, its outreach emails and their variants
+    const attribution = this.attribution(lead);
+    const { order, customer, duplicate } = this.customers.recordOrder(paymentData, attribution);
+    
+    if (duplicate) {
+      // Same payment again: never count it twice, only finish a delivery that hasn't gone out
+      console.log(`↩️ Payment ${paymentData.paymentId} already recorded as ${order.id}`);
+      const pending = !order.delivery || ['pending', 'failed'].includes(order.delivery.status);
+      return {
+        payment: 'duplicate',
+        orderId: order.id,
+        customerId: order.customerId,
+        service: pending ? await this.deliverOrder(order, paymentData, lead) : null,
+        tracked: false
+      };
+    }
+    
+    if (lead) {
+      this.leads.transition(lead.id, 'customer', { via: 'payment', eventId: paymentData.eventId });
+    }
+    
+    // Track conversion and the price that was accepted
+    await this.learning.trackPricing(amount, 'accepted', businessType);
     await this.learning.trackConversion(
-      `customer_${Date.now()}`,
-      1, // touchpoints
+      lead ? lead.id : customer.id,
+      order.touchpoints,
       'sale',
       amount
     );
-    
-    // Generate and deliver service with AI
-    let serviceResult;
-    
-    switch (businessType) {
-      case 'auditiqs':
-        serviceResult = await this.deliverSEOAudit(email, website);
-        break;
-      case 'leadvaults':
-        serviceResult = await this.deliverLeads(email);
-        break;
-      case 'contentais':
-        serviceResult = await this.deliverContent(email);
-        break;
-      default:
-        serviceResult = await this.sendConfirmation(email, businessType);
+    if (attribution.emails.length > 0) {
+      await this.learning.recordEngagement(attribution.emails.map(e => ({ type: 'conversion', emailId: e.emailId })));
     }
+    if (lead) this.experiments.recordConversion(lead.id, 'sale');
     
     return {
       payment: 'processed',
-      service: serviceResult,
+      orderId: order.id,
+      customerId: customer.id,
+      service: await this.deliverOrder(order, paymentData, lead),
       tracked: true
     };
   }
   
+  // Generate and deliver the paid service with AI; a failure is stored on the order and retried, not thrown
+  async deliverOrder(order, paymentData, lead) {
+    const { email, website, businessType } = paymentData;
+    
+    try {
+      let serviceResult;
+      
+      switch (businessType) {
+        case 'auditiqs':
+          serviceResult = await this.deliverSEOAudit(email, website);
+          break;
+        case 'leadvaults':
+          serviceResult = paymentData.subscriptionId
+            ? await this.startLeadSubscription(paymentData)
+            : await this.deliverLeads(email);
+          break;
+        case 'competeai':
+          serviceResult = await this.deliverCompetitorIntel(email, website, paymentData.competitors);
+          break;
+        case 'socialpulses':
+          serviceResult = await this.deliverSocialPack(email, {
+            name: (lead && lead.company) || email.split('@').pop(),
+            industry: lead ? lead.industry : null,
+            website: website || (lead ? lead.website : null)
+          });
+          break;
+        case 'contentais':
+          serviceResult = await this.deliverContent(email, { orderId: order.id, requirements: paymentData.requirements });
+          break;
+        default:
+          serviceResult = await this.sendConfirmation(email, businessType);
+      }
+      
+      this.customers.recordDelivery(order.id, { delivered: true });
+      return serviceResult;
+    } catch (e) {
+      const updated = this.customers.recordDelivery(order.id, { delivered: false, error: e.message, payment: paymentData });
+      console.log(`❌ Delivery for order ${order.id} failed (attempt ${updated.delivery.attempts}): ${e.message}`);
+      return { delivered: false, error: e.message, status: updated.delivery.status, nextAttemptAt: updated.delivery.nextAttemptAt };
+    }
+  }
+  
+  // Retry paid orders whose delivery failed, once their backoff has passed
+  async retryFailedDeliveries() {
+    const orders = this.customers.pendingDeliveries();
+    
+    for (const order of orders) {
+      const payment = order.delivery.payment;
+      if (!payment) continue;
+      
+      const lead = (order.leadId && this.leads.get(order.leadId)) || null;
+      console.log(`🔁 Retrying delivery for order ${order.id}`);
+      await this.deliverOrder(order, payment, lead);
+    }
+    
+    return orders.length;
+  }
+  
   // Deliver SEO audit with AI
   async deliverSEOAudit(email, website) {
+    if (!website) {
+      console.log(`⚠️ No website for ${email}'s audit - sending confirmation only`);
+      return this.sendConfirmation(email, 'auditiqs');
+    }
+    
     console.log(`🔍 Running AI-powered SEO audit for ${website}`);
     
-    // Use AI to generate comprehensive report
-    const report = await this.ai.generateAuditReport({ website }, website);
+    // Crawl the site, then let AI write the report from the real findings
+    const auditData = await this.auditor.audit(website);
+    const report = await this.ai.generateAuditReport(auditData, website);
     
     // Send report
-    const { Resend } = require('resend');
-    const resend = new Resend(process.env.RESEND_API_KEY);
-    
-    await resend.emails.send({
-      from: 'reports@auditiqs.com',
+    await this.mailer.send({
+      brand: 'auditiqs',
       to: email,
       subject: `Your SEO Audit Report for ${website}`,
-      html: report
+      html: report,
+      attachments: [{ filename: 'seo-audit.json', content: Buffer.from(JSON.stringify(auditData, null, 2)), contentType: 'application/json' }]
     });
     
-    return { delivered: true, type: 'seo_audit' };
+    return { delivered: true, type: 'seo_audit', score: auditData.score, issues: auditData.issues.length };
+  }
+  
+  // Deliver competitor intelligence with AI; repeat orders include what changed since the last one
+  async deliverCompetitorIntel(email, website, competitors = []) {
+    if (!website) {
+      console.log(`⚠️ No website for ${email}'s competitor report - sending confirmation only`);
+      return this.sendConfirmation(email, 'competeai');
+    }
+    
+    console.log(`🕵️ Analyzing ${website} against ${competitors.length} competitor(s)`);
+    
+    const intel = await this.competitorIntel.analyze(website, competitors);
+    const report = await this.ai.generateCompetitorReport(intel);
+    
+    await this.mailer.send({
+      brand: 'competeai',
+      to: email,
+      subject: `Your Competitor Report for ${intel.website}`,
+      html: report,
+      attachments: [{ filename: 'competitor-intel.json', content: Buffer.from(JSON.stringify(intel, null, 2)), contentType: 'application/json' }]
+    });
+    
+    const changes = intel.sites.reduce((sum, s) => sum + (s.changes ? s.changes.length : 0), 0);
+    return { delivered: true, type: 'competitor_intel', sites: intel.sites.length, changes };
+  }
+  
+  // Deliver a 30-day social calendar with AI-written posts, as CSV and ICS
+  async deliverSocialPack(email, business) {
+    console.log(`📱 Building 30-day social calendar for ${business.name}`);
+    
+    const pack = await this.socialPacks.generate(business);
+    
+    await this.mailer.send({
+      brand: 'socialpulses',
+      to: email,
+      subject: `Your 30-Day Social Calendar for ${business.name}`,
+      html: this.socialPacks.toHTML(pack),
+      attachments: [
+        { filename: 'social-calendar.csv', content: Buffer.from(this.socialPacks.toCSV(pack)), contentType: 'text/csv' },
+        { filename: 'social-calendar.ics', content: Buffer.from(this.socialPacks.toICS(pack)), contentType: 'text/calendar' }
+      ]
+    });
+    
+    return { delivered: true, type: 'social_pack', posts: pack.posts.length, start: pack.start, end: pack.end };
+  }
+  
+  // Paid leadvaults invoice: activate/resume the subscription and deliver if a delivery is due
+  async startLeadSubscription(paymentData) {
+    const { subscription, created, resumed } = this.subscriptions.activate(paymentData);
+    
+    if (subscription.status === 'cancelled') {
+      return { delivered: false, type: 'leads', reason: 'subscription_cancelled' };
+    }
+    if (created) console.log(`🔁 New leadvaults subscriber: ${subscription.email}`);
+    if (resumed) console.log(`▶️ Subscription ${subscription.id} resumed`);
+    
+    const delivery = await this.deliverSubscription(subscription);
+    return delivery || { delivered: false, type: 'leads', nextDeliveryAt: subscription.nextDeliveryAt };
+  }
+  
+  // Weekly deliveries for every active subscription that is due
+  async runSubscriptionDeliveries(now = new Date()) {
+    const results = { delivered: 0, failed: 0 };
+    
+    for (const subscription of this.subscriptions.due(now)) {
+      const result = await this.deliverSubscription(subscription, now);
+      if (!result) continue;
+      result.delivered ? results.delivered++ : results.failed++;
+    }
+    
+    return results;
   }
   
-  // Deliver leads
-  async deliverLeads(email) {
+  // One delivery for a subscription; null if it isn't due (or another run claimed it)
+  async deliverSubscription(subscription, now = new Date()) {
+    if (!this.subscriptions.claimDelivery(subscription.id, now)) return null;
+    
+    try {
+      const result = await this.deliverLeads(subscription.email, {
+        customerKey: subscription.customerKey,
+        subscriptionId: subscription.id
+      });
+      this.subscriptions.completeDelivery(subscription.id);
+      return result;
+    } catch (e) {
+      this.subscriptions.failDelivery(subscription.id, e.message);
+      console.log(`❌ Lead delivery for ${subscription.id} failed: ${e.message}`);
+      return { delivered: false, type: 'leads', error: e.message };
+    }
+  }
+  
+  // Deliver leads - never a lead this customer has already received
+  async deliverLeads(email, options = {}) {
+    const { customerKey = email.toLowerCase(), subscriptionId, count = 50 } = options;
     console.log(`📋 Generating AI-curated leads for ${email}`);
     
-    const leads = await this.generateLeads(50);
-    const csv = this.generateCSV(leads);
+    const delivered = this.subscriptions.deliveredTo(customerKey);
+    const leads = [];
+    
+    for (let attempt = 0; attempt < 5 && leads.length < count; attempt++) {
+      for (const lead of await this.generateLeads(count * 2)) {
+        const key = lead.email.toLowerCase();
+        if (leads.length >= count || delivered.has(key)) continue;
+        delivered.add(key);
+        leads.push(lead);
+      }
+    }
     
-    const { Resend } = require('resend');
-    const resend = new Resend(process.env.RESEND_API_KEY);
+    if (leads.length === 0) throw new Error('No new leads left for this customer');
     
-    await resend.emails.send({
-      from: 'leads@leadvaults.io',
+    const csv = this.generateCSV(leads);
+    
+    await this.mailer.send({
+      brand: 'leadvaults',
       to: email,
       subject: 'Your Weekly Leads Are Ready',
       html: '<p>Your curated leads are attached.</p>',
-      attachments: [{ filename: 'leads.csv', content: Buffer.from(csv).toString('base64') }]
+      attachments: [{ filename: 'leads.csv', content: Buffer.from(csv), contentType: 'text/csv' }]
     });
     
-    return { delivered: true, type: 'leads', count: 50 };
+    this.subscriptions.recordDelivered(customerKey, leads, subscriptionId);
+    
+    return { delivered: true, type: 'leads', count: leads.length };
   }
   
-  // Deliver content
-  async deliverContent(email) {
-    console.log(`📝 Creating AI content for ${email}`);
+  // Deliver content written to the order's brief; without a topic, ask for one first
+  async deliverContent(email, { orderId, requirements } = {}) {
+    const brief = normalizeRequirements(requirements || {});
+    if (!brief.topic) {
+      return this.requestContentIntake(email, orderId, brief);
+    }
     
-    const content = await this.ai.generateContent('blog-post', 'Your Business Topic');
+    console.log(`📝 Creating AI ${brief.contentType} about "${brief.topic}" for ${email}`);
     
-    const { Resend } = require('resend');
-    const resend = new Resend(process.env.RESEND_API_KEY);
+    const markdown = await this.ai.generateContent(brief.contentType, brief.topic, brief);
+    const title = extractTitle(markdown) || brief.topic;
+    const html = renderMarkdown(markdown);
+    const filename = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'content';
     
-    await resend.emails.send({
-      from: 'content@contentais.io',
+    await this.mailer.send({
+      brand: 'contentais',
       to: email,
-      subject: 'Your Content Is Ready',
-      html: `<pre>${content}</pre>`
+      subject: `Your Content Is Ready: ${title}`,
+      html,
+      attachments: [
+        { filename: `${filename}.md`, content: Buffer.from(markdown), contentType: 'text/markdown' },
+        { filename: `${filename}.doc`, content: Buffer.from(toWordDocument(title, html)), contentType: 'application/msword' }
+      ]
     });
     
-    return { delivered: true, type: 'content' };
+    if (orderId) this.contentIntake.markDelivered(orderId);
+    
+    const words = markdown.split(/\s+/).filter(Boolean).length;
+    return { delivered: true, type: 'content', contentType: brief.contentType, title, words };
+  }
+  
+  // Email the intake form link for an order that arrived without a brief
+  async requestContentIntake(email, orderId, brief) {
+    if (!orderId) return this.sendConfirmation(email, 'contentais');
+    
+    this.contentIntake.open(orderId, email, brief);
+    const url = this.contentIntake.formUrl(orderId);
+    
+    await this.mailer.send({
+      brand: 'contentais',
+      role: 'orders',
+      to: email,
+      subject: 'Order Confirmed - Tell Us What to Write',
+      html: `<p>Thank you for your order! Tell us the topic, keywords, tone and audience for your content and we'll start writing right away:</p>
+<p><a href="${url}">Fill in your content brief</a></p>`
+    });
+    
+    console.log(`📋 Waiting for ${email}'s content brief (order ${orderId})`);
+    return { delivered: false, type: 'content', awaiting: 'intake', intakeUrl: url };
+  }
+  
+  // Intake form submission: { valid, accepted, result } - delivers the content once per order
+  async submitContentIntake(token, fields) {
+    const verified = this.contentIntake.verifyToken(token);
+    if (!verified.valid) return verified;
+    
+    const { intake, accepted, reason } = this.contentIntake.submit(verified.orderId, fields);
+    if (!intake) return { valid: false, reason: 'unknown_order' };
+    if (!accepted) return { valid: true, accepted: false, reason: reason || intake.status, intake };
+    
+    try {
+      const result = await this.deliverContent(intake.email, { orderId: intake.orderId, requirements: intake.requirements });
+      return { valid: true, accepted: true, result };
+    } catch (e) {
+      // Let the customer submit again rather than lose the order
+      this.contentIntake.reopen(intake.orderId);
+      throw e;
+    }
   }
   
   // Send confirmation
   async sendConfirmation(email, businessType) {
-    const { Resend } = require('resend');
-    const resend = new Resend(process.env.RESEND_API_KEY);
-    
-    await resend.emails.send({
-      from: 'orders@auditiqs.com',
+    await this.mailer.send({
+      brand: businessType,
+      role: 'orders',
       to: email,
       subject: 'Order Confirmed',
       html: `<p>Thank you! Your ${businessType} order is being processed.</p>`
@@ -289,8 +1015,20 @@ class AIBusiness {
       predictions: {
         bestSendTime: predictions
       },
+      outreach: {
+        leads: this.leads.counts(),
+        queue: this.scheduler.stats(),
+        sequences: this.sequences.stats()
+      },
+      subscriptions: this.subscriptions.stats(),
+      customers: this.customers.stats(),
       modelsLoaded: models ? Object.keys(models).length : 0,
-      aiEnabled: !!this.ai.openai
+      modelRegistry: this.training.listModels(),
+      training: this.training.status(),
+      aiEnabled: this.ai.isAvailable(),
+      ai: this.ai.getStatus(),
+      aiUsage: this.ai.usage.summary(),
+      experiments: this.experiments.summary()
     };
   }
   
@@ -303,7 +1041,7 @@ class AIBusiness {
   generateCSV(leads) {
     const headers = ['Email', 'First Name', 'Last Name', 'Company', 'Industry'];
     const rows = leads.map(l => [l.email, l.firstName, l.lastName, l.company, l.industry]);
-    return [headers, ...rows].map(r => r.join(',')).join('\n');
+    return toCSV([headers, ...rows]);
   }
 }
 
@@ -313,7 +1051,85 @@ module.exports = { AIBusiness };
 // Run if called directly
 if (require.main === module) {
   const biz = new AIBusiness();
-  biz.init().then(status => {
-    console.log('Status:', status);
-  });
+  const [command, arg, mappingFile] = process.argv.slice(2);
+  
+  if (command === 'import-leads') {
+    const mapping = mappingFile ? JSON.parse(require('fs').readFileSync(mappingFile, 'utf8')) : undefined;
+    biz.importLeads(arg, { mapping }).catch(e => {
+      console.error('Import failed:', e.message);
+      process.exitCode = 1;
+    });
+  } else if (command === 'run') {
+    biz.init().then(async () => {
+      await biz.startServer();
+      biz.startScheduler();
+    });
+  } else if (command === 'audit') {
+    biz.auditor.audit(arg).then(result => {
+      console.log(`Score: ${result.score}/100 (${result.grade}) - ${result.stats.pagesCrawled} pages`);
+      result.issues.forEach(i => console.log(`   [${i.severity}] ${i.message} (${i.count})`));
+    });
+  } else if (command === 'intel') {
+    // node index.js intel <website> <competitor,competitor,...>
+    biz.competitorIntel.analyze(arg, (mappingFile || '').split(',').filter(Boolean)).then(intel => {
+      intel.comparison.forEach(s => console.log(`${s.domain}${s.isCustomer ? ' (you)' : ''}: ${s.prices.join(', ') || 'no prices'} | ${s.tech.join(', ') || 'no tech detected'}`));
+      intel.sites.filter(s => s.snapshot.error).forEach(s => console.log(`${s.domain}: unreachable (${s.snapshot.error})`));
+      intel.sites.filter(s => s.changes).forEach(s => console.log(`${s.domain}: ${s.changes.length} change(s) since ${s.previousAt}`));
+    });
+  } else if (command === 'experiment') {
+    // node index.js experiment <spec.json> - start an A/B test
+    try {
+      const experiment = biz.experiments.create(JSON.parse(require('fs').readFileSync(arg, 'utf8')));
+      console.log(`🧪 Experiment ${experiment.id} running: ${experiment.type} (${experiment.variants.map(v => v.key).join(' / ')}), metric ${experiment.metric}`);
+    } catch (e) {
+      console.error('Experiment not created:', e.message);
+      process.exitCode = 1;
+    }
+  } else if (command === 'experiments') {
+    biz.experiments.summary().forEach(e => {
+      console.log(`${e.id} [${e.status}${e.winner ? `, winner ${e.winner}` : ''}] ${e.type} on ${e.metric}`);
+      e.variants.forEach(v => console.log(`   ${v.key}: ${v.conversions}/${v.exposures} (${(v.rate * 100).toFixed(1)}%)${v.pValue !== undefined ? ` p=${v.pValue}` : ''}`));
+    });
+  } else if (command === 'subjects') {
+    // node index.js subjects [businessType|industry] - bandit arms, best first
+    biz.learning.getSubjectStats(arg || null).forEach(pool => {
+      console.log(pool.pool);
+      pool.arms.forEach(a => console.log(`   ${(a.mean * 100).toFixed(1)}% (p best ${(a.pBest * 100).toFixed(0)}%, ${a.pulls} sends, ${a.source}) ${a.subject}`));
+    });
+  } else if (command === 'models') {
+    // node index.js models - registry versions, champion first
+    biz.training.listModels().forEach(m => {
+      console.log(`${m.name}: champion v${m.champion}${m.pinned ? ' (pinned)' : ''}`);
+      m.versions.forEach(v => console.log(`   v${v.version}${v.version === m.champion ? ' *' : ''} ${v.trainedAt} ${v.metric && v.metric.value !== null ? `${v.metric.name} ${v.metric.value}` : 'no holdout metric'} (${v.decision})`));
+    });
+  } else if (['rollback', 'pin', 'unpin'].includes(command)) {
+    // node index.js rollback <model> | pin <model> [version] | unpin <model>
+    try {
+      if (command === 'rollback') console.log(`⏪ ${biz.training.rollbackModel(arg).id} is the champion again`);
+      if (command === 'pin') console.log(`📌 ${arg} pinned at v${biz.training.pinModel(arg, mappingFile || null)}`);
+      if (command === 'unpin') {
+        biz.training.unpinModel(arg);
+        console.log(`📍 ${arg} unpinned`);
+      }
+    } catch (e) {
+      console.error(`${command} failed:`, e.message);
+      process.exitCode = 1;
+    }
+  } else if (command === 'serve') {
+    biz.startServer();
+  } else if (command === 'stripe-replay') {
+    // Sign a Stripe event fixture with STRIPE_WEBHOOK_TEST_SECRET and run it through the webhook handler;
+    // only this replay accepts the test secret, never the live endpoint
+    const payload = require('fs').readFileSync(arg, 'utf8');
+    biz.stripeWebhooks = new StripeWebhooks({ secrets: [process.env.STRIPE_WEBHOOK_TEST_SECRET] });
+    const signature = StripeWebhooks.sign(payload, process.env.STRIPE_WEBHOOK_TEST_SECRET || '');
+    biz.handleStripeWebhook(payload, signature).then(result => console.log('Result:', result)).catch(e => {
+      console.error('Replay failed:', e.message);
+      process.exitCode = 1;
+    });
+  } else {
+    biz.init().then(status => {
+      console.log('Status:', status);
+    });
+  }
 }
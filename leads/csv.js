@@ -0,0 +1,99 @@
+/**
+ * CSV (RFC 4180)
+ * Quote-aware parser + serializer shared by lead import and lead delivery
+ */
+
+// Parse CSV text into an array of rows (arrays of strings)
+function parseCSV(text) {
+  return parseLines(text).map(r => r.cells);
+}
+
+// Rows with the physical line each one starts on (quoted fields may span lines): [{ cells, line }]
+function parseLines(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let start = 1;
+  let i = 0;
+
+  // Strip UTF-8 BOM left by spreadsheet exports
+  if (text.charCodeAt(0) === 0xfeff) i = 1;
+
+  for (; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (ch === '\n' || (ch === '\r' && text[i + 1] !== '\n')) line++;
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"' && field === '') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\r' || ch === '\n') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push({ cells: row, line: start });
+      row = [];
+      field = '';
+      start = ++line;
+    } else {
+      field += ch;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field in CSV');
+  }
+
+  // Last line without a trailing newline
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push({ cells: row, line: start });
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.cells.length > 1 || r.cells[0] !== '');
+}
+
+// Parse CSV with a header row into objects keyed by header, each tagged with its line number
+function parseCSVRecords(text) {
+  const [header, ...rows] = parseLines(text);
+  if (!header) return [];
+
+  return rows.map(({ cells, line }) => {
+    const record = {};
+    header.cells.forEach((name, col) => {
+      record[name.trim()] = (cells[col] ?? '').trim();
+    });
+    return { row: line, record };
+  });
+}
+
+// Quote a field only when it needs it
+function escapeField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) || /^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Serialize rows (first row usually headers) with CRLF line breaks per RFC 4180
+function toCSV(rows) {
+  return rows.map(r => r.map(escapeField).join(',')).join('\r\n');
+}
+
+module.exports = { parseCSV, parseCSVRecords, toCSV, escapeField };
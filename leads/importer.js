@@ -0,0 +1,196 @@
+/**
+ * LEAD IMPORTER
+ * CSV/JSON lead files -> field mapping -> validation -> LeadRepository
+ * Every input row ends up in the report as created, duplicate or rejected
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseCSVRecords, toCSV } = require('./csv');
+const { INDUSTRIES } = require('./index');
+
+// Column names recognised for each lead field when no mapping is given
+const DEFAULT_MAPPING = {
+  email: ['email', 'e-mail', 'email address', 'e-mail address', 'work email', 'mail'],
+  firstName: ['first name', 'firstname', 'first_name', 'given name', 'first'],
+  lastName: ['last name', 'lastname', 'last_name', 'surname', 'family name', 'last'],
+  company: ['company', 'company name', 'organization', 'organisation', 'business', 'account'],
+  industry: ['industry', 'sector', 'vertical'],
+  website: ['website', 'web site', 'company website', 'url', 'homepage'],
+  timezone: ['timezone', 'time zone', 'tz']
+};
+
+// Free-text industry values -> the industries generateLeads uses
+const INDUSTRY_SYNONYMS = {
+  tech: ['tech', 'technology', 'software', 'saas', 'it', 'information technology', 'internet', 'computer software'],
+  marketing: ['marketing', 'advertising', 'agency', 'digital marketing', 'marketing and advertising', 'media', 'pr'],
+  finance: ['finance', 'financial services', 'fintech', 'banking', 'insurance', 'accounting', 'investment'],
+  healthcare: ['healthcare', 'health care', 'health', 'medical', 'hospital', 'pharma', 'pharmaceuticals', 'dental', 'wellness'],
+  retail: ['retail', 'ecommerce', 'e-commerce', 'shop', 'store', 'consumer goods', 'fashion'],
+  'real-estate': ['real-estate', 'real estate', 'realestate', 'property', 'realty', 'property management', 'construction']
+};
+
+// Practical RFC 5322 subset: local@domain.tld, no spaces, no consecutive dots
+const EMAIL_REGEX = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*@(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/i;
+
+class LeadImporter {
+  constructor(repository) {
+    this.repository = repository;
+  }
+
+  // Import a .csv or .json file; options.mapping maps lead fields to source column names
+  importFile(filePath, options = {}) {
+    const format = options.format || path.extname(filePath).slice(1).toLowerCase();
+    const text = fs.readFileSync(filePath, 'utf8');
+    const source = options.source || `${format}:${path.basename(filePath)}`;
+
+    let records;
+    if (format === 'csv') {
+      records = parseCSVRecords(text);
+    } else if (format === 'json') {
+      records = parseJSONRecords(text);
+    } else {
+      throw new Error(`Unsupported lead file format: ${format || 'unknown'}`);
+    }
+
+    const report = this.importRecords(records, { ...options, source });
+
+    if (options.reportPath) {
+      fs.writeFileSync(options.reportPath, reportToCSV(report));
+    }
+
+    return report;
+  }
+
+  // Map, validate and store records ({ row, record }); returns the per-row report
+  importRecords(records, options = {}) {
+    const mapping = resolveMapping(options.mapping);
+    const rows = [];
+    const valid = [];
+
+    for (const { row, record } of records) {
+      const lead = mapRecord(record, mapping);
+      const problems = validateLead(lead);
+
+      if (problems.errors.length > 0) {
+        rows.push({ row, status: 'rejected', email: lead.email, reason: problems.errors.join('; ') });
+        continue;
+      }
+
+      valid.push({ row, warnings: problems.warnings, lead: { ...lead, source: options.source || 'import' } });
+    }
+
+    const stored = this.repository.addMany(valid.map(v => v.lead));
+
+    stored.results.forEach((result, i) => {
+      const { row, warnings, lead } = valid[i];
+      rows.push({
+        row,
+        status: result.status === 'created' ? 'created' : 'rejected',
+        email: lead.email,
+        leadId: result.lead.id,
+        reason: result.status === 'created' ? warnings.join('; ') : `duplicate ${result.reason} (${result.lead.id})`
+      });
+    });
+
+    rows.sort((a, b) => a.row - b.row);
+
+    return {
+      total: records.length,
+      created: rows.filter(r => r.status === 'created').length,
+      rejected: rows.filter(r => r.status === 'rejected').length,
+      rows,
+      rejects: rows.filter(r => r.status === 'rejected')
+    };
+  }
+}
+
+// ==================== MAPPING ====================
+
+// Merge a user mapping ({ email: 'E-Mail Address' }) over the default aliases
+function resolveMapping(custom = {}) {
+  const mapping = {};
+  for (const field of Object.keys(DEFAULT_MAPPING)) {
+    const names = custom[field] ? [].concat(custom[field]) : DEFAULT_MAPPING[field];
+    mapping[field] = names.map(headerKey);
+  }
+  return mapping;
+}
+
+function mapRecord(record, mapping) {
+  const byKey = {};
+  Object.entries(record).forEach(([key, value]) => {
+    byKey[headerKey(key)] = typeof value === 'string' ? value.trim() : value;
+  });
+
+  const lead = {};
+  for (const [field, keys] of Object.entries(mapping)) {
+    const key = keys.find(k => byKey[k] !== undefined && byKey[k] !== '');
+    lead[field] = key ? String(byKey[key]) : '';
+  }
+  return lead;
+}
+
+function headerKey(name) {
+  return String(name).trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+}
+
+// ==================== VALIDATION ====================
+
+function validateLead(lead) {
+  const errors = [];
+  const warnings = [];
+
+  if (!lead.email) {
+    errors.push('missing email');
+  } else if (!isValidEmail(lead.email)) {
+    errors.push(`invalid email "${lead.email}"`);
+  }
+
+  if (lead.industry) {
+    const industry = normalizeIndustry(lead.industry);
+    if (!industry) warnings.push(`unknown industry "${lead.industry}"`);
+    lead.industry = industry;
+  } else {
+    lead.industry = null;
+  }
+
+  if (!lead.timezone) delete lead.timezone;
+
+  return { errors, warnings };
+}
+
+function isValidEmail(email) {
+  return typeof email === 'string' && email.length <= 254 && EMAIL_REGEX.test(email.trim());
+}
+
+function normalizeIndustry(value) {
+  const key = String(value).trim().toLowerCase().replace(/\s*&\s*/g, ' and ').replace(/\s+/g, ' ');
+  if (INDUSTRIES.includes(key)) return key;
+
+  const match = Object.entries(INDUSTRY_SYNONYMS).find(([, names]) => names.includes(key));
+  return match ? match[0] : null;
+}
+
+// ==================== FILES ====================
+
+// Accepts [{...}] or { leads: [{...}] }
+function parseJSONRecords(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data.leads;
+
+  if (!Array.isArray(list)) {
+    throw new Error('JSON lead file must be an array or { "leads": [...] }');
+  }
+
+  return list.map((record, index) => ({ row: index + 1, record: record || {} }));
+}
+
+function reportToCSV(report) {
+  return toCSV([
+    ['Row', 'Status', 'Email', 'Lead ID', 'Reason'],
+    ...report.rows.map(r => [r.row, r.status, r.email, r.leadId || '', r.reason || ''])
+  ]);
+}
+
+module.exports = { LeadImporter, isValidEmail, normalizeIndustry, DEFAULT_MAPPING };
@@ -0,0 +1,237 @@
+/**
+ * LEAD REPOSITORY
+ * Persistent lead store with stable ids, deduplication and lifecycle states
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { readJSON, writeJSON } = require('../storage');
+
+// Industry values every lead is normalized to (shared with generateLeads)
+const INDUSTRIES = ['tech', 'marketing', 'finance', 'healthcare', 'retail', 'real-estate'];
+
+const LEAD_STATES = ['new', 'scored', 'contacted', 'replied', 'customer', 'unsubscribed', 'bounced'];
+
+// Allowed moves between lifecycle states (anyone can become a customer)
+const TRANSITIONS = {
+  new: ['scored', 'contacted', 'customer', 'unsubscribed', 'bounced'],
+  scored: ['scored', 'contacted', 'customer', 'unsubscribed', 'bounced'],
+  contacted: ['contacted', 'replied', 'customer', 'unsubscribed', 'bounced'],
+  replied: ['contacted', 'replied', 'customer', 'unsubscribed'],
+  customer: ['customer', 'unsubscribed'],
+  unsubscribed: ['customer'],
+  bounced: ['customer']
+};
+
+// States outreach may pick leads from
+const ELIGIBLE_STATES = ['new', 'scored'];
+
+// Personal mailbox providers - many unrelated people share these domains
+const FREEMAIL_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'live.com',
+  'msn.com', 'aol.com', 'icloud.com', 'me.com', 'proton.me', 'protonmail.com', 'gmx.com'
+];
+
+class LeadRepository {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || path.join(__dirname, '../data');
+    this.file = path.join(this.dataDir, 'leads.json');
+    this.dedupeByDomain = options.dedupeByDomain !== false;
+    this.ensureDataDir();
+  }
+
+  ensureDataDir() {
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+  }
+
+  // ==================== WRITES ====================
+
+  // Add a lead unless its email (or company domain) is already stored
+  add(lead) {
+    const leads = this.load();
+    const result = this.insert(leads, lead);
+    if (result.status === 'created') this.save(leads);
+    return result;
+  }
+
+  // Add many leads in one load/save
+  addMany(leadList) {
+    const leads = this.load();
+    const results = leadList.map(lead => this.insert(leads, lead));
+    const created = results.filter(r => r.status === 'created').length;
+
+    if (created > 0) this.save(leads);
+
+    return {
+      created,
+      duplicates: results.filter(r => r.status === 'duplicate').length,
+      invalid: results.filter(r => r.status === 'invalid').length,
+      results
+    };
+  }
+
+  insert(leads, lead) {
+    const normalizedEmail = normalizeEmail(lead.email);
+    if (!normalizedEmail) {
+      return { status: 'invalid', reason: 'missing or malformed email', lead };
+    }
+
+    const domain = normalizedEmail.split('@')[1];
+
+    const sameEmail = leads.find(l => l.normalizedEmail === normalizedEmail);
+    if (sameEmail) {
+      return { status: 'duplicate', reason: 'email', lead: sameEmail };
+    }
+
+    if (this.dedupeByDomain && !isFreemail(domain)) {
+      const sameDomain = leads.find(l => l.domain === domain);
+      if (sameDomain) {
+        return { status: 'duplicate', reason: 'domain', lead: sameDomain };
+      }
+    }
+
+    const now = new Date().toISOString();
+    const record = {
+      id: leadId(normalizedEmail),
+      email: lead.email.trim(),
+      normalizedEmail,
+      domain,
+      firstName: lead.firstName || '',
+      lastName: lead.lastName || '',
+      company: lead.company || '',
+      industry: lead.industry || null,
+      website: lead.website || null,
+      timezone: lead.timezone || null,
+      source: lead.source || 'manual',
+      state: 'new',
+      score: null,
+      createdAt: lead.createdAt || now,
+      updatedAt: now,
+      history: [{ state: 'new', at: now }]
+    };
+
+    leads.push(record);
+    return { status: 'created', lead: record };
+  }
+
+  // Move a lead to a new lifecycle state
+  transition(id, state, details = {}) {
+    if (!LEAD_STATES.includes(state)) {
+      throw new Error(`Unknown lead state: ${state}`);
+    }
+
+    const leads = this.load();
+    const lead = leads.find(l => l.id === id);
+    if (!lead) {
+      throw new Error(`Lead not found: ${id}`);
+    }
+
+    if (!TRANSITIONS[lead.state].includes(state)) {
+      throw new Error(`Invalid lead transition ${lead.state} -> ${state} for ${id}`);
+    }
+
+    const now = new Date().toISOString();
+    lead.state = state;
+    lead.updatedAt = now;
+    lead.history.push({ state, at: now, ...details });
+
+    this.save(leads);
+    return lead;
+  }
+
+  // Store the AI score for a lead
+  markScored(id, aiScore) {
+    const lead = this.transition(id, 'scored', { score: aiScore.score });
+    return this.update(lead.id, { score: aiScore.score, aiScore });
+  }
+
+  markContacted(id, emailId) {
+    const lead = this.transition(id, 'contacted', { emailId });
+    return this.update(lead.id, { lastContactedAt: lead.updatedAt });
+  }
+
+  // Patch non-lifecycle fields
+  update(id, fields) {
+    const leads = this.load();
+    const lead = leads.find(l => l.id === id);
+    if (!lead) {
+      throw new Error(`Lead not found: ${id}`);
+    }
+
+    const { state, history, id: _id, ...rest } = fields;
+    Object.assign(lead, rest, { updatedAt: new Date().toISOString() });
+
+    this.save(leads);
+    return lead;
+  }
+
+  // ==================== READS ====================
+
+  get(id) {
+    return this.load().find(l => l.id === id) || null;
+  }
+
+  findByEmail(email) {
+    const normalizedEmail = normalizeEmail(email);
+    return this.load().find(l => l.normalizedEmail === normalizedEmail) || null;
+  }
+
+  list(filter = {}) {
+    return this.load().filter(l => !filter.state || l.state === filter.state);
+  }
+
+  // Leads outreach may contact - best scored first, then oldest
+  getEligible(limit = 50) {
+    return this.load()
+      .filter(l => ELIGIBLE_STATES.includes(l.state))
+      .sort((a, b) => (b.score ?? -1) - (a.score ?? -1) || a.createdAt.localeCompare(b.createdAt))
+      .slice(0, limit);
+  }
+
+  counts() {
+    const counts = Object.fromEntries(LEAD_STATES.map(s => [s, 0]));
+    this.load().forEach(l => counts[l.state]++);
+    return counts;
+  }
+
+  // ==================== HELPERS ====================
+
+  load() {
+    return readJSON(this.file, []);
+  }
+
+  save(leads) {
+    writeJSON(this.file, leads);
+  }
+}
+
+// Lowercase, trim, and fold Gmail dots/+tags so one mailbox has one key
+function normalizeEmail(email) {
+  if (typeof email !== 'string') return null;
+
+  const trimmed = email.trim().toLowerCase();
+  const match = trimmed.match(/^([^@\s]+)@([^@\s]+\.[^@\s]+)$/);
+  if (!match) return null;
+
+  let [, local, domain] = match;
+  if (domain === 'googlemail.com') domain = 'gmail.com';
+  if (domain === 'gmail.com') {
+    local = local.split('+')[0].replace(/\./g, '');
+  }
+
+  return `${local}@${domain}`;
+}
+
+function isFreemail(domain) {
+  return FREEMAIL_DOMAINS.includes(domain);
+}
+
+// Stable id derived from the normalized email
+function leadId(normalizedEmail) {
+  return `lead_${crypto.createHash('sha1').update(normalizedEmail).digest('hex').slice(0, 12)}`;
+}
+
+module.exports = { LeadRepository, LEAD_STATES, INDUSTRIES, normalizeEmail, isFreemail };
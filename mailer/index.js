@@ -0,0 +1,83 @@
+/**
+ * MAILER
+ * Single entry point for every outgoing email
+ * Picks the From identity per brand from config.businesses and hands off to a transport
+ */
+
+const path = require('path');
+const { ResendTransport, OutboxTransport, SMTPTransport } = require('./transports');
+const { newMessageId } = require('./mime');
+
+class Mailer {
+  constructor({ businesses = {}, transport, defaultBrand = 'auditiqs' }) {
+    this.businesses = businesses;
+    this.transport = transport;
+    this.defaultBrand = defaultBrand;
+  }
+
+  // Transport from env: MAIL_TRANSPORT, else Resend if keyed, else SMTP if configured, else outbox
+  static fromEnv(businesses, options = {}) {
+    const env = process.env;
+    const kind = env.MAIL_TRANSPORT || (env.RESEND_API_KEY ? 'resend' : env.SMTP_HOST ? 'smtp' : 'outbox');
+
+    let transport;
+    switch (kind) {
+      case 'resend':
+        transport = new ResendTransport({ apiKey: env.RESEND_API_KEY });
+        break;
+      case 'smtp':
+        transport = new SMTPTransport({
+          host: env.SMTP_HOST || 'localhost',
+          port: parseInt(env.SMTP_PORT, 10) || 587,
+          secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : undefined,
+          user: env.SMTP_USER,
+          pass: env.SMTP_PASS
+        });
+        break;
+      case 'outbox':
+        transport = new OutboxTransport({
+          dir: env.MAIL_OUTBOX_DIR || path.join(__dirname, '../data/outbox')
+        });
+        break;
+      default:
+        throw new Error(`Unknown MAIL_TRANSPORT: ${kind}`);
+    }
+
+    return new Mailer({ businesses, transport, ...options });
+  }
+
+  // Sender for a brand + role ('outreach', 'delivery', 'orders')
+  identity(brand, role) {
+    const business = this.businesses[brand] || this.businesses[this.defaultBrand];
+    const senders = (business && business.senders) || {};
+    const from = senders[role] || senders.delivery || senders.orders;
+
+    if (!from) {
+      throw new Error(`No sender configured for ${brand}/${role}`);
+    }
+
+    return { from, replyTo: senders.replyTo };
+  }
+
+  // Send one email; returns { id, messageId, transport, from }
+  async send({ brand, role = 'delivery', to, subject, html, text, attachments, headers }) {
+    const { from, replyTo } = this.identity(brand || this.defaultBrand, role);
+    const messageId = newMessageId(from);
+
+    const result = await this.transport.send({
+      from,
+      to,
+      replyTo,
+      subject,
+      html,
+      text,
+      attachments: attachments || [],
+      headers: headers || {},
+      messageId
+    });
+
+    return { ...result, messageId, transport: this.transport.name, from };
+  }
+}
+
+module.exports = { Mailer, ResendTransport, OutboxTransport, SMTPTransport };
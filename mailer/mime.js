@@ -0,0 +1,137 @@
+/**
+ * MIME
+ * Builds RFC 5322 messages for transports that speak raw email (SMTP, .eml outbox)
+ */
+
+const crypto = require('crypto');
+
+const CRLF = '\r\n';
+
+// Build the full raw message text
+function buildMessage(message) {
+  const headers = {
+    From: message.from,
+    To: [].concat(message.to).join(', '),
+    ...(message.replyTo ? { 'Reply-To': message.replyTo } : {}),
+    Subject: encodeHeader(message.subject || ''),
+    Date: (message.date || new Date()).toUTCString(),
+    'Message-ID': message.messageId,
+    'MIME-Version': '1.0',
+    ...(message.headers || {})
+  };
+
+  const body = message.attachments && message.attachments.length > 0
+    ? mixedPart(message)
+    : alternativePart(message);
+
+  return [
+    ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
+    body
+  ].join(CRLF);
+}
+
+// multipart/alternative with text + html
+function alternativePart(message) {
+  const boundary = newBoundary('alt');
+  const text = message.text || htmlToText(message.html || '');
+
+  const parts = [textPart('text/plain', text)];
+  if (message.html) parts.push(textPart('text/html', message.html));
+
+  return [
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    ...parts.map(p => `--${boundary}${CRLF}${p}`),
+    `--${boundary}--`,
+    ''
+  ].join(CRLF);
+}
+
+// multipart/mixed wrapping the alternative body and the attachments
+function mixedPart(message) {
+  const boundary = newBoundary('mixed');
+
+  const parts = [
+    alternativePart(message),
+    ...message.attachments.map(attachmentPart)
+  ];
+
+  return [
+    `Content-Type: multipart/mixed; boundary="${boundary}"`,
+    '',
+    ...parts.map(p => `--${boundary}${CRLF}${p}`),
+    `--${boundary}--`,
+    ''
+  ].join(CRLF);
+}
+
+function textPart(contentType, content) {
+  return [
+    `Content-Type: ${contentType}; charset=utf-8`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(Buffer.from(content, 'utf8')),
+    ''
+  ].join(CRLF);
+}
+
+function attachmentPart(attachment) {
+  const filename = attachment.filename.replace(/"/g, '');
+  return [
+    `Content-Type: ${attachment.contentType || 'application/octet-stream'}; name="${filename}"`,
+    'Content-Transfer-Encoding: base64',
+    `Content-Disposition: attachment; filename="${filename}"`,
+    '',
+    base64Lines(toBuffer(attachment.content)),
+    ''
+  ].join(CRLF);
+}
+
+// ==================== HELPERS ====================
+
+// RFC 2047 encoded-word for non-ASCII header values
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function base64Lines(buffer) {
+  return buffer.toString('base64').replace(/.{76}/g, `$&${CRLF}`).replace(/\r\n$/, '');
+}
+
+function toBuffer(content) {
+  return Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf8');
+}
+
+function newBoundary(kind) {
+  return `----=_${kind}_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+function newMessageId(fromAddress) {
+  const domain = (extractAddress(fromAddress).split('@')[1] || 'localhost').toLowerCase();
+  return `<${Date.now()}.${crypto.randomBytes(8).toString('hex')}@${domain}>`;
+}
+
+// "Name <a@b.com>" -> "a@b.com"
+function extractAddress(value) {
+  const match = String(value).match(/<([^>]+)>/);
+  return (match ? match[1] : String(value)).trim();
+}
+
+// Crude plain-text fallback for HTML bodies
+function htmlToText(html) {
+  return html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|li|tr)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+module.exports = { buildMessage, newMessageId, extractAddress, htmlToText, toBuffer };
@@ -0,0 +1,213 @@
+/**
+ * MAIL TRANSPORTS
+ * Every transport implements send(message) -> { id }
+ *
+ * message = { from, to, replyTo, subject, html, text, attachments, headers, messageId }
+ * attachments = [{ filename, content: Buffer | string, contentType }]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const { buildMessage, extractAddress, toBuffer } = require('./mime');
+
+// Resend HTTP API
+class ResendTransport {
+  constructor({ apiKey }) {
+    const { Resend } = require('resend');
+    this.name = 'resend';
+    this.client = new Resend(apiKey);
+  }
+
+  async send(message) {
+    const { data, error } = await this.client.emails.send({
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+      ...(message.replyTo ? { reply_to: message.replyTo } : {}),
+      headers: { 'Message-ID': message.messageId, ...(message.headers || {}) },
+      attachments: (message.attachments || []).map(a => ({
+        filename: a.filename,
+        content: toBuffer(a.content)
+      }))
+    });
+
+    if (error) {
+      throw new Error(`Resend: ${error.message}`);
+    }
+
+    return { id: data.id };
+  }
+}
+
+// Writes each message as an .eml file - for offline runs and tests
+class OutboxTransport {
+  constructor({ dir }) {
+    this.name = 'outbox';
+    this.dir = dir;
+  }
+
+  async send(message) {
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    const id = message.messageId.replace(/[<>]/g, '');
+    const file = path.join(this.dir, `${id.replace(/[^\w.@-]/g, '_')}.eml`);
+    fs.writeFileSync(file, buildMessage(message));
+
+    return { id, file };
+  }
+}
+
+// Plain SMTP client: EHLO, optional STARTTLS / implicit TLS, AUTH PLAIN, DATA
+class SMTPTransport {
+  constructor({ host, port = 587, secure = port === 465, user, pass, timeoutMs = 30000 }) {
+    this.name = 'smtp';
+    this.host = host;
+    this.port = port;
+    this.secure = secure;
+    this.user = user;
+    this.pass = pass;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async send(message) {
+    const session = await SMTPSession.connect(this);
+
+    try {
+      await session.expect(220);
+      let features = await session.ehlo();
+
+      if (!this.secure && features.includes('STARTTLS')) {
+        await session.command('STARTTLS', 220);
+        await session.upgrade(this.host);
+        features = await session.ehlo();
+      }
+
+      if (this.user) {
+        const token = Buffer.from(`\0${this.user}\0${this.pass || ''}`).toString('base64');
+        await session.command(`AUTH PLAIN ${token}`, 235);
+      }
+
+      await session.command(`MAIL FROM:<${extractAddress(message.from)}>`, 250);
+      for (const recipient of [].concat(message.to)) {
+        await session.command(`RCPT TO:<${extractAddress(recipient)}>`, [250, 251]);
+      }
+
+      await session.command('DATA', 354);
+      // Dot-stuff lines starting with "." then terminate with <CRLF>.<CRLF>
+      const raw = buildMessage(message).replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+      await session.command(`${raw}\r\n.`, 250);
+      await session.command('QUIT', 221).catch(() => {});
+
+      return { id: message.messageId.replace(/[<>]/g, '') };
+    } finally {
+      session.close();
+    }
+  }
+}
+
+// One SMTP conversation over a socket
+class SMTPSession {
+  constructor(socket, timeoutMs) {
+    this.buffer = '';
+    this.waiting = null;
+    this.timeoutMs = timeoutMs;
+    this.attach(socket);
+  }
+
+  static connect({ host, port, secure, timeoutMs }) {
+    return new Promise((resolve, reject) => {
+      const socket = secure
+        ? tls.connect({ host, port, servername: host })
+        : net.connect({ host, port });
+
+      socket.once(secure ? 'secureConnect' : 'connect', () => resolve(new SMTPSession(socket, timeoutMs)));
+      socket.once('error', reject);
+      socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`SMTP connection to ${host}:${port} timed out`)));
+    });
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    socket.setEncoding('utf8');
+    socket.on('data', chunk => {
+      this.buffer += chunk;
+      this.flush();
+    });
+    socket.on('error', e => this.fail(e));
+    socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+  }
+
+  // Resolve the pending reply once a complete (possibly multi-line) reply is buffered
+  flush() {
+    if (!this.waiting) return;
+
+    const lines = this.buffer.split('\r\n');
+    for (let i = 0; i < lines.length - 1; i++) {
+      if (/^\d{3} /.test(lines[i])) {
+        const reply = lines.slice(0, i + 1);
+        this.buffer = lines.slice(i + 1).join('\r\n');
+        const { resolve } = this.waiting;
+        this.waiting = null;
+        resolve({ code: parseInt(reply[i].slice(0, 3), 10), lines: reply.map(l => l.slice(4)) });
+        return;
+      }
+    }
+  }
+
+  fail(error) {
+    if (!this.waiting) return;
+    const { reject } = this.waiting;
+    this.waiting = null;
+    reject(error);
+  }
+
+  read() {
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+      this.flush();
+    });
+  }
+
+  async expect(codes) {
+    const reply = await this.read();
+    if (![].concat(codes).includes(reply.code)) {
+      throw new Error(`SMTP error ${reply.code}: ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  }
+
+  command(line, codes) {
+    this.socket.write(`${line}\r\n`);
+    return this.expect(codes);
+  }
+
+  async ehlo() {
+    const reply = await this.command(`EHLO ${os.hostname() || 'localhost'}`, 250);
+    return reply.lines.map(l => l.split(' ')[0].toUpperCase());
+  }
+
+  upgrade(servername) {
+    return new Promise((resolve, reject) => {
+      this.socket.removeAllListeners('data');
+      this.socket.removeAllListeners('close');
+      this.socket.removeAllListeners('error');
+      const secured = tls.connect({ socket: this.socket, servername }, () => resolve());
+      secured.once('error', reject);
+      this.attach(secured);
+    });
+  }
+
+  close() {
+    this.socket.removeAllListeners('close');
+    this.socket.end();
+  }
+}
+
+module.exports = { ResendTransport, OutboxTransport, SMTPTransport };
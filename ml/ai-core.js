@@ -1,285 +1,442 @@
 /**
  * AI CORE - MULTI-PROVIDER SUPPORT
- * Supports: DeepSeek (free tier), Ollama (local free), Templates (fallback)
+ * Supports: DeepSeek (free tier), OpenAI, Ollama (local free), Templates (fallback)
+ * Every call walks the provider chain, so one outage only costs a fallthrough
+ * Prompts come from the versioned registry in ./prompts, the same text for every provider
+ * Every attempt is metered by ./usage; past the monthly budget paid providers are
+ * suspended, so calls fall through to Ollama or templates until the month rolls over
  */
 
-const OpenAI = require('openai');
+const {
+  DeepSeekProvider,
+  OpenAIProvider,
+  OllamaProvider,
+  TemplateProvider,
+  ProviderChain
+} = require('./providers');
+const { getSchema, parseStructured, buildRepairPrompt } = require('./schemas');
+const { PromptRegistry } = require('./prompts');
+const { UsageTracker } = require('./usage');
 
 class AICore {
   constructor() {
-    this.openai = null;
-    this.ollama = null;
-    this.provider = null;
-    this.model = 'deepseek-chat';
     this.localModel = 'llama3'; // or 'deepseek-coder', 'mistral'
+    this.timeoutMs = parseInt(process.env.AI_TIMEOUT_MS, 10) || 30000;
+    this.ollama = null;
+    this.ready = Promise.resolve();
+    this.validationErrors = [];
+    this.prompts = new PromptRegistry();
+    this.usage = new UsageTracker();
+    this.budgetExceeded = false;
+
+    // Templates only until init() builds the real chain
+    this.chain = new ProviderChain([new TemplateProvider(this.getTemplates())], { onCall: call => this.recordUsage(call) });
   }
-  
+
   init() {
+    this.chain = new ProviderChain([], { onCall: call => this.recordUsage(call) });
+
     // Priority 1: DeepSeek API (has free tier)
     if (process.env.DEEPSEEK_API_KEY) {
       try {
-        this.openai = new OpenAI({
+        this.chain.add(new DeepSeekProvider({
           apiKey: process.env.DEEPSEEK_API_KEY,
-          baseURL: 'https://api.deepseek.com/v1'
-        });
-        this.provider = 'deepseek';
-        this.model = 'deepseek-chat';
+          timeoutMs: this.timeoutMs
+        }));
         console.log('🧠 AI: DeepSeek API (free tier)');
-        return;
       } catch (e) {
         console.log('DeepSeek failed, trying next option...');
       }
     }
-    
+
     // Priority 2: OpenAI (if provided)
     if (process.env.OPENAI_API_KEY) {
       try {
-        this.openai = new OpenAI({
-          apiKey: process.env.OPENAI_API_KEY
-        });
-        this.provider = 'openai';
-        this.model = 'gpt-4';
+        this.chain.add(new OpenAIProvider({
+          apiKey: process.env.OPENAI_API_KEY,
+          timeoutMs: this.timeoutMs
+        }));
         console.log('🧠 AI: OpenAI (fallback)');
-        return;
       } catch (e) {
         console.log('OpenAI failed, trying next option...');
       }
     }
-    
-    // Priority 3: Ollama (LOCAL - FREE!)
-    this.checkOllama();
+
+    // Priority 3: Ollama (LOCAL - FREE!) - enabled once the health check finds it
+    this.ollama = new OllamaProvider({
+      host: process.env.OLLAMA_HOST || 'http://localhost:11434',
+      model: this.localModel
+    });
+    this.chain.add(this.ollama);
+
+    // Priority 4: Templates (always works)
+    this.chain.add(new TemplateProvider(this.getTemplates()));
+
+    this.applyBudget();
+    this.ready = this.checkOllama();
+    return this.ready;
   }
-  
+
   // Check if Ollama is running locally
   async checkOllama() {
-    try {
-      const response = await fetch('http://localhost:11434/api/tags');
-      if (response.ok) {
-        this.ollama = true;
-        this.provider = 'ollama';
-        console.log('🧠 AI: Ollama (local - FREE!)');
-        
-        // Pull model if needed
-        await this.ensureModel();
-        return;
-      }
-    } catch (e) {
-      // Ollama not running
-    }
-    
-    // Fallback: Use templates
-    this.provider = 'template';
-    console.log('🧠 AI: Template mode (no API needed)');
-  }
-  
-  async ensureModel() {
-    try {
-      // Check if model exists
-      const response = await fetch('http://localhost:11434/api/tags');
-      const data = await response.json();
-      const hasModel = data.models?.some(m => m.name === this.localModel);
-      
-      if (!hasModel) {
+    if (await this.ollama.healthCheck()) {
+      console.log('🧠 AI: Ollama (local - FREE!)');
+
+      if (!this.ollama.hasModel) {
         console.log(`📥 Pulling ${this.localModel} model (first time - may take a few minutes)...`);
         // Model will be pulled on first use
       }
-    } catch (e) {
-      console.log('Could not check Ollama models');
+    }
+
+    if (!this.isAvailable()) {
+      console.log('🧠 AI: Template mode (no API needed)');
     }
   }
-  
+
   isAvailable() {
-    return !!(this.openai || this.ollama);
+    return this.chain.active().some(p => p.name !== 'template');
+  }
+
+  // Name of the provider the next call will try first
+  get provider() {
+    const primary = this.chain.primary();
+    return primary ? primary.name : null;
+  }
+
+  get model() {
+    const primary = this.chain.primary();
+    return primary ? primary.model : null;
   }
-  
+
   getProvider() {
     return this.provider;
   }
-  
+
   getStatus() {
+    const price = this.provider ? this.usage.priceFor(this.provider, this.model) : null;
+
     return {
       provider: this.provider,
       model: this.model,
-      isFree: this.provider === 'ollama' || this.provider === 'template',
-      cost: this.provider === 'ollama' ? '$0 (local)' : 
-            this.provider === 'deepseek' ? '$0.14/1M tokens (free tier)' :
-            this.provider === 'openai' ? '$30/1M tokens' : 'N/A'
+      chain: this.chain.getStatus(),
+      validationErrors: this.validationErrors.length,
+      prompts: this.prompts.list(),
+      isFree: !this.provider || !this.usage.isPaid(this.provider, this.model),
+      cost: !price ? 'N/A' :
+            price.input || price.output ? `$${price.input}/1M input, $${price.output}/1M output tokens` : `$0 (${this.provider})`,
+      monthToDate: this.usage.monthToDate(),
+      monthlyBudget: this.usage.monthlyBudget,
+      budgetExceeded: this.budgetExceeded
     };
   }
 
-  // Generate personalized outreach emails
-  async generateOutreach_email(lead, businessType) {
-    if (this.provider === 'template') return this.getTemplate_email(lead, businessType);
-    
-    if (this.provider === 'ollama') return await this.ollamaGenerate('outreach', { lead, businessType });
-    
-    if (!this.openai) return this.getTemplate_email(lead, businessType);
-    
-    const prompt = `Generate a personalized cold outreach email for a ${lead.industry} company called "${lead.company}". 
-    Contact: ${lead.firstName} ${lead.lastName}
-    Business: ${businessType}
-    
-    Write under 100 words. Focus on value. Include subject line.
-    Return JSON: {subject, body}`;
-    
+  // ==================== USAGE & BUDGET ====================
+
+  // ProviderChain onCall hook: meter the attempt, then re-check the budget
+  recordUsage(call) {
+    this.usage.record(call);
+    this.applyBudget();
+  }
+
+  // Suspend paid providers while the month is over budget, resume them once it isn't
+  applyBudget() {
+    const exceeded = this.usage.overBudget();
+    if (exceeded === this.budgetExceeded) return;
+
+    this.budgetExceeded = exceeded;
+    this.chain.providers
+      .filter(p => this.usage.isPaid(p.name, p.model))
+      .forEach(p => { p.suspended = exceeded; });
+
+    if (exceeded) {
+      console.log(`💸 AI budget of $${this.usage.monthlyBudget} reached ($${this.usage.monthToDate()} this month) - paid providers suspended, using ${this.provider}`);
+    } else {
+      console.log('💸 AI budget available again - paid providers resumed');
+    }
+  }
+
+  // Run a task through the chain - templates answer if every provider fails
+  async runTask(method, request) {
     try {
-      const response = await this.openai.chat.completions.create({
-        model: this.model,
-        messages: [{ role: 'user', content: prompt }],
-        response_format: { type: "json_object" },
-        temperature: 0.7
-      });
-      return JSON.parse(response.choices[0].message.content);
+      const { result } = await this.chain.run(method, request);
+      return result;
     } catch (e) {
       console.log('AI generation failed:', e.message);
-      return this.getTemplate_email(lead, businessType);
+      return this.getTemplates()[request.task](request.data);
     }
   }
-  
+
+  // Run a JSON task: extract + validate, one repair retry, then typed template default
+  async runStructured(schemaName, request) {
+    return (await this.runStructuredWithProvider(schemaName, request)).value;
+  }
+
+  // Same as runStructured, plus which provider produced the value ('template' for defaults)
+  async runStructuredWithProvider(schemaName, request) {
+    const schema = getSchema(schemaName);
+    let call = { ...request, json: schema.type };
+    let raw = null;
+    let provider = null;
+    let check = null;
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        ({ result: raw, provider } = await this.chain.generateText(call));
+      } catch (e) {
+        check = { valid: false, errors: [e.message] };
+        break;
+      }
+
+      check = parseStructured(schema, raw);
+      if (check.valid) return { value: check.value, provider };
+
+      console.log(`⚠️ AI ${provider} returned invalid ${schemaName} (${check.errors.join('; ')})${attempt === 0 ? ', asking for a repair...' : ''}`);
+      call = {
+        ...call,
+        prompt: buildRepairPrompt(schema, request.prompt, raw, check.errors),
+        temperature: 0
+      };
+    }
+
+    this.recordValidationError({ schema: schemaName, task: request.task, provider, errors: check.errors, raw });
+    return { value: this.getTemplates()[request.task](request.data), provider: 'template' };
+  }
+
+  recordValidationError({ schema, task, provider, errors, raw }) {
+    this.validationErrors.push({
+      schema,
+      task,
+      provider,
+      errors,
+      raw: typeof raw === 'string' ? raw.slice(0, 500) : raw,
+      timestamp: new Date().toISOString()
+    });
+
+    // Keep last 100
+    if (this.validationErrors.length > 100) {
+      this.validationErrors.splice(0, this.validationErrors.length - 100);
+    }
+  }
+
+  getValidationErrors() {
+    return this.validationErrors;
+  }
+
+  // Generate personalized outreach emails (options.step / options.angle shape follow-ups)
+  // -> { subject, body, promptVersion } - promptVersion is 'template' when no model wrote it
+  async generateOutreach_email(lead, businessType, options = {}) {
+    const prompt = this.prompts.render('outreach', {
+      lead,
+      businessType,
+      instructions: this.getSequenceInstructions(options)
+    }, { version: options.promptVersion });
+
+    const { value, provider } = await this.runStructuredWithProvider('email', {
+      task: 'outreach',
+      business: options.brand || businessType,
+      prompt: prompt.text,
+      data: { lead, businessType, options },
+      temperature: 0.7
+    });
+
+    return { ...value, promptVersion: provider === 'template' ? 'template' : prompt.id };
+  }
+
+  // Extra prompt lines for follow-up steps, recommended actions and body experiments
+  getSequenceInstructions({ step, angle, instruction } = {}) {
+    const lines = [];
+
+    if (step === 'follow_up_1' || step === 'follow_up_2') {
+      lines.push('This is a follow-up to an earlier email that got no reply. Reference it briefly, add one new reason to talk.');
+    } else if (step === 'break_up') {
+      lines.push('This is the final "break-up" email: say politely this is the last note and leave the door open.');
+    }
+
+    if (angle === 'discount') {
+      lines.push('Include a limited-time discount on the first order.');
+    } else if (angle === 'call') {
+      lines.push('Ask for a short 15-minute call instead of a reply.');
+    }
+
+    if (instruction) lines.push(instruction);
+
+    return lines.join('\n');
+  }
+
   // Generate SEO audit report
   async generateAuditReport(auditData, website) {
-    if (this.provider === 'template') return this.getBasicReport(auditData);
-    
-    if (this.provider === 'ollama') return await this.ollamaGenerate('audit', { auditData, website });
-    
-    if (!this.openai) return this.getBasicReport(auditData);
-    
-    const prompt = `Create SEO report for ${website}:
-    Score: ${auditData.score || 0}/100
-    
-    Include: Issues, Recommendations, Action plan. HTML format.`;
-    
-    try {
-      const response = await this.openai.chat.completions.create({
-        model: this.model,
-        messages: [{ role: 'user', content: prompt }],
-        temperature: 0.3
-      });
-      return response.choices[0].message.content;
-    } catch (e) {
-      return this.getBasicReport(auditData);
-    }
+    const categories = Object.values(auditData.categories || {})
+      .map(c => `- ${c.label}: ${c.score}/100`)
+      .join('\n');
+    const issues = (auditData.issues || [])
+      .map(i => `- [${i.severity}] ${i.message} (${i.count}): ${i.urls.slice(0, 3).join(', ')}`)
+      .join('\n');
+
+    const prompt = this.prompts.render('audit', {
+      website,
+      score: auditData.score || 0,
+      grade: auditData.grade || 'n/a',
+      pagesCrawled: (auditData.stats || {}).pagesCrawled || 0,
+      categories,
+      issues
+    });
+
+    return this.runTask('generateText', {
+      task: 'audit',
+      business: 'auditiqs',
+      prompt: prompt.text,
+      data: { auditData, website },
+      temperature: 0.3
+    });
   }
-  
-  // Generate content
-  async generateContent(type, topic, requirements) {
-    if (this.provider === 'template') return this.getBasicContent(type, topic);
-    
-    if (this.provider === 'ollama') return await this.ollamaGenerate('content', { type, topic });
-    
-    if (!this.openai) return this.getBasicContent(type, topic);
-    
-    const prompts = {
-      'blog-post': `Write blog post about "${topic}". 1000 words, SEO-optimized.`,
+
+  // Generate competitor intelligence report
+  async generateCompetitorReport(intel) {
+    const sites = (intel.comparison || [])
+      .map(s => `- ${s.domain}${s.isCustomer ? ' (customer)' : ''}: prices ${s.prices.join(', ') || 'none published'}; tech ${s.tech.join(', ') || 'unknown'}; keywords ${s.keywords.join(', ') || 'none'}${s.sharedKeywords.length ? `; shares ${s.sharedKeywords.join(', ')}` : ''}`)
+      .join('\n');
+    const changes = (intel.sites || [])
+      .filter(s => s.changes && s.changes.length)
+      .map(s => `- ${s.domain} since ${s.previousAt}: ${s.changes.map(describeChange).join('; ')}`)
+      .join('\n');
+    const unreachable = (intel.sites || []).filter(s => s.snapshot.error).map(s => s.domain);
+
+    const prompt = this.prompts.render('competitors', { website: intel.website, sites, changes, unreachable });
+
+    return this.runTask('generateText', {
+      task: 'competitors',
+      business: 'competeai',
+      prompt: prompt.text,
+      data: { intel },
+      temperature: 0.3
+    });
+  }
+
+  // Generate content as Markdown; long-form types are outlined first, then drafted from the outline
+  async generateContent(type, topic, requirements = {}) {
+    const brief = this.getContentBrief(requirements);
+    const words = requirements.wordCount;
+    const instructions = {
+      'blog-post': `Write a blog post about "${topic}"${words ? `, about ${words} words` : ', 1000 words'}, SEO-optimized.`,
+      'article': `Write an in-depth article about "${topic}"${words ? `, about ${words} words` : ', 1500 words'}.`,
+      'landing-page': `Write landing page copy about "${topic}"${words ? `, about ${words} words` : ''}: headline, benefits, social proof placeholders and a call to action.`,
       'social-post': `Tweet about "${topic}". Under 280 chars with hashtags.`,
-      'email': `Cold email about "${topic}". Professional, under 150 words.`
+      'email': `Cold email about "${topic}". Professional, under ${words || 150} words.`
     };
-    
-    try {
-      const response = await this.openai.chat.completions.create({
-        model: this.model,
-        messages: [{ role: 'user', content: prompts[type] || prompts['blog-post'] }],
-        temperature: 0.7
-      });
-      return response.choices[0].message.content;
-    } catch (e) {
-      return this.getBasicContent(type, topic);
-    }
+
+    const outline = LONG_FORM.includes(type)
+      ? await this.runStructured('contentOutline', {
+        task: 'outline',
+        business: 'contentais',
+        prompt: this.prompts.render('outline', { typeLabel: type.replace('-', ' '), topic, brief }).text,
+        data: { type, topic, requirements },
+        temperature: 0.4
+      })
+      : null;
+
+    const outlineText = outline
+      ? [`# ${outline.title}`, ...outline.sections.flatMap(section => [`## ${section.heading}`, ...section.points.map(p => `- ${p}`)])].join('\n')
+      : '';
+    const prompt = this.prompts.render('content', {
+      instruction: instructions[type] || instructions['blog-post'],
+      brief,
+      outline: outlineText
+    });
+
+    return this.runTask('generateText', {
+      task: 'content',
+      business: 'contentais',
+      prompt: prompt.text,
+      data: { type, topic, requirements, outline },
+      temperature: 0.7
+    });
   }
-  
-  // Analyze lead
-  async analyzeLead(leadData) {
-    if (this.provider === 'template') return { score: 50, confidence: 'low' };
-    
-    if (this.provider === 'ollama') {
-      const result = await this.ollamaGenerate('analyze', { leadData });
-      return result || { score: 50, confidence: 'low' };
-    }
-    
-    if (!this.openai) return { score: 50, confidence: 'low' };
-    
-    try {
-      const response = await this.openai.chat.completions.create({
-        model: this.model,
-        messages: [{ role: 'user', content: `Analyze lead: ${JSON.stringify(leadData)}. Return JSON: {score: 0-100, confidence, reasons: []}` }],
-        response_format: { type: "json_object" }
-      });
-      return JSON.parse(response.choices[0].message.content);
-    } catch (e) {
-      return { score: 50, confidence: 'low' };
+
+  // Prompt lines for the customer's intake answers
+  getContentBrief({ keywords = [], tone, audience } = {}) {
+    const lines = [];
+    if (audience) lines.push(`Audience: ${audience}.`);
+    if (tone) lines.push(`Tone: ${tone}.`);
+    if (keywords.length) {
+      lines.push(`Keywords: ${keywords.join(', ')} - use each naturally at least once, the first one in the title and first paragraph.`);
     }
+    return lines.join('\n');
+  }
+
+  // Batch of posts for one platform, one per calendar slot: [{ text, hashtags }]
+  async generateSocialPosts(business, platform, slots) {
+    const schedule = slots.map((slot, i) => `${i + 1}. ${slot.date}: ${slot.brief || slot.theme}`).join('\n');
+
+    const prompt = this.prompts.render('social', { count: slots.length, business, platform, schedule });
+
+    return this.runStructured('socialPosts', {
+      task: 'social',
+      business: 'socialpulses',
+      prompt: prompt.text,
+      data: { business, platform, slots },
+      temperature: 0.8
+    });
+  }
+
+  // Analyze lead (options.business attributes the cost to the brand doing the outreach)
+  async analyzeLead(leadData, options = {}) {
+    return this.runStructured('leadScore', {
+      task: 'analyze',
+      business: options.business,
+      prompt: this.prompts.render('analyze', { leadJson: JSON.stringify(leadData) }).text,
+      data: { leadData },
+      temperature: 0.2
+    });
   }
-  
+
   // Generate response to customer
   async generateResponse(inquiry, context) {
-    if (this.provider === 'template') return this.getTemplateResponse(inquiry);
-    
-    if (this.provider === 'ollama') {
-      return await this.ollamaGenerate('respond', { inquiry, context }) || this.getTemplateResponse(inquiry);
-    }
-    
-    if (!this.openai) return this.getTemplateResponse(inquiry);
-    
-    try {
-      const response = await this.openai.chat.completions.create({
-        model: this.model,
-        messages: [{ role: 'user', content: `Reply to: "${inquiry}" (Context: ${context})` }],
-        temperature: 0.5
-      });
-      return response.choices[0].message.content;
-    } catch (e) {
-      return this.getTemplateResponse(inquiry);
-    }
+    return this.runTask('generateText', {
+      task: 'respond',
+      prompt: this.prompts.render('respond', { inquiry, context }).text,
+      data: { inquiry, context },
+      temperature: 0.5
+    });
   }
-  
-  // Ollama local generation
-  async ollamaGenerate(task, data) {
-    if (!this.ollama) return null;
-    
-    let prompt = '';
-    
-    switch(task) {
-      case 'outreach':
-        prompt = `Generate outreach email for ${data.lead.company}. Return JSON: {subject, body}`;
-        break;
-      case 'audit':
-        prompt = `Create SEO report for ${data.website}. HTML format.`;
-        break;
-      case 'content':
-        prompt = `Write about: ${data.topic}`;
-        break;
-      case 'analyze':
-        prompt = `Analyze lead: ${JSON.stringify(data.leadData)}. Return JSON: {score: 0-100, confidence}`;
-        break;
-      case 'respond':
-        prompt = `Reply: ${data.inquiry}`;
-        break;
-    }
-    
-    try {
-      const response = await fetch('http://localhost:11434/api/generate', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          model: this.localModel,
-          prompt,
-          stream: false
-        })
-      });
-      
-      if (response.ok) {
-        const result = await response.json();
-        return result.response;
+
+  // Riff on subject lines that converted before
+  async generateSubjectLines(examples, businessType) {
+    const prompt = this.prompts.render('subjects', { examples, businessType });
+
+    return this.runStructured('subjectList', {
+      task: 'subjects',
+      business: businessType,
+      prompt: prompt.text,
+      data: { examples, businessType },
+      temperature: 0.8
+    });
+  }
+
+  // Template answers per task, used by the template provider
+  getTemplates() {
+    return {
+      outreach: ({ lead, businessType, options }) => this.getTemplate_email(lead, businessType, options),
+      audit: ({ auditData, website }) => this.getBasicReport(auditData || {}, website),
+      competitors: ({ intel }) => this.getBasicCompetitorReport(intel || {}),
+      outline: ({ topic, requirements }) => this.getBasicOutline(topic, requirements || {}),
+      content: ({ type, topic, requirements, outline }) => this.getBasicContent(type, topic, requirements || {}, outline),
+      analyze: () => ({ score: 50, confidence: 'low', reasons: [] }),
+      respond: ({ inquiry }) => this.getTemplateResponse(inquiry),
+      social: ({ business, platform, slots }) => this.getBasicSocialPosts(business, platform, slots),
+      // No riffs without a model: hand back the converting examples (the bandit already knows them)
+      subjects: ({ examples }) => {
+        const seeds = [...new Set((examples || []).filter(Boolean))].slice(0, 5);
+        return seeds.length ? seeds : ['Quick question', 'Thought you should know', 'Ideas for you'];
       }
-    } catch (e) {
-      console.log('Ollama error:', e.message);
-    }
-    
-    return null;
+    };
   }
-  
+
   // Fallback templates
-  getTemplate_email(lead, businessType) {
+  getTemplate_email(lead, businessType, options = {}) {
+    if (options.step && options.step !== 'initial') {
+      return this.getTemplate_followUp(lead, businessType, options);
+    }
+
     const subjects = [`Question for ${lead.company}`, `Helping ${lead.company}`, `${lead.firstName}, quick question`];
     const bodies = [
       `Hi ${lead.firstName},\n\nI help companies like ${lead.company} with ${businessType}. Would a call help?\n\nBest`,
@@ -290,18 +447,130 @@ class AICore {
       body: bodies[Math.floor(Math.random() * bodies.length)]
     };
   }
-  
-  getBasicReport(auditData) {
-    return `<h1>SEO Audit Report</h1><p>Score: ${auditData.score || 0}/100</p><p>Report generated.</p>`;
+
+  getTemplate_followUp(lead, businessType, { step, angle }) {
+    const offer = angle === 'discount' ? ' This week the first order is 20% off.' : '';
+    const ask = angle === 'call' ? 'Would a 15-minute call this week work?' : 'Worth a quick reply?';
+
+    if (step === 'break_up') {
+      return {
+        subject: `Closing the loop, ${lead.firstName}`,
+        body: `Hi ${lead.firstName},\n\nI haven't heard back, so I'll assume ${businessType} isn't a priority for ${lead.company} right now. This is my last note - if that changes, just reply.${offer}\n\nBest`
+      };
+    }
+
+    return {
+      subject: `Re: ${lead.company}`,
+      body: `Hi ${lead.firstName},\n\nFollowing up on my last email about ${businessType} for ${lead.company}.${offer} ${ask}\n\nBest`
+    };
   }
-  
-  getBasicContent(type, topic) {
-    return `Content about ${topic}`;
+
+  getBasicReport(auditData, website) {
+    const categories = Object.values(auditData.categories || {})
+      .map(c => `<tr><td>${c.label}</td><td>${c.score}/100</td></tr>`)
+      .join('');
+    const issues = (auditData.issues || [])
+      .map(i => `<li><strong>${i.severity.toUpperCase()}</strong> - ${escapeHtml(i.message)} (${i.count})<br><small>${i.urls.slice(0, 3).map(escapeHtml).join('<br>')}</small></li>`)
+      .join('');
+
+    return `<h1>SEO Audit Report${website ? ` for ${escapeHtml(website)}` : ''}</h1>
+<p>Score: ${auditData.score || 0}/100${auditData.grade ? ` (grade ${auditData.grade})` : ''}</p>
+${categories ? `<table>${categories}</table>` : ''}
+${issues ? `<h2>Issues</h2><ul>${issues}</ul>` : '<p>Report generated.</p>'}`;
   }
-  
+
+  getBasicCompetitorReport(intel) {
+    const sites = intel.sites || [];
+    const rows = (intel.comparison || [])
+      .map(s => `<tr><td>${escapeHtml(s.domain)}${s.isCustomer ? ' (you)' : ''}</td><td>${escapeHtml(s.prices.join(', ') || '-')}</td><td>${escapeHtml(s.tech.join(', ') || '-')}</td><td>${escapeHtml(s.sharedKeywords.join(', ') || '-')}</td></tr>`)
+      .join('');
+    const changes = sites
+      .filter(s => s.changes && s.changes.length)
+      .map(s => `<li><strong>${escapeHtml(s.domain)}</strong><ul>${s.changes.map(c => `<li>${escapeHtml(describeChange(c))}</li>`).join('')}</ul></li>`)
+      .join('');
+    const compared = sites.some(s => s.changes);
+    const unreachable = sites.filter(s => s.snapshot.error).map(s => escapeHtml(s.domain));
+
+    return `<h1>Competitor Report${intel.website ? ` for ${escapeHtml(intel.website)}` : ''}</h1>
+${rows ? `<table><tr><th>Site</th><th>Prices</th><th>Tech</th><th>Shared keywords</th></tr>${rows}</table>` : ''}
+${changes ? `<h2>Changes since last report</h2><ul>${changes}</ul>` : `<p>${compared ? 'Nothing changed since your last report.' : 'No earlier snapshot to compare against - changes will show in your next report.'}</p>`}
+${unreachable.length ? `<p>Could not be fetched: ${unreachable.join(', ')}</p>` : ''}`;
+  }
+
+  getBasicSocialPosts(business, platform, slots) {
+    const name = business.name || 'us';
+    const field = business.industry || 'business';
+    const lines = {
+      tip: `Quick ${field} tip from ${name}: small, consistent improvements beat big one-off pushes. What's one thing you'll fix this week?`,
+      behind_the_scenes: `Behind the scenes at ${name}: here's how we get the work done for our customers.`,
+      customer_story: `A customer story we love: how working with ${name} made a real difference. Want results like this?`,
+      promotion: `Looking for help with ${field}? ${name} makes it simple.${business.website ? ` Learn more: ${business.website}` : ''}`,
+      question: `Question for you: what's the hardest part of ${field} right now? Tell us below.`,
+      faq: `We get asked this a lot: "Where do I start?" Our answer: start with the basics and build from there.`,
+      industry_news: `What's changing in ${field} this month, and what it means for you.`
+    };
+    const tags = [name, field].map(t => t.replace(/[^a-z0-9]/gi, '')).filter(Boolean);
+
+    return slots.map(slot => ({ text: lines[slot.theme] || lines.tip, hashtags: tags }));
+  }
+
+  getBasicOutline(topic, requirements) {
+    const keyword = (requirements.keywords || [])[0];
+    return {
+      title: keyword && !topic.toLowerCase().includes(keyword.toLowerCase()) ? `${topic}: ${keyword}` : topic,
+      sections: [
+        { heading: `Why ${topic} matters`, points: [] },
+        { heading: 'Where to start', points: [] },
+        { heading: 'Common mistakes to avoid', points: [] },
+        { heading: 'Next steps', points: [] }
+      ]
+    };
+  }
+
+  getBasicContent(type, topic, requirements = {}, outline = null) {
+    const keywords = requirements.keywords || [];
+    if (!outline) {
+      return `${topic}${keywords.length ? ` - ${keywords.join(', ')}` : ''}`;
+    }
+
+    const reader = requirements.audience || 'you';
+    const sections = outline.sections.map((section, i) => {
+      const keyword = keywords[i + 1];
+      return `## ${section.heading}\n\n${section.points.length ? section.points.map(p => `- ${p}`).join('\n') : `What ${section.heading.toLowerCase()} means for ${reader}${keyword ? `, and how ${keyword} fits in` : ''}.`}`;
+    });
+
+    return `# ${outline.title}\n\n${topic}${keywords[0] ? ` and ${keywords[0]}` : ''} - a practical guide for ${reader}.\n\n${sections.join('\n\n')}\n`;
+  }
+
   getTemplateResponse(inquiry) {
     return `Thank you for reaching out! I'd be happy to help. Could you tell me more about what you're looking for?`;
   }
 }
 
+// { type: 'prices_changed', added, removed } -> 'prices: +$49/mo -$39/mo'
+function describeChange(change) {
+  const where = change.page ? ` (${change.page})` : '';
+  const list = () => [...(change.added || []).map(a => `+${a}`), ...(change.removed || []).map(r => `-${r}`)].join(' ');
+
+  switch (change.type) {
+    case 'page_added': return `new page ${change.page}`;
+    case 'page_removed': return `page removed ${change.page}`;
+    case 'title_changed': return `title${where}: "${change.before}" -> "${change.after}"`;
+    case 'description_changed': return `meta description${where} changed to "${change.after}"`;
+    case 'content_changed': return `content${where} changed (${change.wordsBefore} -> ${change.wordsAfter} words)`;
+    case 'prices_changed': return `prices: ${list()}`;
+    case 'tech_changed': return `tech: ${list()}`;
+    case 'keywords_changed': return `keywords${where}: ${list()}`;
+    case 'headings_changed': return `headings${where}: ${list()}`;
+    default: return change.type;
+  }
+}
+
+// Outlined first, then drafted
+const LONG_FORM = ['blog-post', 'article', 'landing-page'];
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
 module.exports = { AICore };
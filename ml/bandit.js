@@ -0,0 +1,295 @@
+/**
+ * SUBJECT LINE BANDIT
+ * Thompson sampling over a pool of candidate subjects per business type + industry
+ *
+ * Each arm keeps a Beta(alpha, beta) posterior of its reward rate. A send counts
+ * as a failure until engagement arrives; an email's reward is the weight of the
+ * best thing the lead did (conversion > reply > click > open by default), and
+ * later events only ever raise it. New candidates (e.g. AI riffs on converting
+ * subjects) start from a prior centred on the pool's mean.
+ *
+ * Persisted in data/subject_bandit.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readJSON, writeJSON } = require('../storage');
+
+const DEFAULT_REWARDS = { conversion: 1, reply: 0.5, click: 0.2, open: 0.1 };
+
+// email_performance flag -> reward key
+const REWARD_FLAGS = { converted: 'conversion', replied: 'reply', clicked: 'click', opened: 'open' };
+
+const MAX_PENDING = 10000;
+
+class SubjectBandit {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || path.join(__dirname, '../data');
+    this.file = path.join(this.dataDir, 'subject_bandit.json');
+    this.rewards = options.rewards || parseRewards(process.env.SUBJECT_REWARDS) || DEFAULT_REWARDS;
+    this.priorStrength = options.priorStrength || 2; // pseudo-sends behind a new candidate's prior
+    this.maxArms = options.maxArms || 12;
+    this.random = options.random || Math.random;
+    this.ensureDataDir();
+  }
+
+  ensureDataDir() {
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+  }
+
+  // ==================== POOLS ====================
+
+  // 'general|retail' - industry is optional
+  poolKey(businessType, industry) {
+    return `${businessType || 'general'}|${String(industry || 'any').toLowerCase()}`;
+  }
+
+  // Make sure the pool has these subjects; seeds start at Beta(1, 1), later candidates at the pool prior
+  addCandidates(pool, subjects, { source = 'template' } = {}) {
+    const state = this.load();
+    const arms = this.arms(state, pool);
+    const prior = Object.keys(arms).length ? this.poolPrior(arms) : { alpha: 1, beta: 1 };
+    const added = [];
+
+    subjects.map(s => String(s || '').trim()).filter(Boolean).forEach(subject => {
+      const id = armId(subject);
+      if (arms[id]) return;
+
+      arms[id] = {
+        subject,
+        source,
+        alpha: prior.alpha,
+        beta: prior.beta,
+        prior: { ...prior },
+        pulls: 0,
+        reward: 0,
+        createdAt: new Date().toISOString(),
+        lastPulledAt: null
+      };
+      added.push(id);
+    });
+
+    if (!added.length) return added;
+
+    this.retire(arms);
+    state.pools[pool].updatedAt = new Date().toISOString();
+    this.save(state);
+    return added;
+  }
+
+  // Prior for a newcomer: the pool's mean reward rate, worth priorStrength sends
+  poolPrior(arms) {
+    const list = Object.values(arms);
+    const rate = list.reduce((sum, a) => sum + mean(a), 0) / list.length;
+    const centre = Math.min(Math.max(rate, 0.01), 0.99);
+    return { alpha: centre * this.priorStrength, beta: (1 - centre) * this.priorStrength };
+  }
+
+  // Over maxArms: drop the weakest well-tried arms (never ones still learning)
+  retire(arms) {
+    const ids = Object.keys(arms);
+    if (ids.length <= this.maxArms) return;
+
+    ids.filter(id => arms[id].pulls >= 20)
+      .sort((a, b) => mean(arms[a]) - mean(arms[b]))
+      .slice(0, ids.length - this.maxArms)
+      .forEach(id => delete arms[id]);
+  }
+
+  // When the pool last asked the AI for candidates
+  markGenerated(pool) {
+    const state = this.load();
+    this.arms(state, pool);
+    state.pools[pool].generatedAt = new Date().toISOString();
+    this.save(state);
+  }
+
+  lastGenerated(pool) {
+    const entry = this.load().pools[pool];
+    return entry ? entry.generatedAt || null : null;
+  }
+
+  // ==================== SELECTION ====================
+
+  // Thompson sampling: one draw per arm's posterior, highest draw wins -> { pool, arm, subject } | null
+  choose(pool) {
+    const entry = this.load().pools[pool];
+    if (!entry || !Object.keys(entry.arms).length) return null;
+
+    let best = null;
+    Object.entries(entry.arms).forEach(([id, arm]) => {
+      const draw = sampleBeta(arm.alpha, arm.beta, this.random);
+      if (!best || draw > best.draw) best = { draw, id, subject: arm.subject };
+    });
+
+    return { pool, arm: best.id, subject: best.subject };
+  }
+
+  // The chosen subject went out: count a send (a failure until rewarded)
+  recordPull(emailId, pool, arm) {
+    const state = this.load();
+    const target = state.pools[pool] && state.pools[pool].arms[arm];
+    if (!target || state.pending[emailId]) return false;
+
+    target.pulls++;
+    target.beta++;
+    target.lastPulledAt = new Date().toISOString();
+    state.pending[emailId] = { pool, arm, reward: 0, sentAt: target.lastPulledAt };
+
+    // Oldest sends stop collecting rewards first
+    const ids = Object.keys(state.pending);
+    if (ids.length > MAX_PENDING) ids.slice(0, ids.length - MAX_PENDING).forEach(id => delete state.pending[id]);
+
+    this.save(state);
+    return true;
+  }
+
+  // Email record changed: credit the arm with any increase in the email's reward
+  reward(emailId, record) {
+    const state = this.load();
+    const pending = state.pending[emailId];
+    if (!pending) return null;
+
+    const value = this.rewardFor(record);
+    const arm = state.pools[pending.pool] && state.pools[pending.pool].arms[pending.arm];
+    if (!arm || value <= pending.reward) return null;
+
+    const delta = value - pending.reward;
+    arm.alpha += delta;
+    arm.beta -= delta;
+    arm.reward += delta;
+    pending.reward = value;
+
+    this.save(state);
+    return { arm: pending.arm, reward: value };
+  }
+
+  // Best engagement on an email_performance record, per the reward weights
+  rewardFor(record = {}) {
+    return Object.entries(REWARD_FLAGS)
+      .filter(([flag]) => record[flag])
+      .reduce((best, [, key]) => Math.max(best, this.rewards[key] || 0), 0);
+  }
+
+  // ==================== REVIEW ====================
+
+  // Per-arm stats for every pool (or one), best first; pBest is a Monte Carlo estimate
+  stats(pool = null, { draws = 1000 } = {}) {
+    const pools = this.load().pools;
+
+    return Object.entries(pools)
+      .filter(([key]) => !pool || key === pool)
+      .map(([key, entry]) => {
+        const ids = Object.keys(entry.arms);
+        const wins = Object.fromEntries(ids.map(id => [id, 0]));
+        for (let i = 0; i < draws && ids.length; i++) {
+          let bestId = null;
+          let bestDraw = -1;
+          ids.forEach(id => {
+            const draw = sampleBeta(entry.arms[id].alpha, entry.arms[id].beta, this.random);
+            if (draw > bestDraw) { bestDraw = draw; bestId = id; }
+          });
+          wins[bestId]++;
+        }
+
+        const arms = ids.map(id => {
+          const arm = entry.arms[id];
+          return {
+            id,
+            subject: arm.subject,
+            source: arm.source,
+            pulls: arm.pulls,
+            reward: round4(arm.reward),
+            mean: round4(mean(arm)),
+            pBest: round4(wins[id] / draws),
+            alpha: round4(arm.alpha),
+            beta: round4(arm.beta),
+            createdAt: arm.createdAt,
+            lastPulledAt: arm.lastPulledAt
+          };
+        }).sort((a, b) => b.mean - a.mean);
+
+        return { pool: key, arms, generatedAt: entry.generatedAt || null };
+      });
+  }
+
+  // ==================== STORAGE ====================
+
+  arms(state, pool) {
+    if (!state.pools[pool]) state.pools[pool] = { arms: {}, generatedAt: null };
+    return state.pools[pool].arms;
+  }
+
+  load() {
+    return { pools: {}, pending: {}, ...readJSON(this.file, {}) };
+  }
+
+  save(state) {
+    writeJSON(this.file, state);
+  }
+}
+
+// ==================== HELPERS ====================
+
+function armId(subject) {
+  return subject.toLowerCase().replace(/\s+/g, ' ');
+}
+
+function mean(arm) {
+  return arm.alpha / (arm.alpha + arm.beta);
+}
+
+// Beta(a, b) from two Gamma draws
+function sampleBeta(a, b, random = Math.random) {
+  const x = sampleGamma(a, random);
+  const y = sampleGamma(b, random);
+  return x / (x + y);
+}
+
+// Marsaglia & Tsang; shape < 1 boosted with U^(1/shape)
+function sampleGamma(shape, random) {
+  if (shape < 1) {
+    return sampleGamma(shape + 1, random) * Math.pow(random() || Number.MIN_VALUE, 1 / shape);
+  }
+
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = sampleNormal(random);
+      v = 1 + c * x;
+    } while (v <= 0);
+
+    v = v * v * v;
+    const u = random();
+    if (u < 1 - 0.0331 * x ** 4) return d * v;
+    if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+  }
+}
+
+// Box-Muller
+function sampleNormal(random) {
+  const u = random() || Number.MIN_VALUE;
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+function round4(value) {
+  return Math.round(value * 1e4) / 1e4;
+}
+
+// "conversion=1,reply=0.5,open=0" -> { conversion: 1, reply: 0.5, open: 0 }
+function parseRewards(value) {
+  if (!value) return null;
+  const rewards = {};
+  value.split(',').forEach(pair => {
+    const [key, weight] = pair.split('=').map(s => s.trim());
+    if (key && Number.isFinite(parseFloat(weight))) rewards[key] = Math.min(1, Math.max(0, parseFloat(weight)));
+  });
+  return Object.keys(rewards).length ? rewards : null;
+}
+
+module.exports = { SubjectBandit, sampleBeta, DEFAULT_REWARDS };
@@ -0,0 +1,324 @@
+/**
+ * LEAD SCORER
+ * L2-regularised logistic regression on lead features, trained on conversion
+ * outcomes - pure JS, weights persisted in models/lead_scorer.json
+ *
+ * Features: industry, source, email domain type, company name tokens, profile
+ * completeness, engagement before the lead was scored and (optionally) the
+ * AI's analyzeLead score. Leads are split 80/20 by a hash of their id, so a
+ * lead stays on the same side across retrains. The 0-100 score is the lead's
+ * percentile among the training predictions, the probability is calibrated.
+ * TrainingPipeline decides which trained model is served (see training/registry.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { isFreemail } = require('../leads');
+const { readJSON, writeJSON } = require('../storage');
+
+// Company-name words that say nothing about the company
+const STOP_WORDS = ['inc', 'llc', 'ltd', 'corp', 'company', 'group', 'the', 'and', 'gmbh', 'limited'];
+
+// Always kept, whatever their support
+const NUMERIC_FEATURES = ['emails_sent', 'opened', 'clicked', 'replied', 'ai_score', 'ai_missing'];
+
+class LeadScorer {
+  constructor(options = {}) {
+    this.modelDir = options.modelDir || path.join(__dirname, '../models');
+    this.file = path.join(this.modelDir, 'lead_scorer.json');
+    this.epochs = options.epochs || 500;
+    this.learningRate = options.learningRate || 0.5;
+    this.l2 = options.l2 !== undefined ? options.l2 : 0.01;
+    this.minSupport = options.minSupport || 3; // examples a categorical feature needs to get a weight
+    this.validationShare = options.validationShare || 0.2;
+    this.model = null;
+  }
+
+  get trained() {
+    return Boolean(this.model);
+  }
+
+  // Whether scoring needs an analyzeLead call (the model learned a weight for it)
+  usesAIScore() {
+    return Boolean(this.model && this.model.weights.ai_score);
+  }
+
+  // ==================== FEATURES ====================
+
+  // context = { emails: email_performance records for the lead, asOf, aiScore (0-100) }
+  static featurize(lead, context = {}) {
+    const features = {};
+    const email = String(lead.normalizedEmail || lead.email || '').toLowerCase();
+    const domain = lead.domain || email.split('@')[1] || '';
+
+    features[`industry:${String(lead.industry || 'unknown').toLowerCase()}`] = 1;
+    features[`source:${String(lead.source || 'manual').toLowerCase()}`] = 1;
+    features[`email:${domainType(domain)}`] = 1;
+    tokenize(lead.company).forEach(token => { features[`company:${token}`] = 1; });
+    if (lead.website) features.has_website = 1;
+    if (lead.firstName) features.has_name = 1;
+    if (lead.timezone) features.has_timezone = 1;
+
+    // Engagement with anything we sent before the score was taken
+    const asOf = context.asOf ? new Date(context.asOf).toISOString() : null;
+    const emails = (context.emails || []).filter(e => !asOf || e.sentAt < asOf);
+    if (emails.length) {
+      features.emails_sent = Math.log1p(emails.length);
+      if (emails.some(e => e.opened)) features.opened = 1;
+      if (emails.some(e => e.clicked)) features.clicked = 1;
+      if (emails.some(e => e.replied)) features.replied = 1;
+    }
+
+    if (context.aiScore !== null && context.aiScore !== undefined) {
+      features.ai_score = context.aiScore / 100;
+    } else {
+      features.ai_missing = 1;
+    }
+
+    return features;
+  }
+
+  // ==================== TRAINING ====================
+
+  // examples = [{ id, features, label: 0 | 1 }] -> { status, samples, metrics, features, model }
+  // The new model is returned, not served - use() it once it has been accepted
+  train(examples, { minExamples = 50, minPositives = 5 } = {}) {
+    const positives = examples.filter(e => e.label).length;
+    const samples = { total: examples.length, positives, negatives: examples.length - positives };
+
+    if (examples.length < minExamples || positives < minPositives || samples.negatives < minPositives) {
+      return { status: 'insufficient_data', samples };
+    }
+
+    const train = examples.filter(e => !inValidation(e.id, this.validationShare));
+    const validation = this.validationSet(examples);
+
+    // Vocabulary from the training side only
+    const support = {};
+    train.forEach(e => Object.keys(e.features).forEach(name => { support[name] = (support[name] || 0) + 1; }));
+    const vocabulary = Object.keys(support).filter(name => NUMERIC_FEATURES.includes(name) || support[name] >= this.minSupport).sort();
+
+    const { weights, bias } = this.fit(train, vocabulary);
+    const model = { type: 'logistic_regression', weights, bias, vocabulary };
+
+    const trainPredictions = train.map(e => predictWith(model, e.features));
+    const validationPredictions = validation.map(e => predictWith(model, e.features));
+
+    const trained = {
+      ...model,
+      trainedAt: new Date().toISOString(),
+      samples: { ...samples, train: train.length, validation: validation.length },
+      metrics: {
+        train: evaluate(train.map(e => e.label), trainPredictions),
+        validation: evaluate(validation.map(e => e.label), validationPredictions)
+      },
+      // Reference distribution for percentile scores (at most 1000 points)
+      reference: downsample([...trainPredictions, ...validationPredictions].sort((a, b) => a - b), 1000).map(round6)
+    };
+
+    return { status: 'trained', samples: trained.samples, metrics: trained.metrics, features: vocabulary, model: trained };
+  }
+
+  // Held-out side of the stable split
+  validationSet(examples) {
+    return examples.filter(e => inValidation(e.id, this.validationShare));
+  }
+
+  // Any model's metrics on the validation side of these examples (e.g. the champion on the newest data)
+  evaluateModel(model, examples) {
+    const validation = this.validationSet(examples);
+    return evaluate(validation.map(e => e.label), validation.map(e => predictWith(model, e.features)));
+  }
+
+  // Full-batch gradient descent on the regularised log-loss (bias not regularised)
+  fit(examples, vocabulary) {
+    const known = new Set(vocabulary);
+    const rows = examples.map(e => ({
+      label: e.label,
+      features: Object.entries(e.features).filter(([name]) => known.has(name))
+    }));
+    const rate = Math.min(Math.max(rows.filter(r => r.label).length / rows.length, 1e-3), 1 - 1e-3);
+
+    const weights = Object.fromEntries(vocabulary.map(name => [name, 0]));
+    let bias = Math.log(rate / (1 - rate));
+
+    for (let epoch = 0; epoch < this.epochs; epoch++) {
+      const gradient = Object.fromEntries(vocabulary.map(name => [name, 0]));
+      let biasGradient = 0;
+
+      rows.forEach(row => {
+        const error = sigmoid(bias + row.features.reduce((sum, [name, value]) => sum + weights[name] * value, 0)) - row.label;
+        biasGradient += error;
+        row.features.forEach(([name, value]) => { gradient[name] += error * value; });
+      });
+
+      bias -= this.learningRate * biasGradient / rows.length;
+      vocabulary.forEach(name => {
+        weights[name] -= this.learningRate * (gradient[name] / rows.length + this.l2 * weights[name]);
+      });
+    }
+
+    return { weights: Object.fromEntries(Object.entries(weights).map(([name, w]) => [name, round6(w)])), bias: round6(bias) };
+  }
+
+  // ==================== INFERENCE ====================
+
+  predict(features) {
+    if (!this.model) throw new Error('Lead scorer is not trained');
+    return predictWith(this.model, features);
+  }
+
+  // { score: 0-100 percentile, probability, confidence, model, reasons }
+  score(lead, context = {}) {
+    const features = LeadScorer.featurize(lead, context);
+    const probability = this.predict(features);
+    const reference = this.model.reference;
+    const below = reference.filter(p => p < probability).length;
+    const auc = this.model.metrics.validation.auc;
+
+    return {
+      score: Math.round(below / (reference.length || 1) * 100),
+      probability: round6(probability),
+      confidence: auc === null ? 'low' : auc >= 0.75 ? 'high' : auc >= 0.6 ? 'medium' : 'low',
+      model: `logistic_regression@${this.model.trainedAt}`,
+      reasons: Object.entries(features)
+        .filter(([name]) => this.model.weights[name])
+        .map(([name, value]) => ({ feature: name, contribution: round6(this.model.weights[name] * value) }))
+        .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution))
+        .slice(0, 5)
+        .map(r => `${r.feature} ${r.contribution > 0 ? '+' : ''}${r.contribution.toFixed(2)}`)
+    };
+  }
+
+  // ==================== STORAGE ====================
+
+  // Serve this model (null: untrained)
+  use(model) {
+    this.model = model || null;
+    return this;
+  }
+
+  load() {
+    this.model = readJSON(this.file, null);
+    return this;
+  }
+
+  save() {
+    if (!this.model) {
+      if (fs.existsSync(this.file)) fs.unlinkSync(this.file);
+      return;
+    }
+    if (!fs.existsSync(this.modelDir)) {
+      fs.mkdirSync(this.modelDir, { recursive: true });
+    }
+    writeJSON(this.file, this.model);
+  }
+}
+
+// ==================== METRICS ====================
+
+// AUC, log-loss (with the base-rate baseline), Brier score and 10-bin calibration
+function evaluate(labels, predictions) {
+  const n = labels.length;
+  if (!n) return { samples: 0, auc: null, logLoss: null, baselineLogLoss: null, brier: null, ece: null, calibration: [] };
+
+  const rate = labels.reduce((a, b) => a + b, 0) / n;
+  const calibration = calibrationBins(labels, predictions);
+
+  return {
+    samples: n,
+    positives: labels.filter(Boolean).length,
+    auc: auc(labels, predictions),
+    logLoss: round6(logLoss(labels, predictions)),
+    baselineLogLoss: round6(logLoss(labels, labels.map(() => rate))),
+    brier: round6(labels.reduce((sum, y, i) => sum + (predictions[i] - y) ** 2, 0) / n),
+    ece: round6(calibration.reduce((sum, bin) => sum + bin.count / n * Math.abs(bin.predicted - bin.observed), 0)),
+    calibration
+  };
+}
+
+// Mann-Whitney U with average ranks for ties; null without both classes
+function auc(labels, predictions) {
+  const positives = labels.filter(Boolean).length;
+  const negatives = labels.length - positives;
+  if (!positives || !negatives) return null;
+
+  const order = predictions.map((p, i) => [p, labels[i]]).sort((a, b) => a[0] - b[0]);
+  let rankSum = 0;
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j < order.length && order[j][0] === order[i][0]) j++;
+    const rank = (i + j + 1) / 2; // average of ranks i+1..j
+    for (let k = i; k < j; k++) if (order[k][1]) rankSum += rank;
+    i = j;
+  }
+
+  return round6((rankSum - positives * (positives + 1) / 2) / (positives * negatives));
+}
+
+function logLoss(labels, predictions) {
+  const eps = 1e-12;
+  return -labels.reduce((sum, y, i) => {
+    const p = Math.min(Math.max(predictions[i], eps), 1 - eps);
+    return sum + (y ? Math.log(p) : Math.log(1 - p));
+  }, 0) / labels.length;
+}
+
+// Equal-width probability bins: mean predicted vs observed rate (empty bins left out)
+function calibrationBins(labels, predictions, bins = 10) {
+  const out = Array.from({ length: bins }, (_, i) => ({ bin: `${i / bins}-${(i + 1) / bins}`, count: 0, predicted: 0, observed: 0 }));
+  predictions.forEach((p, i) => {
+    const bin = out[Math.min(bins - 1, Math.floor(p * bins))];
+    bin.count++;
+    bin.predicted += p;
+    bin.observed += labels[i];
+  });
+
+  return out.filter(b => b.count).map(b => ({
+    bin: b.bin,
+    count: b.count,
+    predicted: round6(b.predicted / b.count),
+    observed: round6(b.observed / b.count)
+  }));
+}
+
+// ==================== HELPERS ====================
+
+function predictWith(model, features) {
+  return sigmoid(model.bias + Object.entries(features).reduce((sum, [name, value]) => sum + (model.weights[name] || 0) * value, 0));
+}
+
+function sigmoid(z) {
+  return 1 / (1 + Math.exp(-z));
+}
+
+function domainType(domain) {
+  if (!domain) return 'unknown';
+  if (isFreemail(domain)) return 'freemail';
+  if (/\.(edu|ac\.[a-z]{2})$/.test(domain)) return 'education';
+  if (/\.(gov|mil)(\.[a-z]{2})?$/.test(domain)) return 'government';
+  return 'business';
+}
+
+function tokenize(company) {
+  return [...new Set(String(company || '').toLowerCase().split(/[^a-z0-9]+/)
+    .filter(t => t.length > 2 && !STOP_WORDS.includes(t)))];
+}
+
+// Stable 80/20 split by lead id
+function inValidation(id, share) {
+  const value = parseInt(crypto.createHash('sha1').update(String(id)).digest('hex').slice(0, 8), 16) / 0x100000000;
+  return value < share;
+}
+
+function downsample(sorted, max) {
+  if (sorted.length <= max) return sorted;
+  return Array.from({ length: max }, (_, i) => sorted[Math.floor(i * (sorted.length - 1) / (max - 1))]);
+}
+
+function round6(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+module.exports = { LeadScorer, evaluate, auc };
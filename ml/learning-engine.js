@@ -6,6 +6,9 @@
 const fs = require('fs');
 const path = require('path');
 const { AICore } = require('./ai-core');
+const { SubjectBandit } = require('./bandit');
+const { LeadScorer } = require('./lead-scorer');
+const { readJSON, writeJSON } = require('../storage');
 
 class LearningEngine {
   constructor() {
@@ -13,6 +16,7 @@ class LearningEngine {
     this.ai.init();
     this.dataDir = path.join(__dirname, '../data');
     this.ensureDataDir();
+    this.subjects = new SubjectBandit({ dataDir: this.dataDir });
     
     // Learning parameters
     this.learningRate = 0.1;
@@ -32,8 +36,8 @@ class LearningEngine {
   
   // ==================== TRACKING ====================
   
-  // Track email performance
-  async trackEmail(emailId, leadId, subject, sentAt, opened, clicked, replied, converted) {
+  // Track email performance (meta: providerId, messageId, brand, step, variant, promptVersion, subjectArm)
+  async trackEmail(emailId, leadId, subject, sentAt, opened, clicked, replied, converted, meta = {}) {
     const metrics = this.loadMetrics('email_performance');
     
     metrics.push({
@@ -41,10 +45,12 @@ class LearningEngine {
       leadId,
       subject,
       sentAt,
+      ...meta,
       opened: opened || false,
       clicked: clicked || false,
       replied: replied || false,
       converted: converted || false,
+      engagement: {},
       timestamp: new Date().toISOString()
     });
     
@@ -55,12 +61,49 @@ class LearningEngine {
     
     this.saveMetrics('email_performance', metrics);
     
+    // Subject picked by the bandit: count the send against its arm
+    if (meta.subjectArm) {
+      this.subjects.recordPull(emailId, meta.subjectArm.pool, meta.subjectArm.arm);
+    }
+    
     // Update learned weights
     await this.updateWeights();
     
     return { tracked: true };
   }
   
+  // Apply engagement events to tracked emails in place
+  // events = [{ type, emailId | providerId | messageId, occurredAt }]
+  // Send-time fields (sentAt, timestamp) are never touched; engagement lands in record.engagement
+  async recordEngagement(events) {
+    const metrics = this.loadMetrics('email_performance');
+    const results = [];
+    
+    for (const event of events) {
+      const record = metrics.find(m =>
+        (event.emailId && m.emailId === event.emailId) ||
+        (event.providerId && m.providerId === event.providerId) ||
+        (event.messageId && m.messageId === event.messageId)
+      );
+      
+      if (!record) {
+        results.push({ ...event, matched: false });
+        continue;
+      }
+      
+      applyEngagement(record, event);
+      if (record.subjectArm) this.subjects.reward(record.emailId, record);
+      results.push({ ...event, matched: true, emailId: record.emailId, leadId: record.leadId });
+    }
+    
+    if (results.some(r => r.matched)) {
+      this.saveMetrics('email_performance', metrics);
+      await this.updateWeights();
+    }
+    
+    return results;
+  }
+  
   // Track conversion data
   async trackConversion(leadId, touchpoints, finalOutcome, revenue) {
     const conversions = this.loadMetrics('conversions');
@@ -83,12 +126,13 @@ class LearningEngine {
   }
   
   // Track pricing sensitivity
-  async trackPricing(pricePoint, outcome) {
+  async trackPricing(pricePoint, outcome, businessType) {
     const pricing = this.loadMetrics('pricing');
     
     pricing.push({
       price: pricePoint,
       outcome, // 'accepted', 'rejected', 'countered'
+      businessType,
       timestamp: new Date().toISOString()
     });
     
@@ -164,52 +208,82 @@ class LearningEngine {
     return this.weights;
   }
   
-  // Get optimized subject line using AI + learning
-  async getOptimizedSubject(businessType, leadData) {
-    const emailPerf = this.loadMetrics('email_performance');
+  // Subject for the next email: Thompson-sampled from the pool for this business type + industry
+  // -> { subject, pool, arm }
+  async getOptimizedSubject(businessType, leadData = {}) {
+    const pool = this.subjects.poolKey(businessType, leadData.industry);
+    this.subjects.addCandidates(pool, this.getSubjectTemplates(businessType));
+    await this.refreshSubjectCandidates(pool, businessType);
+    
+    return this.subjects.choose(pool);
+  }
+  
+  // AI riffs on subjects that converted join the pool, at most once a day per pool
+  async refreshSubjectCandidates(pool, businessType) {
+    if (!this.ai.isAvailable()) return;
     
-    // Get top performing subjects
-    const subjects = emailPerf
+    const last = this.subjects.lastGenerated(pool);
+    if (last && Date.now() - new Date(last).getTime() < 24 * 60 * 60 * 1000) return;
+    
+    const subjects = this.loadMetrics('email_performance')
       .filter(e => e.converted)
       .map(e => e.subject)
       .slice(-50);
+    if (subjects.length <= 10) return;
     
-    if (this.ai.openai && subjects.length > 10) {
-      // Use AI to generate optimized subject
-      const prompt = `Based on these successful email subjects: ${subjects.join(', ')}
-      
-      Generate 3 new subject lines for a ${businessType} outreach.
-      Make them similar in style but original.
-      Return as JSON array of strings.`;
-      
-      try {
-        const response = await this.ai.openai.chat.completions.create({
-          model: 'gpt-4',
-          messages: [{ role: 'user', content: prompt }],
-          temperature: 0.8
-        });
-        
-        const subjects = JSON.parse(response.choices[0].message.content);
-        return subjects[Math.floor(Math.random() * subjects.length)];
-      } catch (e) {
-        return this.getBestSubject(businessType);
-      }
+    this.subjects.markGenerated(pool);
+    const generated = await this.ai.generateSubjectLines(subjects, businessType);
+    if (Array.isArray(generated) && generated.length > 0) {
+      this.subjects.addCandidates(pool, generated, { source: 'ai' });
     }
-    
-    return this.getBestSubject(businessType);
   }
   
-  getBestSubject(businessType) {
+  // Seed subjects per business type (brands map to their type)
+  getSubjectTemplates(businessType) {
     const templates = {
       'seo-audit': ['Quick SEO question', 'SEO improvement idea', 'Saw your site...'],
       'leads': ['Lead generation help?', 'Fresh leads for you', 'Helping with leads'],
       'general': ['Quick question', 'Thought you should know', 'Ideas for you']
     };
+    const aliases = { auditiqs: 'seo-audit', leadvaults: 'leads' };
     
-    const options = templates[businessType] || templates['general'];
+    return templates[businessType] || templates[aliases[businessType]] || templates['general'];
+  }
+  
+  getBestSubject(businessType) {
+    const options = this.getSubjectTemplates(businessType);
     return options[Math.floor(Math.random() * options.length)];
   }
   
+  // Per-arm bandit stats for review (all pools, or one 'businessType|industry' pool)
+  getSubjectStats(pool = null) {
+    return this.subjects.stats(pool);
+  }
+  
+  // Engagement per prompt version ('outreach@v2', 'template' when no model wrote the email)
+  getPromptPerformance() {
+    const emailPerf = this.loadMetrics('email_performance');
+    const versions = {};
+    
+    emailPerf.forEach(e => {
+      const key = e.promptVersion || 'unversioned';
+      const stats = versions[key] || (versions[key] = { sent: 0, opened: 0, clicked: 0, replied: 0, converted: 0 });
+      stats.sent++;
+      if (e.opened) stats.opened++;
+      if (e.clicked) stats.clicked++;
+      if (e.replied) stats.replied++;
+      if (e.converted) stats.converted++;
+    });
+    
+    Object.values(versions).forEach(stats => {
+      stats.openRate = +(stats.opened / stats.sent * 100).toFixed(1);
+      stats.replyRate = +(stats.replied / stats.sent * 100).toFixed(1);
+      stats.conversionRate = +(stats.converted / stats.sent * 100).toFixed(1);
+    });
+    
+    return versions;
+  }
+  
   // ==================== PREDICTIONS ====================
   
   // Predict conversion probability
@@ -217,6 +291,18 @@ class LearningEngine {
     const conversions = this.loadMetrics('conversions');
     const emailPerf = this.loadMetrics('email_performance');
     
+    // Trained lead scorer first - its probability is checked against real outcomes
+    const scorer = new LeadScorer().load();
+    if (scorer.trained) {
+      const result = scorer.score(leadData || {}, { emails: leadData && leadData.id ? emailPerf.filter(e => e.leadId === leadData.id) : [] });
+      return {
+        probability: Math.round(result.probability * 100) / 100,
+        confidence: result.confidence,
+        model: result.model,
+        totalDataPoints: scorer.model.samples.total
+      };
+    }
+    
     // Simple ML: calculate base rate
     const totalLeads = conversions.length;
     if (totalLeads < 10) return { probability: 0.1, confidence: 'low' };
@@ -231,7 +317,7 @@ class LearningEngine {
     }
     
     // AI enhancement
-    if (this.ai.openai) {
+    if (this.ai.isAvailable()) {
       const aiAnalysis = await this.ai.analyzeLead(leadData);
       probability = (probability + aiAnalysis.score / 100) / 2;
     }
@@ -246,23 +332,16 @@ class LearningEngine {
     };
   }
   
-  // Optimal pricing
-  async getOptimalPrice(businessType) {
-    const pricing = this.loadMetrics('pricing');
+  // Optimal pricing - the business's list price (config.businesses) until there is enough data
+  async getOptimalPrice(businessType, defaultPrice = 99) {
+    const pricing = this.loadMetrics('pricing')
+      .filter(p => !p.businessType || p.businessType === businessType);
     
     const accepted = pricing.filter(p => p.outcome === 'accepted');
     const rejected = pricing.filter(p => p.outcome === 'rejected');
     
     if (accepted.length < 5) {
-      // Default prices
-      const defaults = {
-        'auditiqs': 99,
-        'leadvaults': 97,
-        'competeai': 197,
-        'contentais': 25,
-        'socialpulses': 49
-      };
-      return defaults[businessType] || 99;
+      return defaultPrice;
     }
     
     // Find sweet spot
@@ -307,9 +386,11 @@ class LearningEngine {
         revenue: { total: totalRevenue, perEmail: totalEmails > 0 ? (totalRevenue / totalEmails).toFixed(2) : 0 },
         leads: { total: conversions.length }
       },
+      prompts: this.getPromptPerformance(),
+      subjects: this.getSubjectStats(),
       weights: this.weights,
       recommendations,
-      aiStatus: this.ai.openai ? 'active' : 'template_mode'
+      aiStatus: this.ai.isAvailable() ? 'active' : 'template_mode'
     };
   }
   
@@ -344,7 +425,7 @@ class LearningEngine {
     }
     
     // AI-powered recommendation
-    if (this.ai.openai && metrics.totalEmails > 20) {
+    if (this.ai.isAvailable() && metrics.totalEmails > 20) {
       recommendations.push({
         priority: 'low',
         area: 'ai_optimization',
@@ -360,18 +441,44 @@ class LearningEngine {
   
   loadMetrics(name) {
     const file = path.join(this.dataDir, `${name}.json`);
-    if (!fs.existsSync(file)) return [];
-    try {
-      return JSON.parse(fs.readFileSync(file));
-    } catch {
-      return [];
-    }
+    return readJSON(file, []);
   }
   
   saveMetrics(name, data) {
     const file = path.join(this.dataDir, `${name}.json`);
-    fs.writeFileSync(file, JSON.stringify(data, null, 2));
+    writeJSON(file, data);
   }
 }
 
+// Engagement event -> flags + first-seen timestamps on an email record
+const ENGAGEMENT_FIELDS = {
+  delivered: { at: 'deliveredAt' },
+  open: { at: 'openedAt', flag: 'opened', count: 'opens' },
+  click: { at: 'clickedAt', flag: 'clicked', count: 'clicks' },
+  reply: { at: 'repliedAt', flag: 'replied' },
+  bounce: { at: 'bouncedAt', flag: 'bounced' },
+  complaint: { at: 'complainedAt', flag: 'complained' },
+  conversion: { at: 'convertedAt', flag: 'converted' },
+  // Proxy prefetches and link scanners - kept for visibility, never set a flag
+  machine_open: { at: 'machineOpenAt', count: 'machineOpens' },
+  machine_click: { at: 'machineClickAt', count: 'machineClicks' }
+};
+
+function applyEngagement(record, event) {
+  const fields = ENGAGEMENT_FIELDS[event.type];
+  if (!fields) return;
+  
+  const engagement = record.engagement || (record.engagement = {});
+  const at = event.occurredAt || new Date().toISOString();
+  
+  if (!engagement[fields.at] || at < engagement[fields.at]) engagement[fields.at] = at;
+  if (fields.count) engagement[fields.count] = (engagement[fields.count] || 0) + 1;
+  if (fields.flag) record[fields.flag] = true;
+  
+  // A click or reply implies the email was opened
+  if (event.type === 'click' || event.type === 'reply') record.opened = true;
+  
+  engagement.lastEventAt = at;
+}
+
 module.exports = { LearningEngine };
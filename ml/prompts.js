@@ -0,0 +1,180 @@
+/**
+ * PROMPT REGISTRY
+ * Named, versioned prompt templates shared by every provider
+ *
+ * Template syntax (Mustache subset):
+ *   {{name}}               value (dotted paths allowed: {{lead.company}})
+ *   {{#name}}...{{/name}}  section, rendered when name is truthy / non-empty
+ *   {{^name}}...{{/name}}  inverted section, rendered when name is falsy / empty
+ *
+ * The active version of each prompt is the latest registered one, unless
+ * pinned with setActive() or PROMPT_VERSIONS="outreach=v1,audit=v2".
+ */
+
+const PROMPTS = {
+  outreach: {
+    v1: `Generate a personalized cold outreach email for a {{lead.industry}} company called "{{lead.company}}".
+Contact: {{lead.firstName}} {{lead.lastName}}
+Business: {{businessType}}
+{{instructions}}
+Write under 100 words. Focus on value. Include subject line.
+Return JSON: {subject, body}`
+  },
+
+  audit: {
+    v1: `Create SEO report for {{website}}:
+Score: {{score}}/100 (grade {{grade}}), {{pagesCrawled}} pages crawled
+
+Category scores:
+{{#categories}}{{categories}}{{/categories}}{{^categories}}- none{{/categories}}
+
+Issues found by the crawler:
+{{#issues}}{{issues}}{{/issues}}{{^issues}}- none{{/issues}}
+
+Only discuss the issues listed above - do not invent others.
+Include: Issues, Recommendations, Action plan (most severe first). HTML format.`
+  },
+
+  competitors: {
+    v1: `Create competitor intelligence report for {{website}}:
+
+Sites compared:
+{{#sites}}{{sites}}{{/sites}}{{^sites}}- none{{/sites}}
+
+Changes since the last report:
+{{#changes}}{{changes}}{{/changes}}{{^changes}}- none (first report or nothing changed){{/changes}}
+{{#unreachable}}
+Could not be fetched: {{unreachable}}
+{{/unreachable}}
+Only use the facts listed above - do not invent prices, features or changes.
+Include: Pricing comparison, Positioning and keywords, Notable changes, Recommendations. HTML format.`
+  },
+
+  outline: {
+    v1: `Outline this {{typeLabel}}: "{{topic}}".
+{{brief}}
+Return JSON: {title, sections: [{heading, points: []}]} with 4-7 sections. Use the main keyword in the title.`
+  },
+
+  content: {
+    v1: `{{instruction}}
+{{brief}}
+{{#outline}}Follow this outline (title as "# ", sections as "## "):
+{{outline}}
+{{/outline}}Return Markdown only - no preamble, no code fences.`
+  },
+
+  social: {
+    v1: `Write {{count}} {{platform.label}} posts for {{business.name}}{{#business.industry}}, a {{business.industry}} business{{/business.industry}}{{#business.website}} ({{business.website}}){{/business.website}}.
+{{#business.description}}About the business: {{business.description}}
+{{/business.description}}One post per line of this schedule, in order:
+{{schedule}}
+
+Each post must be under {{platform.limit}} characters including hashtags, with at most {{platform.maxHashtags}} hashtags.
+{{platform.style}}
+Return JSON array: [{text, hashtags: []}] - hashtags without the # and not repeated in text.`
+  },
+
+  analyze: {
+    v1: `Analyze lead: {{leadJson}}. Return JSON: {score: 0-100, confidence: low|medium|high, reasons: []}`
+  },
+
+  respond: {
+    v1: `Reply to: "{{inquiry}}" (Context: {{context}})`
+  },
+
+  subjects: {
+    v1: `Based on these successful email subjects: {{examples}}
+
+Generate 3 new subject lines for a {{businessType}} outreach.
+Make them similar in style but original.
+Return as JSON array of strings.`
+  }
+};
+
+class PromptRegistry {
+  constructor(options = {}) {
+    this.templates = {};
+    this.active = {};
+
+    Object.entries(options.prompts || PROMPTS).forEach(([name, versions]) => {
+      Object.entries(versions).forEach(([version, template]) => this.register(name, version, template));
+    });
+
+    const pinned = options.versions || parseVersions(process.env.PROMPT_VERSIONS);
+    Object.entries(pinned).forEach(([name, version]) => this.setActive(name, version));
+  }
+
+  // Later registrations of a name become its active version
+  register(name, version, template) {
+    if (!this.templates[name]) this.templates[name] = {};
+    this.templates[name][version] = template;
+    this.active[name] = version;
+    return this;
+  }
+
+  setActive(name, version) {
+    if (!this.templates[name] || !this.templates[name][version]) {
+      throw new Error(`Unknown prompt version: ${name}@${version}`);
+    }
+    this.active[name] = version;
+  }
+
+  // { name, version, id: 'name@version', text }
+  render(name, vars = {}, { version } = {}) {
+    const versions = this.templates[name];
+    if (!versions) {
+      throw new Error(`Unknown prompt: ${name}`);
+    }
+
+    const chosen = version || this.active[name];
+    const template = versions[chosen];
+    if (template === undefined) {
+      throw new Error(`Unknown prompt version: ${name}@${chosen}`);
+    }
+
+    return { name, version: chosen, id: `${name}@${chosen}`, text: interpolate(template, vars).trim() };
+  }
+
+  list() {
+    return Object.keys(this.templates).map(name => ({
+      name,
+      versions: Object.keys(this.templates[name]),
+      active: this.active[name]
+    }));
+  }
+}
+
+// ==================== INTERPOLATION ====================
+
+// Single pass, so values are never re-scanned for tags
+function interpolate(template, vars) {
+  const tags = /\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}|\{\{\s*([\w.]+)\s*\}\}/g;
+
+  return template.replace(tags, (m, kind, sectionKey, inner, key) => {
+    if (kind) {
+      const show = isTruthy(lookup(vars, sectionKey));
+      return (kind === '#' ? show : !show) ? interpolate(inner, vars) : '';
+    }
+
+    const value = lookup(vars, key);
+    if (value === undefined || value === null) return '';
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  });
+}
+
+function lookup(vars, key) {
+  return key.split('.').reduce((value, part) => (value === undefined || value === null ? undefined : value[part]), vars);
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+// "outreach=v1,audit=v2" -> { outreach: 'v1', audit: 'v2' }
+function parseVersions(value) {
+  if (!value) return {};
+  return Object.fromEntries(value.split(',').map(pair => pair.split('=').map(s => s.trim())).filter(([name, version]) => name && version));
+}
+
+module.exports = { PromptRegistry, PROMPTS, interpolate };
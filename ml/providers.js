@@ -0,0 +1,314 @@
+/**
+ * AI PROVIDERS
+ * Adapter interface + per-call fallback chain
+ *
+ * Every adapter implements:
+ *   generateText(request) -> string
+ *   complete(request)     -> { text, usage: { promptTokens, completionTokens } | null }
+ *   generateJSON(request) -> parsed JSON
+ *   healthCheck()         -> boolean
+ *
+ * request = { task, business, prompt, data, temperature, json }
+ * json ('object' | 'array') asks the backend for JSON output where it supports it
+ */
+
+const OpenAI = require('openai');
+const { extractJSON } = require('./schemas');
+const { estimateTokens } = require('./usage');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+// Base adapter - subclasses override generateText/generateJSON/healthCheck
+class AIProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.model = options.model || null;
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    this.enabled = true;
+    this.suspended = false; // set while the monthly AI budget is exhausted
+    this.stats = { calls: 0, failures: 0, lastError: null, lastUsed: null };
+  }
+
+  isEnabled() {
+    return this.enabled && !this.suspended;
+  }
+
+  async generateText(request) {
+    throw new Error(`${this.name} does not implement generateText`);
+  }
+
+  // Text plus token usage where the backend reports it
+  async complete(request) {
+    return { text: await this.generateText(request), usage: null };
+  }
+
+  async generateJSON(request) {
+    return extractJSON(await this.generateText({ ...request, json: request.json || 'object' }));
+  }
+
+  async healthCheck() {
+    return this.enabled;
+  }
+}
+
+// Any API speaking the OpenAI chat completions protocol
+class OpenAICompatibleProvider extends AIProvider {
+  constructor(name, { apiKey, baseURL, model, timeoutMs }) {
+    super(name, { model, timeoutMs });
+    this.client = new OpenAI({ apiKey, baseURL, timeout: this.timeoutMs, maxRetries: 0 });
+  }
+
+  async generateText(request) {
+    return (await this.complete(request)).text;
+  }
+
+  async complete(request) {
+    const response = await this.client.chat.completions.create({
+      model: this.model,
+      messages: [{ role: 'user', content: request.prompt }],
+      temperature: request.temperature ?? 0.7,
+      // json_object mode only allows top-level objects, so arrays go out as plain text
+      ...(request.json === 'object' ? { response_format: { type: 'json_object' } } : {})
+    });
+    return {
+      text: response.choices[0].message.content,
+      usage: response.usage
+        ? { promptTokens: response.usage.prompt_tokens, completionTokens: response.usage.completion_tokens }
+        : null
+    };
+  }
+
+  async healthCheck() {
+    try {
+      await this.client.models.list();
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+}
+
+class DeepSeekProvider extends OpenAICompatibleProvider {
+  constructor({ apiKey, model = 'deepseek-chat', timeoutMs } = {}) {
+    super('deepseek', { apiKey, baseURL: 'https://api.deepseek.com/v1', model, timeoutMs });
+  }
+}
+
+class OpenAIProvider extends OpenAICompatibleProvider {
+  constructor({ apiKey, model = 'gpt-4', timeoutMs } = {}) {
+    super('openai', { apiKey, model, timeoutMs });
+  }
+}
+
+// Local Ollama server - disabled until healthCheck() finds it running
+class OllamaProvider extends AIProvider {
+  constructor({ host = 'http://localhost:11434', model = 'llama3', timeoutMs = 60000 } = {}) {
+    super('ollama', { model, timeoutMs });
+    this.host = host;
+    this.enabled = false;
+    this.hasModel = false;
+  }
+
+  async post(pathname, body) {
+    const response = await fetch(`${this.host}${pathname}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Ollama returned HTTP ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  async generateText(request) {
+    return (await this.complete(request)).text;
+  }
+
+  // Ollama reports prompt_eval_count / eval_count (omitted when the prompt was cached)
+  async complete(request) {
+    const result = await this.post('/api/generate', {
+      model: this.model,
+      prompt: request.prompt,
+      stream: false,
+      ...(request.json ? { format: 'json' } : {}),
+      options: { temperature: request.temperature ?? 0.7 }
+    });
+    return {
+      text: result.response,
+      usage: { promptTokens: result.prompt_eval_count, completionTokens: result.eval_count }
+    };
+  }
+
+  async healthCheck() {
+    try {
+      const response = await fetch(`${this.host}/api/tags`, { signal: AbortSignal.timeout(2000) });
+      if (!response.ok) {
+        this.enabled = false;
+        return false;
+      }
+
+      const data = await response.json();
+      this.hasModel = !!data.models?.some(m => m.name === this.model || m.name.startsWith(`${this.model}:`));
+      this.enabled = true;
+      return true;
+    } catch (e) {
+      // Ollama not running
+      this.enabled = false;
+      return false;
+    }
+  }
+}
+
+// Last link in every chain - answers each task from a local template function
+// (JSON tasks get the template's object back as-is)
+class TemplateProvider extends AIProvider {
+  constructor(templates = {}) {
+    super('template', { timeoutMs: 1000 });
+    this.templates = templates;
+  }
+
+  async generateText(request) {
+    const template = this.templates[request.task];
+    if (!template) {
+      throw new Error(`No template for task "${request.task}"`);
+    }
+    return template(request.data || {});
+  }
+
+  // No model involved - nothing to count
+  async complete(request) {
+    return { text: await this.generateText(request), usage: { promptTokens: 0, completionTokens: 0 } };
+  }
+}
+
+// Ordered list of providers - each call falls through to the next on error or timeout
+// options.onCall({ provider, model, task, business, promptTokens, completionTokens, latencyMs, ok }) sees every attempt
+class ProviderChain {
+  constructor(providers = [], options = {}) {
+    this.providers = providers;
+    this.onCall = options.onCall || null;
+  }
+
+  add(provider) {
+    this.providers.push(provider);
+    return this;
+  }
+
+  get(name) {
+    return this.providers.find(p => p.name === name) || null;
+  }
+
+  active() {
+    return this.providers.filter(p => p.isEnabled());
+  }
+
+  primary() {
+    return this.active()[0] || null;
+  }
+
+  async run(method, request) {
+    const errors = [];
+
+    for (const provider of this.active()) {
+      provider.stats.calls++;
+      const started = Date.now();
+
+      try {
+        // generateText goes through complete() so token usage comes back with the text
+        const completion = await withTimeout(
+          method === 'generateText' ? provider.complete(request) : provider[method](request).then(result => ({ text: result, usage: null })),
+          provider.timeoutMs,
+          `timed out after ${provider.timeoutMs}ms`
+        );
+        const result = completion.text;
+        const usage = completion.usage || {};
+        provider.stats.lastUsed = new Date().toISOString();
+
+        this.report({
+          provider: provider.name,
+          model: provider.model,
+          task: request.task,
+          business: request.business,
+          promptTokens: usage.promptTokens ?? estimateTokens(request.prompt),
+          completionTokens: usage.completionTokens ?? estimateTokens(typeof result === 'string' ? result : JSON.stringify(result)),
+          latencyMs: Date.now() - started,
+          ok: true
+        });
+        return { result, provider: provider.name, model: provider.model };
+      } catch (e) {
+        provider.stats.failures++;
+        provider.stats.lastError = e.message;
+        this.report({
+          provider: provider.name,
+          model: provider.model,
+          task: request.task,
+          business: request.business,
+          latencyMs: Date.now() - started,
+          ok: false
+        });
+        errors.push(`${provider.name}: ${e.message}`);
+        console.log(`⚠️ AI ${provider.name} failed on ${request.task} (${e.message}), trying next provider...`);
+      }
+    }
+
+    throw new Error(`All AI providers failed for ${request.task} - ${errors.join('; ')}`);
+  }
+
+  generateText(request) {
+    return this.run('generateText', request);
+  }
+
+  generateJSON(request) {
+    return this.run('generateJSON', request);
+  }
+
+  // Usage accounting must never break a generation
+  report(call) {
+    if (!this.onCall) return;
+    try {
+      this.onCall(call);
+    } catch (e) {
+      console.log('AI usage recording failed:', e.message);
+    }
+  }
+
+  async healthCheck() {
+    const health = {};
+    for (const provider of this.providers) {
+      health[provider.name] = await provider.healthCheck();
+    }
+    return health;
+  }
+
+  getStatus() {
+    return this.providers.map(p => ({
+      name: p.name,
+      model: p.model,
+      enabled: p.isEnabled(),
+      ...p.stats
+    }));
+  }
+}
+
+// Reject if the promise has not settled within ms
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = {
+  AIProvider,
+  OpenAICompatibleProvider,
+  DeepSeekProvider,
+  OpenAIProvider,
+  OllamaProvider,
+  TemplateProvider,
+  ProviderChain
+};
@@ -0,0 +1,293 @@
+/**
+ * STRUCTURED OUTPUT SCHEMAS
+ * One schema per JSON-returning AI task + extraction, validation and repair prompts
+ * Provider-agnostic: everything works on the raw reply text
+ */
+
+const SCHEMAS = {
+  // generateOutreach_email
+  email: {
+    type: 'object',
+    properties: {
+      subject: { type: 'string', minLength: 1, maxLength: 200 },
+      body: { type: 'string', minLength: 1 }
+    },
+    required: ['subject', 'body'],
+    example: '{"subject": "string", "body": "string"}'
+  },
+
+  // analyzeLead
+  leadScore: {
+    type: 'object',
+    properties: {
+      score: { type: 'number', min: 0, max: 100 },
+      confidence: { type: 'string', enum: ['low', 'medium', 'high'] },
+      reasons: { type: 'array', items: { type: 'string' }, default: [] }
+    },
+    required: ['score', 'confidence'],
+    example: '{"score": 0-100, "confidence": "low" | "medium" | "high", "reasons": ["string"]}'
+  },
+
+  // getOptimizedSubject
+  subjectList: {
+    type: 'array',
+    items: { type: 'string', minLength: 1, maxLength: 200 },
+    minItems: 1,
+    unwrap: ['subjects', 'subject_lines', 'subjectLines'],
+    example: '["string", "string", "string"]'
+  },
+
+  // generateContent (long-form outline step)
+  contentOutline: {
+    type: 'object',
+    properties: {
+      title: { type: 'string', minLength: 1, maxLength: 200 },
+      sections: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            heading: { type: 'string', minLength: 1 },
+            points: { type: 'array', items: { type: 'string' }, default: [] }
+          },
+          required: ['heading']
+        },
+        minItems: 2
+      }
+    },
+    required: ['title', 'sections'],
+    example: '{"title": "string", "sections": [{"heading": "string", "points": ["string"]}]}'
+  },
+
+  // generateSocialPosts
+  socialPosts: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        text: { type: 'string', minLength: 1 },
+        hashtags: { type: 'array', items: { type: 'string', minLength: 1 }, default: [] }
+      },
+      required: ['text']
+    },
+    minItems: 1,
+    unwrap: ['posts'],
+    example: '[{"text": "string", "hashtags": ["string"]}]'
+  }
+};
+
+function getSchema(name) {
+  const schema = SCHEMAS[name];
+  if (!schema) {
+    throw new Error(`Unknown schema: ${name}`);
+  }
+  return schema;
+}
+
+// ==================== EXTRACTION ====================
+
+// Pull the first JSON value out of a reply that may be fenced or wrapped in chatter
+function extractJSON(raw) {
+  if (typeof raw !== 'string') return raw;
+
+  const text = raw.trim();
+  const direct = tryParse(text);
+  if (direct.ok) return direct.value;
+
+  // ```json ... ``` fences
+  const fenceRegex = /```(?:json|JSON)?\s*([\s\S]*?)```/g;
+  let fence;
+  while ((fence = fenceRegex.exec(text)) !== null) {
+    const fenced = tryParse(fence[1].trim());
+    if (fenced.ok) return fenced.value;
+  }
+
+  // First balanced {...} or [...] that parses
+  for (let start = 0; start < text.length; start++) {
+    if (text[start] !== '{' && text[start] !== '[') continue;
+
+    const end = findClosing(text, start);
+    if (end === -1) continue;
+
+    const candidate = tryParse(text.slice(start, end + 1));
+    if (candidate.ok) return candidate.value;
+  }
+
+  throw new Error('No JSON found in model output');
+}
+
+function tryParse(text) {
+  try {
+    return { ok: true, value: JSON.parse(text) };
+  } catch (e) {
+    return { ok: false };
+  }
+}
+
+// Index of the bracket closing the one at start, skipping over string literals
+function findClosing(text, start) {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+
+    if (ch === '"') inString = true;
+    else if (ch === '{' || ch === '[') stack.push(ch === '{' ? '}' : ']');
+    else if (ch === '}' || ch === ']') {
+      if (stack.pop() !== ch) return -1;
+      if (stack.length === 0) return i;
+    }
+  }
+
+  return -1;
+}
+
+// ==================== VALIDATION ====================
+
+// Check (and lightly coerce) a value against a schema
+function validate(schema, value, path = '$') {
+  const errors = [];
+  const coerced = check(schema, value, path, errors);
+  return { valid: errors.length === 0, value: coerced, errors };
+}
+
+function check(schema, value, path, errors) {
+  if (value === undefined && schema.default !== undefined) {
+    return clone(schema.default);
+  }
+
+  switch (schema.type) {
+    case 'object':
+      return checkObject(schema, value, path, errors);
+    case 'array':
+      return checkArray(schema, value, path, errors);
+    case 'number':
+      return checkNumber(schema, value, path, errors);
+    case 'string':
+      return checkString(schema, value, path, errors);
+    default:
+      return value;
+  }
+}
+
+function checkObject(schema, value, path, errors) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    errors.push(`${path}: expected object`);
+    return value;
+  }
+
+  const result = { ...value };
+  for (const key of schema.required || []) {
+    if (value[key] === undefined || value[key] === null) {
+      errors.push(`${path}.${key}: required`);
+    }
+  }
+
+  for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+    if (value[key] === undefined && propSchema.default === undefined) continue;
+    if (value[key] === null && !(schema.required || []).includes(key)) continue;
+    result[key] = check(propSchema, value[key], `${path}.${key}`, errors);
+  }
+
+  return result;
+}
+
+function checkArray(schema, value, path, errors) {
+  // Models in JSON-object mode tend to wrap lists: {"subjects": [...]}
+  if (!Array.isArray(value) && value && typeof value === 'object' && schema.unwrap) {
+    const key = schema.unwrap.find(k => Array.isArray(value[k]));
+    if (key) value = value[key];
+  }
+
+  if (!Array.isArray(value)) {
+    errors.push(`${path}: expected array`);
+    return value;
+  }
+
+  if (schema.minItems && value.length < schema.minItems) {
+    errors.push(`${path}: expected at least ${schema.minItems} items`);
+  }
+
+  return schema.items
+    ? value.map((item, i) => check(schema.items, item, `${path}[${i}]`, errors))
+    : value;
+}
+
+function checkNumber(schema, value, path, errors) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+
+  if (typeof number !== 'number' || !Number.isFinite(number)) {
+    errors.push(`${path}: expected number`);
+    return value;
+  }
+  if (schema.min !== undefined && number < schema.min) errors.push(`${path}: below ${schema.min}`);
+  if (schema.max !== undefined && number > schema.max) errors.push(`${path}: above ${schema.max}`);
+
+  return number;
+}
+
+function checkString(schema, value, path, errors) {
+  if (typeof value === 'number') value = String(value);
+
+  if (typeof value !== 'string') {
+    errors.push(`${path}: expected string`);
+    return value;
+  }
+
+  const text = schema.enum ? value.trim().toLowerCase() : value.trim();
+  if (schema.minLength && text.length < schema.minLength) errors.push(`${path}: empty`);
+  if (schema.maxLength && text.length > schema.maxLength) errors.push(`${path}: longer than ${schema.maxLength}`);
+  if (schema.enum && !schema.enum.includes(text)) errors.push(`${path}: expected one of ${schema.enum.join(', ')}`);
+
+  return text;
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+// ==================== PARSE + REPAIR ====================
+
+// Extract then validate a raw reply
+function parseStructured(schema, raw) {
+  let value;
+  try {
+    value = extractJSON(raw);
+  } catch (e) {
+    return { valid: false, value: null, errors: [e.message] };
+  }
+  return validate(schema, value);
+}
+
+// Follow-up prompt asking the model to fix its previous reply
+function buildRepairPrompt(schema, originalPrompt, raw, errors) {
+  const previous = typeof raw === 'string' ? raw : JSON.stringify(raw);
+
+  return `${originalPrompt}
+
+Your previous reply did not match the required format.
+Problems: ${errors.join('; ')}
+Previous reply:
+${(previous || '').slice(0, 2000)}
+
+Reply again with ONLY valid JSON (no prose, no code fences) shaped like:
+${schema.example}`;
+}
+
+module.exports = {
+  SCHEMAS,
+  getSchema,
+  extractJSON,
+  validate,
+  parseStructured,
+  buildRepairPrompt
+};
@@ -0,0 +1,203 @@
+/**
+ * AI USAGE & COST
+ * Every provider attempt is recorded: provider, model, task, business, tokens,
+ * latency and cost from the price table. Daily aggregates (by provider, task
+ * and business) are kept in data/ai_usage.json for 90 days, and month-to-date
+ * spend is checked against the monthly budget.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readJSON, writeJSON } = require('../storage');
+
+// USD per 1M tokens - `${provider}/${model}` wins over `${provider}`
+const DEFAULT_PRICES = {
+  'deepseek': { input: 0.14, output: 0.28 },
+  'openai': { input: 30, output: 60 },
+  'openai/gpt-4': { input: 30, output: 60 },
+  'openai/gpt-4o': { input: 2.5, output: 10 },
+  'openai/gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'ollama': { input: 0, output: 0 },
+  'template': { input: 0, output: 0 }
+};
+
+const KEEP_DAYS = 90;
+
+class UsageTracker {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || path.join(__dirname, '../data');
+    this.usageFile = path.join(this.dataDir, 'ai_usage.json');
+    this.prices = { ...DEFAULT_PRICES, ...(options.prices || parsePrices(process.env.AI_PRICES)) };
+    this.monthlyBudget = options.monthlyBudget !== undefined
+      ? options.monthlyBudget
+      : parseFloat(process.env.AI_MONTHLY_BUDGET) || null;
+    this.ensureDataDir();
+  }
+
+  ensureDataDir() {
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+  }
+
+  // ==================== RECORDING ====================
+
+  // call = { provider, model, task, business, promptTokens, completionTokens, latencyMs, ok, at }
+  record(call) {
+    const at = call.at ? new Date(call.at) : new Date();
+    const cost = this.cost(call.provider, call.model, call.promptTokens, call.completionTokens);
+    const usage = this.load();
+    const day = usage.days[dayKey(at)] || (usage.days[dayKey(at)] = { ...emptyTotals(), byProvider: {}, byTask: {}, byBusiness: {} });
+
+    const entry = {
+      calls: 1,
+      failures: call.ok === false ? 1 : 0,
+      promptTokens: call.promptTokens || 0,
+      completionTokens: call.completionTokens || 0,
+      cost,
+      latencyMs: call.latencyMs || 0
+    };
+
+    addTotals(day, entry);
+    addTotals(day.byProvider[providerKey(call)] || (day.byProvider[providerKey(call)] = emptyTotals()), entry);
+    addTotals(day.byTask[call.task || 'unknown'] || (day.byTask[call.task || 'unknown'] = emptyTotals()), entry);
+    addTotals(day.byBusiness[call.business || 'none'] || (day.byBusiness[call.business || 'none'] = emptyTotals()), entry);
+
+    // Drop days past the retention window
+    const cutoff = dayKey(new Date(at.getTime() - KEEP_DAYS * 86400000));
+    Object.keys(usage.days).filter(d => d < cutoff).forEach(d => delete usage.days[d]);
+
+    this.save(usage);
+    return { ...entry, cost };
+  }
+
+  // USD for one call
+  cost(provider, model, promptTokens = 0, completionTokens = 0) {
+    const price = this.priceFor(provider, model);
+    if (!price) return 0;
+    return round6((promptTokens * price.input + completionTokens * price.output) / 1e6);
+  }
+
+  priceFor(provider, model) {
+    return this.prices[`${provider}/${model}`] || this.prices[provider] || null;
+  }
+
+  // Paid providers are the ones the budget switches off
+  isPaid(provider, model) {
+    const price = this.priceFor(provider, model);
+    return Boolean(price && (price.input > 0 || price.output > 0));
+  }
+
+  // ==================== BUDGET ====================
+
+  monthToDate(now = new Date()) {
+    const month = dayKey(now).slice(0, 7);
+    const days = Object.entries(this.load().days).filter(([day]) => day.startsWith(month));
+    return round6(days.reduce((sum, [, totals]) => sum + totals.cost, 0));
+  }
+
+  overBudget(now = new Date()) {
+    return this.monthlyBudget !== null && this.monthlyBudget !== undefined && this.monthToDate(now) >= this.monthlyBudget;
+  }
+
+  // ==================== REPORTING ====================
+
+  // Dashboard view: month-to-date vs budget, today, last N days, and breakdowns for the month
+  summary({ days = 30, now = new Date() } = {}) {
+    const usage = this.load();
+    const month = dayKey(now).slice(0, 7);
+    const monthDays = Object.entries(usage.days).filter(([day]) => day.startsWith(month)).map(([, totals]) => totals);
+    const spend = this.monthToDate(now);
+
+    return {
+      month: {
+        ...finish(monthDays.reduce((sum, d) => addTotals(sum, d), emptyTotals())),
+        budget: this.monthlyBudget,
+        remaining: this.monthlyBudget ? round6(Math.max(0, this.monthlyBudget - spend)) : null,
+        overBudget: this.overBudget(now)
+      },
+      today: finish(usage.days[dayKey(now)] || emptyTotals()),
+      byDay: Object.keys(usage.days).sort().slice(-days).map(day => ({ day, ...finish(usage.days[day]) })),
+      byProvider: mergeBreakdown(monthDays, 'byProvider'),
+      byTask: mergeBreakdown(monthDays, 'byTask'),
+      byBusiness: mergeBreakdown(monthDays, 'byBusiness')
+    };
+  }
+
+  // ==================== STORAGE ====================
+
+  load() {
+    return readJSON(this.usageFile, { days: {} });
+  }
+
+  save(usage) {
+    writeJSON(this.usageFile, usage);
+  }
+}
+
+// ==================== HELPERS ====================
+
+// Rough token count for backends that don't report usage (~4 characters per token)
+function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(String(text).length / 4);
+}
+
+function emptyTotals() {
+  return { calls: 0, failures: 0, promptTokens: 0, completionTokens: 0, cost: 0, latencyMs: 0 };
+}
+
+function addTotals(target, entry) {
+  target.calls += entry.calls;
+  target.failures += entry.failures;
+  target.promptTokens += entry.promptTokens;
+  target.completionTokens += entry.completionTokens;
+  target.cost = round6(target.cost + entry.cost);
+  target.latencyMs += entry.latencyMs;
+  return target;
+}
+
+// Stored totals -> reported totals (average latency instead of the running sum)
+function finish(totals) {
+  return {
+    calls: totals.calls,
+    failures: totals.failures,
+    promptTokens: totals.promptTokens,
+    completionTokens: totals.completionTokens,
+    cost: totals.cost,
+    avgLatencyMs: totals.calls ? Math.round(totals.latencyMs / totals.calls) : 0
+  };
+}
+
+function mergeBreakdown(days, field) {
+  const merged = {};
+  days.forEach(day => Object.entries(day[field] || {}).forEach(([key, totals]) => {
+    addTotals(merged[key] || (merged[key] = emptyTotals()), totals);
+  }));
+  return Object.fromEntries(Object.entries(merged).map(([key, totals]) => [key, finish(totals)]));
+}
+
+function providerKey(call) {
+  return call.model ? `${call.provider}/${call.model}` : call.provider;
+}
+
+function dayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function round6(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+// AI_PRICES='{"openai/gpt-4o": {"input": 2.5, "output": 10}}'
+function parsePrices(value) {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    console.log('⚠️ AI_PRICES is not valid JSON - using default prices');
+    return {};
+  }
+}
+
+module.exports = { UsageTracker, estimateTokens, DEFAULT_PRICES };
@@ -0,0 +1,235 @@
+/**
+ * STRIPE CHECKOUT
+ * Checkout Sessions and Payment Links for each business in config.businesses
+ *
+ * Prices come from LearningEngine.getOptimalPrice (config price until there is
+ * enough pricing data) unless a price experiment passes an amount. Lead id and
+ * A/B variant travel as metadata so the webhook can attribute the payment.
+ *
+ * Outreach links point at our own /checkout endpoint, which creates a fresh
+ * Checkout Session on click - sessions expire after 24h, cold emails don't.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Stripe = require('stripe');
+const { readJSON, writeJSON } = require('../storage');
+
+class Checkout {
+  constructor({ stripe, businesses = {}, learning, baseUrl, secret, mode = 'session', currency = 'usd', dataDir } = {}) {
+    this.stripe = stripe || null;
+    this.businesses = businesses;
+    this.learning = learning;
+    this.baseUrl = (baseUrl || 'http://localhost:3000').replace(/\/$/, '');
+    this.secret = secret;
+    this.mode = mode; // 'session' (created on click) or 'payment_link' (created at send time)
+    this.currency = currency;
+    this.dataDir = dataDir || path.join(__dirname, '../data');
+    this.pricesFile = path.join(this.dataDir, 'stripe_prices.json');
+  }
+
+  // STRIPE_SECRET_KEY; STRIPE_API_BASE points the client at a local stub (e.g. http://localhost:12111)
+  static fromEnv(options = {}) {
+    const env = process.env;
+    if (!env.STRIPE_SECRET_KEY) return new Checkout(options);
+
+    const config = {};
+    if (env.STRIPE_API_BASE) {
+      const base = new URL(env.STRIPE_API_BASE);
+      config.host = base.hostname;
+      config.port = base.port || (base.protocol === 'https:' ? 443 : 80);
+      config.protocol = base.protocol.replace(':', '');
+    }
+
+    return new Checkout({
+      ...options,
+      stripe: new Stripe(env.STRIPE_SECRET_KEY, config),
+      mode: env.CHECKOUT_MODE || options.mode
+    });
+  }
+
+  get enabled() {
+    return Boolean(this.stripe);
+  }
+
+  // ==================== PRICING ====================
+
+  async price(brand) {
+    const business = this.business(brand);
+    return this.learning.getOptimalPrice(brand, business.price);
+  }
+
+  lineItem(brand, amount) {
+    const business = this.business(brand);
+    return {
+      currency: this.currency,
+      unit_amount: Math.round(amount * 100),
+      product_data: { name: business.name },
+      ...(business.interval ? { recurring: { interval: business.interval } } : {})
+    };
+  }
+
+  // ==================== CHECKOUT ====================
+
+  // Create a Checkout Session: { id, url, amount }
+  async createSession({ brand, leadId, email, website, variant, amount: fixedAmount }) {
+    const business = this.business(brand);
+    const amount = fixedAmount || await this.price(brand);
+    const metadata = this.metadata(brand, { leadId, website, variant });
+
+    const session = await this.stripe.checkout.sessions.create({
+      mode: business.interval ? 'subscription' : 'payment',
+      line_items: [{ price_data: this.lineItem(brand, amount), quantity: 1 }],
+      customer_email: email || undefined,
+      metadata,
+      // Copied onto the charge/subscription so refunds, invoices and cancellations carry it too
+      ...(business.interval ? { subscription_data: { metadata } } : { payment_intent_data: { metadata } }),
+      ...customFields(business, { website }),
+      success_url: `${this.baseUrl}/checkout/success?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${this.baseUrl}/checkout/cancelled`
+    });
+
+    return { id: session.id, url: session.url, amount };
+  }
+
+  // Create a reusable Payment Link: { id, url, amount }
+  async createPaymentLink({ brand, leadId, website, variant, amount: fixedAmount }) {
+    const business = this.business(brand);
+    const amount = fixedAmount || await this.price(brand);
+    const metadata = this.metadata(brand, { leadId, website, variant });
+
+    const link = await this.stripe.paymentLinks.create({
+      line_items: [{ price: await this.priceId(brand, amount), quantity: 1 }],
+      metadata, // copied to the Checkout Sessions the link creates
+      ...(business.interval ? { subscription_data: { metadata } } : { payment_intent_data: { metadata } }),
+      ...customFields(business, { website }),
+      after_completion: { type: 'redirect', redirect: { url: `${this.baseUrl}/checkout/success` } }
+    });
+
+    return { id: link.id, url: link.url, amount };
+  }
+
+  // Link to embed in an outreach email: { url, amount } (amount overrides the learned price)
+  async linkFor(brand, lead, { variant, amount } = {}) {
+    if (this.mode === 'payment_link') {
+      const link = await this.createPaymentLink({ brand, leadId: lead.id, website: lead.website, variant, amount });
+      return { url: link.url, amount: link.amount };
+    }
+
+    const token = this.createToken({ b: brand, l: lead.id, v: variant || undefined, a: amount || undefined });
+    return { url: `${this.baseUrl}/checkout?token=${token}`, amount: amount || await this.price(brand) };
+  }
+
+  // /checkout?token= -> a fresh Checkout Session for the lead in the token
+  async sessionForToken(token, lead) {
+    const verified = this.verifyToken(token);
+    if (!verified.valid) return verified;
+
+    const session = await this.createSession({
+      brand: verified.brand,
+      leadId: verified.leadId,
+      email: lead && lead.email,
+      website: lead && lead.website,
+      variant: verified.variant,
+      amount: verified.amount
+    });
+    return { valid: true, ...session };
+  }
+
+  // ==================== TOKENS ====================
+
+  createToken(data) {
+    const payload = Buffer.from(JSON.stringify(data), 'utf8').toString('base64url');
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  // { valid, brand, leadId, variant, amount } - never throws on bad input
+  verifyToken(token) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) return { valid: false, reason: 'malformed' };
+
+    const expected = Buffer.from(this.sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return { valid: false, reason: 'bad_signature' };
+    }
+
+    try {
+      const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      if (!this.businesses[data.b]) return { valid: false, reason: 'unknown_business' };
+      return { valid: true, brand: data.b, leadId: data.l, variant: data.v, amount: data.a };
+    } catch (e) {
+      return { valid: false, reason: 'malformed' };
+    }
+  }
+
+  // ==================== HELPERS ====================
+
+  business(brand) {
+    const business = this.businesses[brand];
+    if (!business) throw new Error(`Unknown business: ${brand}`);
+    return business;
+  }
+
+  metadata(brand, { leadId, website, variant }) {
+    const metadata = { businessType: brand };
+    if (leadId) metadata.leadId = leadId;
+    if (website) metadata.website = website;
+    if (variant) metadata.variant = variant;
+    return metadata;
+  }
+
+  // Payment Links need a Price object - reuse one per brand/amount/interval
+  async priceId(brand, amount) {
+    const prices = this.loadPrices();
+    const item = this.lineItem(brand, amount);
+    const key = `${brand}:${item.unit_amount}:${this.currency}:${item.recurring ? item.recurring.interval : 'once'}`;
+    if (prices[key]) return prices[key];
+
+    const price = await this.stripe.prices.create(item);
+    prices[key] = price.id;
+    this.savePrices(prices);
+    return price.id;
+  }
+
+  sign(payload) {
+    return crypto.createHmac('sha256', this.secret).update(`checkout|${payload}`).digest('base64url');
+  }
+
+  loadPrices() {
+    return readJSON(this.pricesFile, {});
+  }
+
+  savePrices(prices) {
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+    writeJSON(this.pricesFile, prices);
+  }
+}
+
+// Intake questions asked on the Checkout page when the outreach didn't already answer them
+function customFields(business, { website }) {
+  const fields = [];
+  if (business.collectWebsite && !website) {
+    fields.push({ key: 'website', label: { type: 'custom', custom: 'Your website' }, type: 'text' });
+  }
+  if (business.collectCompetitors) {
+    fields.push({
+      key: 'competitors',
+      label: { type: 'custom', custom: 'Competitor websites (comma-separated)' },
+      type: 'text',
+      optional: true
+    });
+  }
+  if (business.collectTopic) {
+    fields.push(
+      { key: 'topic', label: { type: 'custom', custom: 'Content topic' }, type: 'text', optional: true },
+      { key: 'keywords', label: { type: 'custom', custom: 'Keywords (comma-separated)' }, type: 'text', optional: true }
+    );
+  }
+  return fields.length ? { custom_fields: fields } : {};
+}
+
+module.exports = { Checkout };
@@ -0,0 +1,257 @@
+/**
+ * STRIPE WEBHOOKS
+ * Verifies Stripe signatures and turns payment events into processPayment calls
+ *
+ * Every event id is recorded before it is handled, so Stripe's retries and
+ * duplicate deliveries never deliver a service twice.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Stripe = require('stripe');
+const { readJSON, writeJSON } = require('../storage');
+
+const HANDLED_EVENTS = [
+  'checkout.session.completed',
+  'invoice.paid',
+  'invoice.payment_failed',
+  'charge.refunded',
+  'customer.subscription.deleted'
+];
+
+// A claim still 'processing' after this long belongs to a handler that died; the next delivery takes it over
+const CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+
+class StripeWebhooks {
+  constructor({ secrets = [], dataDir } = {}) {
+    // Signing secrets accepted by verify(); the live endpoint's, or the test secret for offline replays
+    this.secrets = secrets.filter(Boolean);
+    this.dataDir = dataDir || path.join(__dirname, '../data');
+    this.file = path.join(this.dataDir, 'stripe_events.json');
+    this.ensureDataDir();
+  }
+
+  ensureDataDir() {
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+  }
+
+  // ==================== VERIFICATION ====================
+
+  // Raw body + Stripe-Signature header -> event; throws a 400-tagged error if no secret matches
+  verify(rawBody, signature) {
+    if (this.secrets.length === 0) {
+      throw httpError(500, 'No Stripe webhook secret configured - set STRIPE_WEBHOOK_SECRET');
+    }
+
+    for (const secret of this.secrets) {
+      try {
+        return Stripe.webhooks.constructEvent(rawBody, signature || '', secret);
+      } catch (e) {
+        // try the next secret
+      }
+    }
+    throw httpError(400, 'Invalid Stripe signature');
+  }
+
+  // Sign a fixture the way Stripe would, for offline replays
+  static sign(payload, secret) {
+    return Stripe.webhooks.generateTestHeaderString({ payload, secret });
+  }
+
+  // ==================== HANDLING ====================
+
+  // Verify, dedupe and dispatch one delivery; handlers: { payment, paymentFailed, refund, cancellation }
+  async handle(rawBody, signature, handlers) {
+    const event = this.verify(rawBody, signature);
+    const action = toAction(event);
+
+    if (action.kind === 'ignored') {
+      return { received: true, id: event.id, type: event.type, ignored: action.reason };
+    }
+
+    const processed = this.load();
+    const claim = processed[event.id];
+    if (claim && claim.status !== 'processing') {
+      return { received: true, id: event.id, type: event.type, duplicate: true };
+    }
+    if (claim && Date.now() - new Date(claim.receivedAt).getTime() < CLAIM_TIMEOUT_MS) {
+      // Still being handled: a non-2xx makes Stripe try again later instead of dropping it
+      throw httpError(409, `Stripe event ${event.id} is still being processed`);
+    }
+    if (claim) console.log(`⚠️ Stripe event ${event.id} was claimed at ${claim.receivedAt} and never finished - handling it again`);
+
+    // Claim the event before acting on it; release it if the handler fails so Stripe's retry can run
+    processed[event.id] = { type: event.type, status: 'processing', receivedAt: new Date().toISOString() };
+    this.save(processed);
+
+    try {
+      const result = await handlers[action.kind](action.data);
+      this.update(event.id, { status: 'processed', processedAt: new Date().toISOString() });
+      return { received: true, id: event.id, type: event.type, result };
+    } catch (e) {
+      const events = this.load();
+      delete events[event.id];
+      this.save(events);
+      throw e;
+    }
+  }
+
+  // ==================== HELPERS ====================
+
+  update(id, fields) {
+    const events = this.load();
+    if (events[id]) {
+      Object.assign(events[id], fields);
+      this.save(events);
+    }
+  }
+
+  load() {
+    return readJSON(this.file, {});
+  }
+
+  save(events) {
+    writeJSON(this.file, events);
+  }
+}
+
+// ==================== EVENT MAPPING ====================
+
+// Stripe event -> { kind: 'payment' | 'paymentFailed' | 'refund' | 'cancellation' | 'ignored', data }
+function toAction(event) {
+  if (!HANDLED_EVENTS.includes(event.type)) return { kind: 'ignored', reason: 'unhandled_type' };
+
+  const object = event.data.object;
+
+  switch (event.type) {
+    case 'checkout.session.completed': {
+      // Subscription checkouts are delivered from their invoice.paid event instead
+      if (object.mode === 'subscription') return { kind: 'ignored', reason: 'delivered_via_invoice' };
+      if (object.payment_status === 'unpaid') return { kind: 'ignored', reason: 'payment_pending' };
+
+      // Custom fields on the Checkout page ("website", "competitors", "topic", ...) fill in for missing metadata
+      const fields = Object.fromEntries((object.custom_fields || [])
+        .filter(f => f.text && f.text.value)
+        .map(f => [f.key, f.text.value]));
+      const metadata = { ...fields, ...object.metadata };
+
+      return {
+        kind: 'payment',
+        data: paymentData(event, metadata, {
+          email: (object.customer_details && object.customer_details.email) || object.customer_email,
+          amount: object.amount_total,
+          customerId: object.customer,
+          paymentId: object.payment_intent || object.id
+        })
+      };
+    }
+
+    case 'invoice.paid': {
+      const lines = (object.lines && object.lines.data) || [];
+      const metadata = {
+        ...(lines[0] && lines[0].metadata),
+        ...(object.subscription_details && object.subscription_details.metadata),
+        ...object.metadata
+      };
+
+      return {
+        kind: 'payment',
+        data: paymentData(event, metadata, {
+          email: object.customer_email,
+          amount: object.amount_paid,
+          customerId: object.customer,
+          paymentId: object.id,
+          subscriptionId: object.subscription,
+          billingReason: object.billing_reason
+        })
+      };
+    }
+
+    case 'invoice.payment_failed':
+      // One-off invoices have nothing to pause
+      if (!object.subscription) return { kind: 'ignored', reason: 'not_a_subscription' };
+
+      return {
+        kind: 'paymentFailed',
+        data: {
+          eventId: event.id,
+          ...fromMetadata(object.subscription_details && object.subscription_details.metadata),
+          email: object.customer_email,
+          subscriptionId: object.subscription,
+          customerId: object.customer,
+          attempt: object.attempt_count,
+          nextAttemptAt: object.next_payment_attempt ? new Date(object.next_payment_attempt * 1000).toISOString() : null
+        }
+      };
+
+    case 'charge.refunded':
+      return {
+        kind: 'refund',
+        data: {
+          eventId: event.id,
+          ...fromMetadata(object.metadata),
+          email: (object.billing_details && object.billing_details.email) || object.receipt_email,
+          amount: object.amount_refunded / 100,
+          fullRefund: object.refunded === true,
+          chargeId: object.id,
+          paymentId: object.payment_intent,
+          invoiceId: object.invoice,
+          customerId: object.customer
+        }
+      };
+
+    case 'customer.subscription.deleted':
+      return {
+        kind: 'cancellation',
+        data: {
+          eventId: event.id,
+          ...fromMetadata(object.metadata),
+          subscriptionId: object.id,
+          customerId: object.customer,
+          reason: object.cancellation_details && object.cancellation_details.reason
+        }
+      };
+  }
+}
+
+function paymentData(event, metadata, fields) {
+  return {
+    eventId: event.id,
+    ...fromMetadata(metadata),
+    ...fields,
+    amount: (fields.amount || 0) / 100
+  };
+}
+
+// Metadata set on our Checkout Sessions / subscriptions -> processPayment fields
+function fromMetadata(metadata) {
+  metadata = metadata || {};
+  return {
+    businessType: metadata.businessType || metadata.business_type || metadata.business,
+    website: metadata.website || undefined,
+    leadId: metadata.leadId || metadata.lead_id,
+    variant: metadata.variant,
+    competitors: metadata.competitors ? parseList(metadata.competitors) : undefined,
+    requirements: contentRequirements(metadata)
+  };
+}
+
+// contentais intake answers (raw - normalized when the content is generated)
+function contentRequirements(metadata) {
+  const keys = ['topic', 'keywords', 'tone', 'audience', 'wordCount', 'word_count', 'contentType', 'content_type'];
+  const present = keys.filter(k => metadata[k] !== undefined && metadata[k] !== '');
+  return present.length ? Object.fromEntries(present.map(k => [k, metadata[k]])) : undefined;
+}
+
+// "a.com, b.com\nc.com" -> ['a.com', 'b.com', 'c.com']
+function parseList(value) {
+  return (Array.isArray(value) ? value : String(value).split(/[,;\s]+/)).map(v => v.trim()).filter(Boolean);
+}
+
+function httpError(statusCode, message) {
+  return Object.assign(new Error(message), { statusCode });
+}
+
+module.exports = { StripeWebhooks, toAction, HANDLED_EVENTS };
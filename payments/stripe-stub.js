@@ -0,0 +1,72 @@
+/**
+ * LOCAL STRIPE STUB
+ * Just enough of the Stripe API (prices, payment links, checkout sessions) to
+ * exercise the checkout module offline:
+ *
+ *   node payments/stripe-stub.js 12111
+ *   STRIPE_SECRET_KEY=sk_test_stub STRIPE_API_BASE=http://localhost:12111 node index.js run
+ *
+ * Created objects are kept in memory and echoed back with their parameters.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const RESOURCES = {
+  '/v1/prices': { prefix: 'price', object: 'price' },
+  '/v1/payment_links': { prefix: 'plink', object: 'payment_link', url: id => `https://buy.stripe.test/${id}` },
+  '/v1/checkout/sessions': { prefix: 'cs_test', object: 'checkout.session', url: id => `https://checkout.stripe.test/c/pay/${id}` }
+};
+
+function createStripeStub() {
+  const created = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const resource = RESOURCES[req.url.split('?')[0]];
+      res.setHeader('Content-Type', 'application/json');
+
+      if (req.method !== 'POST' || !resource) {
+        res.statusCode = 404;
+        return res.end(JSON.stringify({ error: { type: 'invalid_request_error', message: `Unrecognized request URL (${req.method}: ${req.url})` } }));
+      }
+
+      const id = `${resource.prefix}_${crypto.randomBytes(8).toString('hex')}`;
+      const object = { id, object: resource.object, ...parseForm(Buffer.concat(chunks).toString('utf8')) };
+      if (resource.url) object.url = resource.url(id);
+
+      created.push(object);
+      res.end(JSON.stringify(object));
+    });
+  });
+
+  server.created = created;
+  return server;
+}
+
+// Stripe's form encoding (a[b][0][c]=1) -> nested objects/arrays
+function parseForm(body) {
+  const result = {};
+  new URLSearchParams(body).forEach((value, key) => {
+    const parts = key.replace(/\]/g, '').split('[');
+    let node = result;
+    parts.forEach((part, i) => {
+      if (i === parts.length - 1) {
+        node[part] = value;
+        return;
+      }
+      if (node[part] === undefined) node[part] = /^\d+$/.test(parts[i + 1]) ? [] : {};
+      node = node[part];
+    });
+  });
+  return result;
+}
+
+module.exports = { createStripeStub, parseForm };
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2], 10) || 12111;
+  createStripeStub().listen(port, () => console.log(`🧪 Stripe stub listening on :${port}`));
+}
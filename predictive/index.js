@@ -3,21 +3,21 @@
  * ML-based predictions for customer behavior
  */
 
-const { LearningEngine } = require('./learning-engine');
+const { LearningEngine } = require('../ml/learning-engine');
 
 class PredictiveEngine {
-  constructor() {
+  constructor(options = {}) {
     this.learning = new LearningEngine();
+    this.customers = options.customers || null; // CustomerStore - real order data when available
     this.models = {};
   }
   
   // Predict customer lifetime value
   async predictCLV(leadData) {
-    const { predictConversion } = await import('./learning-engine.js');
     const conversion = await this.learning.predictConversion(leadData);
     
     // CLV = conversion_probability * avg_order_value * num_purchases
-    const avgOrderValue = 99; // From your pricing
+    const avgOrderValue = (this.customers && this.customers.averageOrderValue(leadData && leadData.businessType)) || 99;
     const predictedPurchases = conversion.probability * 12; // 12 months
     
     const clv = conversion.probability * avgOrderValue * predictedPurchases;
@@ -34,8 +34,10 @@ class PredictiveEngine {
     };
   }
   
-  // Predict churn risk
-  async predictChurn(customerId, engagementMetrics) {
+  // Predict churn risk - stored customer data overrides the passed-in metrics
+  async predictChurn(customerId, engagementMetrics = {}) {
+    engagementMetrics = { ...engagementMetrics, ...this.customerMetrics(customerId) };
+    
     // Factors that indicate churn risk
     let riskScore = 0;
     const factors = [];
@@ -69,6 +71,26 @@ class PredictiveEngine {
     };
   }
   
+  // Real lastPurchase / lastActive / openRate for a stored customer
+  customerMetrics(customerId) {
+    const customer = this.customers && this.customers.find(customerId);
+    if (!customer) return {};
+    
+    const metrics = {
+      lastPurchase: customer.lastPurchaseAt,
+      lastActive: customer.lastActiveAt || customer.lastPurchaseAt
+    };
+    
+    const emails = customer.leadId
+      ? this.learning.loadMetrics('email_performance').filter(e => e.leadId === customer.leadId)
+      : [];
+    if (emails.length > 0) {
+      metrics.openRate = emails.filter(e => e.opened).length / emails.length * 100;
+    }
+    
+    return metrics;
+  }
+  
   // Predict best send time
   async predictBestSendTime() {
     const emailPerf = this.learning.loadMetrics('email_performance');
@@ -202,6 +224,19 @@ class PredictiveEngine {
       });
     }
     
+    // Model inputs or outcomes drifted since the last training run (see training/drift.js)
+    (metrics.drift || []).forEach(finding => {
+      anomalies.push({
+        type: `${finding.kind}_drift`,
+        metric: finding.metric,
+        severity: finding.severity,
+        message: finding.message,
+        recommendation: finding.kind === 'feature'
+          ? 'Check where new leads come from - models are retrained on the new mix'
+          : 'Check deliverability and recent copy changes - models are retrained on the new outcomes'
+      });
+    });
+    
     return anomalies;
   }
 }
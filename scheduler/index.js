@@ -0,0 +1,270 @@
+/**
+ * SEND SCHEDULER
+ * Persistent outreach queue: jobs are slotted into send windows (recipient
+ * timezone when known) under a daily limit, and survive restarts without
+ * double-sending.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readJSON, writeJSON } = require('../storage');
+
+const ACTIVE_STATUSES = ['queued', 'sending', 'sent'];
+const MAX_DAYS_AHEAD = 60;
+
+class SendScheduler {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || path.join(__dirname, '../data');
+    this.file = path.join(this.dataDir, 'send_queue.json');
+    this.dailyLimit = options.dailyLimit || 30;
+    this.sendTimes = normalizeTimes(options.sendTimes || ['9:00', '14:00', '18:00']);
+    this.timezone = options.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    this.ensureDataDir();
+    this.interrupted = this.recoverInterrupted(); // owners release whatever was waiting on these jobs
+  }
+
+  ensureDataDir() {
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+  }
+
+  // Send windows: configured times plus any predicted best time
+  windows(extraTimes = []) {
+    return normalizeTimes([...this.sendTimes, ...extraTimes]);
+  }
+
+  // ==================== QUEUE ====================
+
+  // Queue a job into the earliest free window; a key that is already queued/sent is a no-op
+  // (options.times restricts the job to those windows, e.g. a send-time experiment)
+  enqueue(job, options = {}) {
+    const jobs = this.load();
+    const key = job.key || job.leadId;
+    const timezone = job.timezone && isValidTimezone(job.timezone) ? job.timezone : this.timezone;
+
+    const existing = jobs.find(j => j.key === key && ACTIVE_STATUSES.includes(j.status));
+    if (existing) return { queued: false, reason: 'duplicate', job: existing };
+
+    const slot = this.findSlot(jobs, {
+      timezone,
+      windows: options.times ? normalizeTimes(options.times) : this.windows(options.extraTimes),
+      notBefore: options.notBefore ? new Date(options.notBefore) : new Date()
+    });
+
+    if (!slot) return { queued: false, reason: 'no_capacity' };
+
+    const record = {
+      id: `job_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      key,
+      ...job,
+      timezone,
+      scheduledFor: slot.at.toISOString(),
+      window: slot.window,
+      day: slot.day,
+      status: 'queued',
+      attempts: 0,
+      createdAt: new Date().toISOString()
+    };
+
+    jobs.push(record);
+    this.save(jobs);
+    return { queued: true, job: record };
+  }
+
+  // Earliest window after notBefore whose day and window still have capacity
+  findSlot(jobs, { timezone, windows, notBefore }) {
+    const perWindow = Math.ceil(this.dailyLimit / windows.length);
+    const booked = jobs.filter(j => ACTIVE_STATUSES.includes(j.status));
+
+    const start = localParts(notBefore, timezone);
+    for (let offset = 0; offset < MAX_DAYS_AHEAD; offset++) {
+      const date = new Date(Date.UTC(start.year, start.month - 1, start.day + offset));
+
+      for (const window of windows) {
+        const [hour, minute] = window.split(':').map(Number);
+        const at = zonedTimeToUtc(
+          { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(), hour, minute },
+          timezone
+        );
+        if (at <= notBefore) continue;
+
+        // Capacity is counted per calendar day in the sender's timezone
+        const day = dateKey(at, this.timezone);
+        const sameDay = booked.filter(j => j.day === day);
+        if (sameDay.length >= this.dailyLimit) break;
+        if (sameDay.filter(j => j.window === window).length >= perWindow) continue;
+
+        return { at, window, day };
+      }
+    }
+
+    return null;
+  }
+
+  // Jobs whose window has arrived
+  due(now = new Date()) {
+    return this.load()
+      .filter(j => j.status === 'queued' && new Date(j.scheduledFor) <= now)
+      .sort((a, b) => a.scheduledFor.localeCompare(b.scheduledFor));
+  }
+
+  // Send due jobs with sendFn(job) -> { success }; never exceeds the daily limit
+  async runDue(sendFn, options = {}) {
+    const now = options.now || new Date();
+    const today = dateKey(now, this.timezone);
+    const results = { sent: 0, failed: 0, deferred: 0 };
+
+    for (const job of this.due(now)) {
+      if (this.sentOn(today) >= this.dailyLimit) {
+        results.deferred++;
+        continue;
+      }
+
+      // Persist 'sending' before the send so a crash can't lead to a resend
+      this.updateJob(job.id, { status: 'sending', sendingAt: new Date().toISOString(), attempts: job.attempts + 1 });
+
+      let outcome;
+      try {
+        outcome = await sendFn(job);
+      } catch (e) {
+        outcome = { success: false, error: e.message };
+      }
+
+      if (outcome && outcome.success) {
+        this.updateJob(job.id, { status: 'sent', sentAt: new Date().toISOString(), sentDay: today, result: outcome });
+        results.sent++;
+      } else {
+        this.updateJob(job.id, { status: 'failed', error: outcome && (outcome.error || outcome.reason), result: outcome });
+        results.failed++;
+      }
+
+      if (options.delayMs) await new Promise(resolve => setTimeout(resolve, options.delayMs));
+    }
+
+    return results;
+  }
+
+  cancel(key) {
+    const jobs = this.load();
+    let cancelled = 0;
+    jobs.forEach(j => {
+      if (j.key === key && j.status === 'queued') {
+        j.status = 'cancelled';
+        cancelled++;
+      }
+    });
+    if (cancelled) this.save(jobs);
+    return cancelled;
+  }
+
+  hasJob(key) {
+    return this.load().some(j => j.key === key && ACTIVE_STATUSES.includes(j.status));
+  }
+
+  sentOn(day) {
+    return this.load().filter(j => j.status === 'sent' && j.sentDay === day).length;
+  }
+
+  stats() {
+    const jobs = this.load();
+    const byStatus = {};
+    jobs.forEach(j => { byStatus[j.status] = (byStatus[j.status] || 0) + 1; });
+    const next = jobs.filter(j => j.status === 'queued').sort((a, b) => a.scheduledFor.localeCompare(b.scheduledFor))[0];
+    return { total: jobs.length, byStatus, nextSendAt: next ? next.scheduledFor : null };
+  }
+
+  // A job left in 'sending' means the process died mid-send - fail it rather than risk a duplicate
+  // Returns the interrupted jobs ({ key, leadId, step, ... })
+  recoverInterrupted() {
+    const jobs = this.load();
+    const stuck = jobs.filter(j => j.status === 'sending');
+    if (stuck.length === 0) return [];
+
+    stuck.forEach(j => {
+      j.status = 'failed';
+      j.error = 'interrupted during send - not retried to avoid a duplicate';
+    });
+    this.save(jobs);
+    console.log(`⚠️ ${stuck.length} send job(s) were interrupted mid-send and marked failed`);
+    return stuck;
+  }
+
+  // ==================== HELPERS ====================
+
+  updateJob(id, fields) {
+    const jobs = this.load();
+    const job = jobs.find(j => j.id === id);
+    if (job) {
+      Object.assign(job, fields);
+      this.save(jobs);
+    }
+    return job;
+  }
+
+  load() {
+    return readJSON(this.file, []);
+  }
+
+  save(jobs) {
+    writeJSON(this.file, jobs);
+  }
+}
+
+// ==================== TIMEZONES ====================
+
+// '9:00' -> '09:00', deduped and sorted
+function normalizeTimes(times) {
+  const normalized = times
+    .filter(Boolean)
+    .map(t => {
+      const [h, m = '0'] = String(t).split(':');
+      return `${String(parseInt(h, 10)).padStart(2, '0')}:${String(parseInt(m, 10)).padStart(2, '0')}`;
+    });
+  return [...new Set(normalized)].sort();
+}
+
+// Wall-clock parts of an instant in a timezone
+function localParts(date, timezone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(date).forEach(p => {
+    if (p.type !== 'literal') parts[p.type] = parseInt(p.value, 10);
+  });
+  return parts;
+}
+
+// Milliseconds the timezone is ahead of UTC at an instant
+function timezoneOffset(date, timezone) {
+  const p = localParts(date, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Local wall-clock time in a timezone -> UTC Date (DST-aware)
+function zonedTimeToUtc({ year, month, day, hour, minute }, timezone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const first = guess - timezoneOffset(new Date(guess), timezone);
+  const second = guess - timezoneOffset(new Date(first), timezone);
+  return new Date(second);
+}
+
+function dateKey(date, timezone) {
+  const p = localParts(date, timezone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+module.exports = { SendScheduler, zonedTimeToUtc, dateKey, isValidTimezone, normalizeTimes };
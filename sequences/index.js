@@ -0,0 +1,225 @@
+/**
+ * FOLLOW-UP SEQUENCES
+ * Multi-step cadences per business type, steered by PredictiveEngine.recommendNextAction
+ * Per-lead state is persisted so each run picks up where the last one stopped
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readJSON, writeJSON } = require('../storage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// delayDays is counted from the previous touch
+const DEFAULT_CADENCES = {
+  default: [
+    { step: 'initial', delayDays: 0 },
+    { step: 'follow_up_1', delayDays: 3 },
+    { step: 'follow_up_2', delayDays: 4 },
+    { step: 'break_up', delayDays: 7 }
+  ],
+  leadvaults: [
+    { step: 'initial', delayDays: 0 },
+    { step: 'follow_up_1', delayDays: 2 },
+    { step: 'follow_up_2', delayDays: 4 },
+    { step: 'break_up', delayDays: 7 }
+  ],
+  competeai: [
+    { step: 'initial', delayDays: 0 },
+    { step: 'follow_up_1', delayDays: 4 },
+    { step: 'follow_up_2', delayDays: 6 },
+    { step: 'break_up', delayDays: 10 }
+  ]
+};
+
+// Lead states that end a sequence
+const STOP_STATES = { replied: 'replied', customer: 'converted', unsubscribed: 'unsubscribed', bounced: 'bounced' };
+
+const WAIT_DAYS = 2;
+const MAX_WAITS = 2;
+const MAX_FAILURES = 3;
+
+class SequenceEngine {
+  constructor(options = {}) {
+    this.predictive = options.predictive;
+    this.cadences = { ...DEFAULT_CADENCES, ...(options.cadences || {}) };
+    this.dataDir = options.dataDir || path.join(__dirname, '../data');
+    this.file = path.join(this.dataDir, 'sequences.json');
+    this.ensureDataDir();
+  }
+
+  ensureDataDir() {
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+  }
+
+  cadence(brand) {
+    return this.cadences[brand] || this.cadences.default;
+  }
+
+  // ==================== LIFECYCLE ====================
+
+  // Start a sequence for a lead (no-op if one exists)
+  start(lead, brand) {
+    const sequences = this.load();
+    if (sequences[lead.id]) return sequences[lead.id];
+
+    const now = new Date().toISOString();
+    sequences[lead.id] = {
+      leadId: lead.id,
+      brand,
+      status: 'active',
+      stepIndex: 0,
+      nextDueAt: now,
+      pendingStep: null,
+      touches: [],
+      waits: 0,
+      failures: 0,
+      startedAt: now,
+      updatedAt: now
+    };
+
+    this.save(sequences);
+    return sequences[lead.id];
+  }
+
+  get(leadId) {
+    return this.load()[leadId] || null;
+  }
+
+  stop(leadId, reason) {
+    return this.update(leadId, { status: 'stopped', stopReason: reason, pendingStep: null, stoppedAt: new Date().toISOString() });
+  }
+
+  // Active sequences whose next step is due and not already queued
+  due(now = new Date()) {
+    return Object.values(this.load()).filter(s =>
+      s.status === 'active' && !s.pendingStep && new Date(s.nextDueAt) <= now
+    );
+  }
+
+  // ==================== PLANNING ====================
+
+  // Decide what happens next for a sequence: { action: 'send' | 'wait' | 'stop', ... }
+  async plan(sequence, { lead, suppressed, stopTouchpoints }) {
+    const steps = this.cadence(sequence.brand);
+
+    if (!lead) return this.finish(sequence, 'stopped', 'lead_missing');
+    if (suppressed) return this.finish(sequence, 'stopped', 'suppressed');
+    if (STOP_STATES[lead.state]) return this.finish(sequence, 'stopped', STOP_STATES[lead.state]);
+    if (stopTouchpoints && sequence.touches.length >= stopTouchpoints) {
+      return this.finish(sequence, 'stopped', 'stop_touchpoints');
+    }
+    if (sequence.stepIndex >= steps.length) return this.finish(sequence, 'completed', 'cadence_complete');
+
+    const step = steps[sequence.stepIndex];
+
+    // The first touch is always the cold email
+    if (sequence.stepIndex === 0) {
+      return { action: 'send', step: step.step, angle: 'email' };
+    }
+
+    const lastTouch = sequence.touches[sequence.touches.length - 1];
+    const recommendation = await this.predictive.recommendNextAction(sequence.leadId, {
+      emailsSent: sequence.touches.length,
+      lastAction: lastTouch ? lastTouch.angle : null,
+      lastResponse: 'none'
+    });
+    const action = recommendation.recommended.type;
+
+    if (action === 'wait' && sequence.waits < MAX_WAITS) {
+      const until = new Date(Date.now() + WAIT_DAYS * DAY_MS).toISOString();
+      this.update(sequence.leadId, { nextDueAt: until, waits: sequence.waits + 1 });
+      return { action: 'wait', until, reasoning: recommendation.reasoning };
+    }
+
+    // email / discount / call all go out as the step's email, angled by the action
+    return {
+      action: 'send',
+      step: step.step,
+      angle: action === 'wait' ? 'email' : action,
+      reasoning: recommendation.reasoning
+    };
+  }
+
+  finish(sequence, status, reason) {
+    this.update(sequence.leadId, { status, stopReason: reason, pendingStep: null });
+    return { action: 'stop', reason };
+  }
+
+  // ==================== PROGRESS ====================
+
+  markPending(leadId, step) {
+    return this.update(leadId, { pendingStep: step });
+  }
+
+  // A step was sent - advance and schedule the next one
+  recordTouch(leadId, { step, angle, emailId, sentAt = new Date().toISOString() }) {
+    const sequence = this.get(leadId);
+    if (!sequence) return null;
+
+    const steps = this.cadence(sequence.brand);
+    const stepIndex = sequence.stepIndex + 1;
+    const next = steps[stepIndex];
+
+    return this.update(leadId, {
+      stepIndex,
+      pendingStep: null,
+      waits: 0,
+      failures: 0,
+      touches: [...sequence.touches, { step, angle, emailId, sentAt }],
+      nextDueAt: next ? new Date(new Date(sentAt).getTime() + next.delayDays * DAY_MS).toISOString() : sentAt,
+      ...(next ? {} : { status: 'completed', stopReason: 'cadence_complete' })
+    });
+  }
+
+  // A step failed to send - retry on the next run, give up after MAX_FAILURES
+  recordFailure(leadId, { step, error }) {
+    const sequence = this.get(leadId);
+    if (!sequence) return null;
+
+    const failures = sequence.failures + 1;
+    return this.update(leadId, {
+      pendingStep: null,
+      failures,
+      lastError: `${step}: ${error}`,
+      ...(failures >= MAX_FAILURES ? { status: 'stopped', stopReason: 'send_failed' } : {})
+    });
+  }
+
+  stats() {
+    const sequences = Object.values(this.load());
+    const byStatus = {};
+    const byStep = {};
+    sequences.forEach(s => {
+      byStatus[s.status] = (byStatus[s.status] || 0) + 1;
+      if (s.status === 'active') {
+        const step = (this.cadence(s.brand)[s.stepIndex] || {}).step || 'done';
+        byStep[step] = (byStep[step] || 0) + 1;
+      }
+    });
+    return { total: sequences.length, byStatus, activeByNextStep: byStep };
+  }
+
+  // ==================== HELPERS ====================
+
+  update(leadId, fields) {
+    const sequences = this.load();
+    if (!sequences[leadId]) return null;
+
+    Object.assign(sequences[leadId], fields, { updatedAt: new Date().toISOString() });
+    this.save(sequences);
+    return sequences[leadId];
+  }
+
+  load() {
+    return readJSON(this.file, {});
+  }
+
+  save(sequences) {
+    writeJSON(this.file, sequences);
+  }
+}
+
+module.exports = { SequenceEngine, DEFAULT_CADENCES };
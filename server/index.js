@@ -0,0 +1,294 @@
+/**
+ * HTTP SERVER
+ * Built-in endpoints (Node http, no framework):
+ *   GET  /t/o/:emailId.gif   open pixel
+ *   GET  /t/c/:emailId       signed click redirect
+ *   GET  /unsubscribe        confirmation page; POST performs it (RFC 8058 one-click)
+ *   GET  /checkout           creates a Stripe Checkout Session and redirects to it
+ *   GET  /intake             content brief form for a paid contentais order; POST submits it
+ *   POST /webhooks/email     engagement events (Resend or generic JSON)
+ *   POST /webhooks/stripe    Stripe payment events (signature-checked)
+ *   GET  /health
+ */
+
+const http = require('http');
+const { PIXEL } = require('../tracking');
+const { CONTENT_TYPES } = require('../content');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+class BusinessServer {
+  constructor(business, options = {}) {
+    this.business = business;
+    this.tracker = business.tracker;
+    this.trustProxy = options.trustProxy || false;
+    this.webhookToken = options.webhookToken || null;
+    this.server = null;
+    this.routes = [];
+
+    this.route('GET', /^\/t\/o\/([^/]+)\.gif$/, this.handleOpen);
+    this.route('HEAD', /^\/t\/o\/([^/]+)\.gif$/, this.handleOpen);
+    this.route('GET', /^\/t\/c\/([^/]+)$/, this.handleClick);
+    this.route('HEAD', /^\/t\/c\/([^/]+)$/, this.handleClick);
+    this.route('GET', /^\/unsubscribe$/, this.handleUnsubscribePage);
+    this.route('POST', /^\/unsubscribe$/, this.handleUnsubscribe);
+    this.route('GET', /^\/checkout$/, this.handleCheckout);
+    this.route('GET', /^\/checkout\/success$/, (req, res) => this.html(res, 200, page('Thank you!', 'Your payment went through. Check your inbox for the next steps.')));
+    this.route('GET', /^\/checkout\/cancelled$/, (req, res) => this.html(res, 200, page('Checkout cancelled', 'No payment was taken.')));
+    this.route('GET', /^\/intake$/, this.handleIntakeForm);
+    this.route('POST', /^\/intake$/, this.handleIntakeSubmit);
+    this.route('POST', /^\/webhooks\/email$/, this.handleEmailWebhook);
+    this.route('POST', /^\/webhooks\/stripe$/, this.handleStripeWebhook);
+    this.route('GET', /^\/health$/, (req, res) => this.json(res, 200, { ok: true }));
+  }
+
+  route(method, pattern, handler) {
+    this.routes.push({ method, pattern, handler: handler.bind(this) });
+  }
+
+  listen(port = 3000) {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => this.dispatch(req, res));
+      this.server.once('error', reject);
+      this.server.listen(port, () => {
+        console.log(`🌐 HTTP server listening on :${this.server.address().port}`);
+        resolve(this.server.address().port);
+      });
+    });
+  }
+
+  close() {
+    return new Promise(resolve => {
+      if (!this.server) return resolve();
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  async dispatch(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+      for (const route of this.routes) {
+        if (route.method !== req.method) continue;
+        const match = url.pathname.match(route.pattern);
+        if (match) return await route.handler(req, res, { url, params: match.slice(1).map(decodeURIComponent) });
+      }
+      this.text(res, 404, 'Not found');
+    } catch (e) {
+      console.log(`HTTP ${req.method} ${url.pathname} failed:`, e.message);
+      if (!res.headersSent) this.text(res, e.statusCode || 500, e.statusCode ? e.message : 'Internal error');
+    }
+  }
+
+  // ==================== TRACKING ====================
+
+  // Always serve the pixel; only correctly signed hits are recorded
+  async handleOpen(req, res, { url, params: [emailId] }) {
+    res.writeHead(200, {
+      'Content-Type': 'image/gif',
+      'Content-Length': PIXEL.length,
+      'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+      'Pragma': 'no-cache'
+    });
+    res.end(req.method === 'HEAD' ? undefined : PIXEL);
+
+    if (this.tracker.verify(emailId, 'open', url.searchParams.get('s'))) {
+      await this.business.recordTrackingHit({ type: 'open', emailId, ...this.client(req) });
+    }
+  }
+
+  // Redirect only to URLs signed for this email - never an open redirect
+  async handleClick(req, res, { url, params: [emailId] }) {
+    const target = url.searchParams.get('u');
+    if (!target || !/^https?:\/\//i.test(target) || !this.tracker.verify(emailId, target, url.searchParams.get('s'))) {
+      return this.text(res, 400, 'Invalid link');
+    }
+
+    res.writeHead(302, { Location: target, 'Cache-Control': 'no-store' });
+    res.end();
+
+    await this.business.recordTrackingHit({ type: 'click', emailId, url: target, ...this.client(req) });
+  }
+
+  // ==================== UNSUBSCRIBE ====================
+
+  // GET only confirms - link scanners follow GETs and must not unsubscribe anyone
+  handleUnsubscribePage(req, res, { url }) {
+    const token = url.searchParams.get('token') || '';
+    if (!this.business.compliance.verifyUnsubscribeToken(token).valid) {
+      return this.html(res, 400, page('Invalid link', 'This unsubscribe link is invalid or incomplete.'));
+    }
+
+    this.html(res, 200, page('Unsubscribe', `<form method="POST" action="/unsubscribe?token=${encodeURIComponent(token)}">
+<p>Click below and you won't receive any more emails from us.</p>
+<button type="submit">Unsubscribe</button>
+</form>`));
+  }
+
+  // Form submit or a mail client's List-Unsubscribe-Post one-click request
+  async handleUnsubscribe(req, res, { url }) {
+    await readBody(req);
+    const result = await this.business.handleUnsubscribe(url.searchParams.get('token'));
+
+    if (!result.unsubscribed) {
+      return this.html(res, 400, page('Invalid link', 'This unsubscribe link is invalid or incomplete.'));
+    }
+    this.html(res, 200, page('Unsubscribed', `${escapeHtml(result.email)} won't receive any more emails from us.`));
+  }
+
+  // ==================== CHECKOUT ====================
+
+  async handleCheckout(req, res, { url }) {
+    const result = await this.business.startCheckout(url.searchParams.get('token'));
+    if (!result.valid) {
+      return this.html(res, 400, page('Invalid link', 'This checkout link is invalid or incomplete.'));
+    }
+
+    res.writeHead(303, { Location: result.url, 'Cache-Control': 'no-store' });
+    res.end();
+  }
+
+  // ==================== CONTENT INTAKE ====================
+
+  handleIntakeForm(req, res, { url }) {
+    const token = url.searchParams.get('token') || '';
+    const verified = this.business.contentIntake.verifyToken(token);
+    const intake = verified.valid ? this.business.contentIntake.get(verified.orderId) : null;
+    if (!intake) {
+      return this.html(res, 400, page('Invalid link', 'This content brief link is invalid or incomplete.'));
+    }
+    if (intake.status !== 'pending') {
+      return this.html(res, 200, page('Brief received', 'We already have your brief - your content is on its way.'));
+    }
+    this.html(res, 200, page('Your content brief', intakeForm(token, intake.requirements)));
+  }
+
+  // Form post (urlencoded) or JSON
+  async handleIntakeSubmit(req, res, { url }) {
+    const body = (await readBody(req)).toString('utf8');
+    let fields;
+    if (/json/i.test(req.headers['content-type'] || '')) {
+      try {
+        fields = JSON.parse(body);
+      } catch (e) {
+        return this.json(res, 400, { error: 'invalid JSON' });
+      }
+    } else {
+      fields = Object.fromEntries(new URLSearchParams(body));
+    }
+
+    const token = url.searchParams.get('token') || fields.token;
+    const result = await this.business.submitContentIntake(token, fields);
+
+    if (!result.valid) {
+      return this.html(res, 400, page('Invalid link', 'This content brief link is invalid or incomplete.'));
+    }
+    if (!result.accepted && result.reason === 'topic_required') {
+      return this.html(res, 400, page('Your content brief', `<p><strong>Please enter a topic.</strong></p>${intakeForm(token, result.intake.requirements)}`));
+    }
+    if (!result.accepted) {
+      return this.html(res, 200, page('Brief received', 'We already have your brief - your content is on its way.'));
+    }
+    this.html(res, 200, page('Thank you!', 'Your content has been written and sent to your inbox.'));
+  }
+
+  // ==================== WEBHOOKS ====================
+
+  // Fails closed: without EMAIL_WEBHOOK_TOKEN anyone could post opens, replies and bounces
+  async handleEmailWebhook(req, res, { url }) {
+    if (!this.webhookToken) {
+      return this.json(res, 503, { error: 'email webhook disabled - set EMAIL_WEBHOOK_TOKEN' });
+    }
+    if (url.searchParams.get('token') !== this.webhookToken) {
+      return this.json(res, 401, { error: 'unauthorized' });
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse((await readBody(req)).toString('utf8'));
+    } catch (e) {
+      return this.json(res, 400, { error: 'invalid JSON' });
+    }
+
+    this.json(res, 200, await this.business.ingestEvents(payload));
+  }
+
+  // Signature is checked against the raw body; a failed handler returns 500 so Stripe retries
+  async handleStripeWebhook(req, res) {
+    const body = await readBody(req);
+    this.json(res, 200, await this.business.handleStripeWebhook(body, req.headers['stripe-signature']));
+  }
+
+  // ==================== HELPERS ====================
+
+  client(req) {
+    const forwarded = this.trustProxy && req.headers['x-forwarded-for'];
+    return {
+      ip: forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress,
+      userAgent: req.headers['user-agent'] || '',
+      method: req.method
+    };
+  }
+
+  json(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  text(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(body);
+  }
+
+  html(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(body);
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Payload too large'), { statusCode: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function intakeForm(token, values = {}) {
+  const value = v => escapeHtml(Array.isArray(v) ? v.join(', ') : v || '');
+  const types = CONTENT_TYPES
+    .map(t => `<option value="${t}"${values.contentType === t ? ' selected' : ''}>${t.replace('-', ' ')}</option>`)
+    .join('');
+
+  return `<form method="POST" action="/intake?token=${encodeURIComponent(token)}">
+<p><label>Topic<br><input name="topic" required style="width:100%" value="${value(values.topic)}"></label></p>
+<p><label>Keywords (comma-separated)<br><input name="keywords" style="width:100%" value="${value(values.keywords)}"></label></p>
+<p><label>Tone<br><input name="tone" placeholder="professional, friendly, playful..." style="width:100%" value="${value(values.tone)}"></label></p>
+<p><label>Audience<br><input name="audience" placeholder="who will read it?" style="width:100%" value="${value(values.audience)}"></label></p>
+<p><label>Type<br><select name="contentType">${types}</select></label></p>
+<p><label>Word count<br><input name="wordCount" type="number" min="30" max="3000" value="${value(values.wordCount)}"></label></p>
+<button type="submit">Start writing</button>
+</form>`;
+}
+
+function page(title, body) {
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${title}</title></head>
+<body style="font-family:sans-serif;max-width:480px;margin:60px auto"><h2>${title}</h2>${body}</body></html>`;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+module.exports = { BusinessServer, readBody };
@@ -0,0 +1,279 @@
+/**
+ * SOCIAL PACKS
+ * 30-day content calendar for socialpulses customers: platform-specific
+ * posts (X, LinkedIn, Instagram) that fit each platform's character and
+ * hashtag limits, with suggested posting times. Exports to CSV and ICS.
+ */
+
+const { toCSV } = require('../leads/csv');
+
+// Suggested times are the customer's local time - calendar events are left floating
+const PLATFORMS = {
+  x: {
+    label: 'X',
+    limit: 280,
+    maxHashtags: 2,
+    urlLength: 23, // every link counts as 23 characters on X
+    days: [0, 1, 2, 3, 4, 5, 6],
+    times: ['09:00', '12:00', '17:00'],
+    style: 'Short and punchy: one idea per post, conversational tone.'
+  },
+  linkedin: {
+    label: 'LinkedIn',
+    limit: 3000,
+    maxHashtags: 3,
+    days: [2, 3, 4],
+    times: ['08:00', '12:00'],
+    style: 'Professional: open with a one-line hook, 2-4 short paragraphs, end with a question.'
+  },
+  instagram: {
+    label: 'Instagram',
+    limit: 2200,
+    maxHashtags: 10,
+    days: [1, 3, 5, 6],
+    times: ['11:00', '19:00'],
+    style: 'Image caption: start with the visual idea in [brackets], warm tone, emojis welcome, call to action at the end.'
+  }
+};
+
+const THEMES = [
+  { key: 'tip', label: 'Tip', brief: 'a practical tip for the audience' },
+  { key: 'behind_the_scenes', label: 'Behind the scenes', brief: 'behind the scenes of how the business works' },
+  { key: 'customer_story', label: 'Customer story', brief: 'a customer success story (no invented names or numbers)' },
+  { key: 'question', label: 'Question', brief: 'an engagement question for followers' },
+  { key: 'faq', label: 'FAQ', brief: 'answer a question customers often ask' },
+  { key: 'industry_news', label: 'Industry trend', brief: 'a trend in the industry and what it means for customers' },
+  { key: 'promotion', label: 'Promotion', brief: 'a soft promotion of the service with a call to action' }
+];
+
+class SocialPackGenerator {
+  constructor(options = {}) {
+    this.ai = options.ai;
+    this.days = options.days || 30;
+    this.platforms = options.platforms || Object.keys(PLATFORMS);
+  }
+
+  // ==================== CALENDAR ====================
+
+  // Calendar slots from start (YYYY-MM-DD, default tomorrow): [{ date, time, platform, theme, brief }]
+  plan(start = addDays(todayKey(), 1)) {
+    const slots = [];
+    const perPlatform = {};
+
+    for (let day = 0; day < this.days; day++) {
+      const date = addDays(start, day);
+      const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+
+      this.platforms.forEach((key, index) => {
+        const platform = PLATFORMS[key];
+        if (!platform.days.includes(weekday)) return;
+
+        const count = perPlatform[key] = (perPlatform[key] || 0) + 1;
+        const theme = THEMES[(day + index) % THEMES.length];
+        slots.push({
+          date,
+          time: platform.times[(count - 1) % platform.times.length],
+          platform: key,
+          theme: theme.key,
+          brief: theme.brief
+        });
+      });
+    }
+
+    return slots;
+  }
+
+  // One AI batch per platform, each post fitted to its platform's limits
+  async generate(business, { start } = {}) {
+    const slots = this.plan(start);
+    const posts = [];
+
+    for (const key of this.platforms) {
+      const platform = PLATFORMS[key];
+      const platformSlots = slots.filter(s => s.platform === key);
+      if (platformSlots.length === 0) continue;
+
+      const generated = await this.ai.generateSocialPosts(business, platform, platformSlots);
+      // Short batches are topped up from the templates
+      const fallback = generated.length < platformSlots.length
+        ? this.ai.getBasicSocialPosts(business, platform, platformSlots)
+        : [];
+
+      platformSlots.forEach((slot, i) => {
+        const post = fitPost(generated[i] || fallback[i], platform);
+        posts.push({ ...slot, ...post, limit: platform.limit });
+      });
+    }
+
+    posts.sort((a, b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`));
+
+    return {
+      business: business.name,
+      start: slots.length ? slots[0].date : null,
+      end: slots.length ? slots[slots.length - 1].date : null,
+      platforms: this.platforms,
+      posts
+    };
+  }
+
+  // ==================== EXPORT ====================
+
+  toCSV(pack) {
+    const headers = ['Date', 'Time', 'Platform', 'Theme', 'Post', 'Hashtags', 'Characters', 'Limit'];
+    const rows = pack.posts.map(p => [
+      p.date,
+      p.time,
+      PLATFORMS[p.platform].label,
+      themeLabel(p.theme),
+      p.text,
+      p.hashtags.map(t => `#${t}`).join(' '),
+      p.length,
+      p.limit
+    ]);
+    return toCSV([headers, ...rows]);
+  }
+
+  // One 15-minute event per post, at the suggested local time
+  toICS(pack) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//SocialPulses//Social Pack//EN',
+      'CALSCALE:GREGORIAN',
+      `X-WR-CALNAME:${escapeICS(`${pack.business || 'Social'} posting calendar`)}`
+    ];
+
+    pack.posts.forEach((p, i) => {
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${p.date}-${p.platform}-${i}@socialpulses`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${p.date.replace(/-/g, '')}T${p.time.replace(':', '')}00`,
+        'DURATION:PT15M',
+        `SUMMARY:${escapeICS(`[${PLATFORMS[p.platform].label}] ${themeLabel(p.theme)}`)}`,
+        `DESCRIPTION:${escapeICS(fullText(p))}`,
+        'END:VEVENT'
+      );
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+  }
+
+  // Email body: counts per platform and the first week of posts
+  toHTML(pack, { previewDays = 7 } = {}) {
+    const counts = pack.platforms
+      .map(key => `<li>${PLATFORMS[key].label}: ${pack.posts.filter(p => p.platform === key).length} posts</li>`)
+      .join('');
+    const lastPreview = pack.start ? addDays(pack.start, previewDays - 1) : null;
+    const rows = pack.posts
+      .filter(p => p.date <= lastPreview)
+      .map(p => `<tr><td>${p.date} ${p.time}</td><td>${PLATFORMS[p.platform].label}</td><td>${escapeHtml(fullText(p)).replace(/\n/g, '<br>')}</td></tr>`)
+      .join('');
+
+    return `<h1>Your 30-Day Social Calendar</h1>
+<p>${pack.posts.length} posts from ${pack.start} to ${pack.end}:</p>
+<ul>${counts}</ul>
+<h2>First week</h2>
+<table>${rows}</table>
+<p>The full calendar is attached as a spreadsheet (social-calendar.csv) and a calendar file (social-calendar.ics) you can import into Google Calendar or Outlook. Times are suggestions in your local time.</p>`;
+  }
+}
+
+// ==================== LIMITS ====================
+
+// Normalize hashtags and make text + hashtags fit the platform: drop hashtags first, then shorten the text
+function fitPost(post, platform) {
+  let text = String((post && post.text) || '').trim();
+  let hashtags = normalizeHashtags((post && post.hashtags) || []).slice(0, platform.maxHashtags);
+
+  while (hashtags.length > 0 && countChars(fullText({ text, hashtags }), platform) > platform.limit) {
+    hashtags = hashtags.slice(0, -1);
+  }
+  if (countChars(text, platform) > platform.limit) {
+    text = truncate(text, platform);
+  }
+
+  return { text, hashtags, length: countChars(fullText({ text, hashtags }), platform) };
+}
+
+function normalizeHashtags(hashtags) {
+  const seen = new Set();
+  return hashtags
+    .map(tag => String(tag).replace(/^#+/, '').replace(/[^\p{L}\p{N}_]/gu, ''))
+    .filter(tag => {
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+// Characters as the platform counts them (code points; links are fixed-length on X)
+function countChars(text, platform = {}) {
+  const counted = platform.urlLength ? text.replace(/https?:\/\/\S+/g, 'x'.repeat(platform.urlLength)) : text;
+  return [...counted].length;
+}
+
+function truncate(text, platform) {
+  const words = text.split(/(\s+)/);
+  let result = '';
+  for (const word of words) {
+    if (countChars(`${result}${word}…`, platform) > platform.limit) break;
+    result += word;
+  }
+  result = result.trim() || [...text].slice(0, platform.limit - 1).join('');
+  return `${result}…`;
+}
+
+function fullText(post) {
+  return post.hashtags.length ? `${post.text}\n\n${post.hashtags.map(t => `#${t}`).join(' ')}` : post.text;
+}
+
+// ==================== HELPERS ====================
+
+function themeLabel(key) {
+  const theme = THEMES.find(t => t.key === key);
+  return theme ? theme.label : key;
+}
+
+function todayKey() {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+}
+
+function addDays(dateKey, days) {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// RFC 5545 TEXT escaping
+function escapeICS(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space, never splitting a character
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  for (const ch of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + ch) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+module.exports = { SocialPackGenerator, PLATFORMS, THEMES, fitPost, countChars };
@@ -0,0 +1,35 @@
+/**
+ * JSON FILE STORAGE
+ * Read/write helpers shared by every JSON store under data/ and models/
+ *
+ * A missing file reads as the store's empty value. A file that is there but
+ * doesn't parse is an error, never an empty store - silently starting over
+ * would forget unsubscribes, processed Stripe events and orders, and the next
+ * write would make that permanent. Writes go to a temp file that is renamed
+ * over the original, so a crash mid-write leaves the previous version intact.
+ */
+
+const fs = require('fs');
+
+// File contents, or `fallback` when the file doesn't exist; throws (code CORRUPT_STORE) if it doesn't parse
+function readJSON(file, fallback) {
+  if (!fs.existsSync(file)) return fallback;
+
+  const text = fs.readFileSync(file, 'utf8');
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    const error = new Error(`${file} is corrupt (${e.message}) - fix or restore it; refusing to treat it as empty`);
+    error.code = 'CORRUPT_STORE';
+    throw error;
+  }
+}
+
+// Write via temp file + rename (atomic on the same filesystem)
+function writeJSON(file, data, { pretty = true } = {}) {
+  const temp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, pretty ? JSON.stringify(data, null, 2) : JSON.stringify(data));
+  fs.renameSync(temp, file);
+}
+
+module.exports = { readJSON, writeJSON };
@@ -0,0 +1,175 @@
+/**
+ * SUBSCRIPTIONS
+ * Active subscribers for recurring products (leadvaults weekly lead delivery)
+ *
+ * Paid invoices activate or resume a subscription, failed payments pause it,
+ * cancellation stops it. Each customer's delivery history is kept so no lead
+ * is ever delivered to the same customer twice.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readJSON, writeJSON } = require('../storage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETRY_MS = 60 * 60 * 1000;
+
+class SubscriptionStore {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || path.join(__dirname, '../data');
+    this.file = path.join(this.dataDir, 'subscriptions.json');
+    this.historyFile = path.join(this.dataDir, 'delivery_history.json');
+    this.deliveryIntervalDays = options.deliveryIntervalDays || 7;
+    this.ensureDataDir();
+  }
+
+  ensureDataDir() {
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+  }
+
+  // ==================== LIFECYCLE ====================
+
+  // A paid invoice: create the subscription, or resume it if a failed payment paused it
+  activate({ subscriptionId, customerId, email, businessType, leadId }) {
+    const subscriptions = this.load();
+    const now = new Date().toISOString();
+    const existing = subscriptions[subscriptionId];
+
+    if (existing && existing.status === 'cancelled') return { subscription: existing, created: false, resumed: false };
+
+    if (!existing) {
+      subscriptions[subscriptionId] = {
+        id: subscriptionId,
+        customerId,
+        customerKey: customerId || email.toLowerCase(),
+        email,
+        businessType,
+        leadId: leadId || null,
+        status: 'active',
+        nextDeliveryAt: now,
+        deliveries: 0,
+        startedAt: now,
+        lastPaidAt: now,
+        updatedAt: now
+      };
+      this.save(subscriptions);
+      return { subscription: subscriptions[subscriptionId], created: true, resumed: false };
+    }
+
+    const resumed = existing.status === 'paused';
+    Object.assign(existing, {
+      status: 'active',
+      email: email || existing.email,
+      lastPaidAt: now,
+      pausedAt: null,
+      pauseReason: null,
+      updatedAt: now
+    });
+    this.save(subscriptions);
+    return { subscription: existing, created: false, resumed };
+  }
+
+  pause(subscriptionId, reason) {
+    const subscription = this.get(subscriptionId);
+    if (!subscription || subscription.status !== 'active') return subscription;
+    return this.update(subscriptionId, { status: 'paused', pausedAt: new Date().toISOString(), pauseReason: reason });
+  }
+
+  cancel(subscriptionId, reason) {
+    if (!this.get(subscriptionId)) return null;
+    return this.update(subscriptionId, { status: 'cancelled', cancelledAt: new Date().toISOString(), cancelReason: reason || null });
+  }
+
+  get(subscriptionId) {
+    return this.load()[subscriptionId] || null;
+  }
+
+  // Active subscriptions whose next delivery has arrived
+  due(now = new Date()) {
+    return Object.values(this.load()).filter(s => s.status === 'active' && new Date(s.nextDeliveryAt) <= now);
+  }
+
+  // ==================== DELIVERIES ====================
+
+  // Claim a delivery before sending so an overlapping run can't send it twice
+  claimDelivery(subscriptionId, now = new Date()) {
+    const subscription = this.get(subscriptionId);
+    if (!subscription || subscription.status !== 'active' || new Date(subscription.nextDeliveryAt) > now) return null;
+
+    return this.update(subscriptionId, {
+      nextDeliveryAt: new Date(now.getTime() + this.deliveryIntervalDays * DAY_MS).toISOString()
+    });
+  }
+
+  completeDelivery(subscriptionId) {
+    const subscription = this.get(subscriptionId);
+    if (!subscription) return null;
+    return this.update(subscriptionId, {
+      deliveries: subscription.deliveries + 1,
+      lastDeliveredAt: new Date().toISOString(),
+      lastError: null
+    });
+  }
+
+  // A failed send is retried within the hour instead of waiting a week
+  failDelivery(subscriptionId, error) {
+    return this.update(subscriptionId, {
+      nextDeliveryAt: new Date(Date.now() + RETRY_MS).toISOString(),
+      lastError: error
+    });
+  }
+
+  // Normalized emails of every lead already delivered to this customer
+  deliveredTo(customerKey) {
+    const history = this.loadHistory()[customerKey];
+    return new Set(history ? history.emails : []);
+  }
+
+  recordDelivered(customerKey, leads, subscriptionId) {
+    const history = this.loadHistory();
+    const entry = history[customerKey] || (history[customerKey] = { emails: [], deliveries: [] });
+
+    leads.forEach(l => entry.emails.push(l.email.trim().toLowerCase()));
+    entry.deliveries.push({ at: new Date().toISOString(), count: leads.length, subscriptionId: subscriptionId || null });
+
+    this.saveHistory(history);
+  }
+
+  stats() {
+    const subscriptions = Object.values(this.load());
+    const byStatus = {};
+    subscriptions.forEach(s => { byStatus[s.status] = (byStatus[s.status] || 0) + 1; });
+    return { total: subscriptions.length, byStatus };
+  }
+
+  // ==================== HELPERS ====================
+
+  update(subscriptionId, fields) {
+    const subscriptions = this.load();
+    if (!subscriptions[subscriptionId]) return null;
+
+    Object.assign(subscriptions[subscriptionId], fields, { updatedAt: new Date().toISOString() });
+    this.save(subscriptions);
+    return subscriptions[subscriptionId];
+  }
+
+  load() {
+    return readJSON(this.file, {});
+  }
+
+  save(subscriptions) {
+    writeJSON(this.file, subscriptions);
+  }
+
+  loadHistory() {
+    return readJSON(this.historyFile, {});
+  }
+
+  saveHistory(history) {
+    writeJSON(this.historyFile, history, { pretty: false });
+  }
+}
+
+module.exports = { SubscriptionStore };
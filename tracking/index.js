@@ -0,0 +1,104 @@
+/**
+ * OPEN/CLICK TRACKING
+ * Signed pixel + redirect URLs per email id, HTML link rewriting, and
+ * bot/prefetch filtering so proxies and link scanners don't count as people.
+ */
+
+const crypto = require('crypto');
+
+// 1x1 transparent GIF
+const PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+// Security scanners, link previewers and HTTP libraries
+const BOT_USER_AGENTS = /bot|crawl|spider|slurp|preview|scanner|barracuda|proofpoint|mimecast|urldefense|safelinks|symantec|trendmicro|sophos|fortiguard|forcepoint|messagelabs|headless|phantom|python-requests|python-urllib|curl\/|wget|go-http-client|java\/|okhttp|libwww|httpclient|axios|node-fetch|undici|facebookexternalhit|slackbot|discordbot|whatsapp|skypeuripreview|microsoft office|ms-office|outlook-ios-linkpreview/i;
+
+// Apple Mail Privacy Protection fetches images from Apple's 17.0.0.0/8 network
+const APPLE_PROXY = /^(::ffff:)?17\./;
+
+const CLICK_MIN_SECONDS = 10;
+const BURST_WINDOW_MS = 5000;
+const BURST_LINKS = 3;
+
+class LinkTracker {
+  constructor({ baseUrl, secret, skip = [] }) {
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.secret = secret;
+    this.skip = skip; // URL prefixes never rewritten (e.g. unsubscribe links)
+    this.recentClicks = new Map(); // emailId -> clicks inside the burst window
+    this.lastSweep = 0;
+  }
+
+  // ==================== URLS ====================
+
+  sign(emailId, value) {
+    return crypto.createHmac('sha256', this.secret).update(`${emailId}|${value}`).digest('base64url').slice(0, 22);
+  }
+
+  verify(emailId, value, signature) {
+    const expected = Buffer.from(this.sign(emailId, value));
+    const actual = Buffer.from(String(signature || ''));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  pixelUrl(emailId) {
+    return `${this.baseUrl}/t/o/${encodeURIComponent(emailId)}.gif?s=${this.sign(emailId, 'open')}`;
+  }
+
+  clickUrl(emailId, url) {
+    return `${this.baseUrl}/t/c/${encodeURIComponent(emailId)}?u=${encodeURIComponent(url)}&s=${this.sign(emailId, url)}`;
+  }
+
+  // Rewrite http(s) links through the redirect endpoint and append the open pixel
+  rewriteHtml(html, emailId) {
+    const rewritten = html.replace(/(<a\b[^>]*?\bhref\s*=\s*)(["'])(https?:\/\/[^"']+)\2/gi, (match, prefix, quote, url) => {
+      const decoded = url.replace(/&amp;/g, '&');
+      if (this.skip.some(p => decoded.startsWith(p))) return match;
+      return `${prefix}${quote}${this.clickUrl(emailId, decoded).replace(/&/g, '&amp;')}${quote}`;
+    });
+
+    const pixel = `<img src="${this.pixelUrl(emailId).replace(/&/g, '&amp;')}" width="1" height="1" alt="" style="display:block;width:1px;height:1px;border:0">`;
+    return /<\/body>/i.test(rewritten) ? rewritten.replace(/<\/body>/i, `${pixel}</body>`) : `${rewritten}${pixel}`;
+  }
+
+  // ==================== FILTERING ====================
+
+  // Decide whether a pixel/redirect hit came from a person: { human, reason }
+  classifyHit({ type, emailId, url, ip = '', userAgent = '', method = 'GET', sentAt, at = Date.now() }) {
+    if (method === 'HEAD') return { human: false, reason: 'head_request' };
+    if (!userAgent) return { human: false, reason: 'no_user_agent' };
+    if (BOT_USER_AGENTS.test(userAgent)) return { human: false, reason: 'bot_user_agent' };
+
+    if (type === 'open') {
+      if (APPLE_PROXY.test(ip)) return { human: false, reason: 'apple_mail_privacy_protection' };
+      return { human: true };
+    }
+
+    // Scanners click within seconds of delivery...
+    if (sentAt && at - new Date(sentAt).getTime() < CLICK_MIN_SECONDS * 1000) {
+      return { human: false, reason: 'too_fast_after_send' };
+    }
+
+    // ...and follow every link in the email at once
+    this.sweepClicks(at);
+    const recent = (this.recentClicks.get(emailId) || []).filter(c => at - c.at < BURST_WINDOW_MS);
+    recent.push({ url, at });
+    this.recentClicks.set(emailId, recent);
+    if (new Set(recent.map(c => c.url)).size >= BURST_LINKS) {
+      return { human: false, reason: 'link_burst' };
+    }
+
+    return { human: true };
+  }
+
+  // Forget emails with no click inside the burst window (at most once per window)
+  sweepClicks(at) {
+    if (at - this.lastSweep < BURST_WINDOW_MS) return;
+    this.lastSweep = at;
+
+    this.recentClicks.forEach((clicks, emailId) => {
+      if (!clicks.some(c => at - c.at < BURST_WINDOW_MS)) this.recentClicks.delete(emailId);
+    });
+  }
+}
+
+module.exports = { LinkTracker, PIXEL };
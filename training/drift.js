@@ -0,0 +1,123 @@
+/**
+ * DRIFT DETECTION
+ * Compares what the models were trained on with what has arrived since
+ *
+ * Feature drift: population stability index (PSI) of the industry and source
+ * mix of new leads. Outcome drift: open and reply rates of emails sent since
+ * training, tested against the training window with a two-proportion z-test.
+ * Emails only count once they are OUTCOME_LAG_DAYS old, so engagement that
+ * hasn't happened yet doesn't read as a drop.
+ */
+
+const { zTest } = require('../experiments');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Reference window before a training run, and how old an email must be to count
+const BASELINE_DAYS = 30;
+const OUTCOME_LAG_DAYS = 2;
+
+// PSI: < 0.1 stable, 0.1-0.25 moderate shift, > 0.25 significant shift
+const PSI_WARN = 0.1;
+const PSI_DRIFT = 0.25;
+
+const DEFAULTS = { minLeads: 50, minEmails: 100, pValue: 0.01, minRateChange: 0.2 };
+
+// Lead mix + email outcomes over [from, to) -> the numbers drift is measured on
+function snapshot({ leads = [], emails = [] }, { from, to }) {
+  const inWindow = at => at && at >= from && at < to;
+  const newLeads = leads.filter(l => inWindow(l.createdAt));
+  const matureBefore = new Date(new Date(to).getTime() - OUTCOME_LAG_DAYS * DAY).toISOString();
+  const sent = emails.filter(e => inWindow(e.timestamp) && e.timestamp < matureBefore);
+
+  return {
+    window: { from, to },
+    leads: newLeads.length,
+    industry: distribution(newLeads.map(l => String(l.industry || 'unknown').toLowerCase())),
+    source: distribution(newLeads.map(l => String(l.source || 'manual').toLowerCase())),
+    emails: sent.length,
+    opens: sent.filter(e => e.opened).length,
+    replies: sent.filter(e => e.replied).length
+  };
+}
+
+// Baseline for a training run at `at`: the BASELINE_DAYS before it
+function baselineWindow(at) {
+  return { from: new Date(new Date(at).getTime() - BASELINE_DAYS * DAY).toISOString(), to: new Date(at).toISOString() };
+}
+
+// Baseline vs current snapshot -> [{ kind, metric, value, baseline, current, severity, drifted, message }]
+function compare(baseline, current, options = {}) {
+  const { minLeads, minEmails, pValue, minRateChange } = { ...DEFAULTS, ...options };
+  const findings = [];
+
+  if (baseline.leads >= minLeads && current.leads >= minLeads) {
+    ['industry', 'source'].forEach(metric => {
+      const value = round4(psi(baseline[metric], current[metric]));
+      if (value < PSI_WARN) return;
+
+      findings.push({
+        kind: 'feature',
+        metric: `${metric}_mix`,
+        value,
+        baseline: baseline[metric],
+        current: current[metric],
+        severity: value >= PSI_DRIFT ? 'high' : 'low',
+        drifted: value >= PSI_DRIFT,
+        message: `Lead ${metric} mix shifted since training (PSI ${value})`
+      });
+    });
+  }
+
+  if (baseline.emails >= minEmails && current.emails >= minEmails) {
+    [['open_rate', 'opens'], ['reply_rate', 'replies']].forEach(([metric, count]) => {
+      const before = { exposures: baseline.emails, conversions: baseline[count] };
+      const after = { exposures: current.emails, conversions: current[count] };
+      const rateBefore = before.conversions / before.exposures;
+      const rateAfter = after.conversions / after.exposures;
+      const change = rateBefore ? (rateAfter - rateBefore) / rateBefore : null;
+      const test = zTest(after, before);
+      if (test.pValue >= pValue || change === null || Math.abs(change) < minRateChange) return;
+
+      findings.push({
+        kind: 'outcome',
+        metric,
+        value: round4(test.pValue),
+        baseline: round4(rateBefore),
+        current: round4(rateAfter),
+        severity: change < 0 ? 'high' : 'medium',
+        drifted: true,
+        message: `${metric.replace('_', ' ')} ${change < 0 ? 'fell' : 'rose'} from ${(rateBefore * 100).toFixed(1)}% to ${(rateAfter * 100).toFixed(1)}% since training`
+      });
+    });
+  }
+
+  return findings;
+}
+
+// ==================== HELPERS ====================
+
+// ['a', 'b', 'a'] -> { a: 0.667, b: 0.333 }
+function distribution(values) {
+  const counts = {};
+  values.forEach(v => { counts[v] = (counts[v] || 0) + 1; });
+  return Object.fromEntries(Object.entries(counts).map(([key, count]) => [key, round4(count / (values.length || 1))]));
+}
+
+// Population stability index; categories missing on one side get a small floor
+function psi(expected, actual, floor = 1e-4) {
+  const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+  let total = 0;
+  keys.forEach(key => {
+    const e = Math.max(expected[key] || 0, floor);
+    const a = Math.max(actual[key] || 0, floor);
+    total += (a - e) * Math.log(a / e);
+  });
+  return total;
+}
+
+function round4(value) {
+  return Math.round(value * 1e4) / 1e4;
+}
+
+module.exports = { snapshot, baselineWindow, compare, psi, distribution, PSI_DRIFT };
@@ -5,17 +5,37 @@
 
 const fs = require('fs');
 const path = require('path');
-const { LearningEngine } = require('./learning-engine');
+const { LearningEngine } = require('../ml/learning-engine');
+const { Experiments } = require('../experiments');
+const { LeadRepository } = require('../leads');
+const { LeadScorer, auc } = require('../ml/lead-scorer');
+const { ModelRegistry } = require('./registry');
+const drift = require('./drift');
+const { readJSON, writeJSON } = require('../storage');
+
+// Contacted leads that haven't bought after this long count as non-converters
+const LABEL_WINDOW_DAYS = 30;
+
+// Newest share of each metric stream, held out to score models
+const HOLDOUT_SHARE = 0.2;
 
 class TrainingPipeline {
-  constructor() {
+  constructor(options = {}) {
     this.learning = new LearningEngine();
+    this.experiments = options.experiments || new Experiments();
+    this.leads = options.leads || new LeadRepository();
     this.modelDir = path.join(__dirname, '../models');
     this.ensureModelDir();
-    
-    // Training schedule
-    this.lastTraining = null;
-    this.trainingInterval = 24 * 60 * 60 * 1000; // 24 hours
+    this.leadScorer = new LeadScorer({ modelDir: this.modelDir }).load();
+    this.registry = new ModelRegistry({ modelDir: this.modelDir });
+    this.importLegacyModels();
+    
+    // Training schedule - last run persisted in models/training_state.json
+    this.stateFile = path.join(this.modelDir, 'training_state.json');
+    this.state = this.loadState();
+    this.lastTraining = this.state.lastTraining ? new Date(this.state.lastTraining).getTime() : null;
+    this.trainingInterval = options.trainingInterval || (parseFloat(process.env.TRAINING_INTERVAL_HOURS) || 24) * 60 * 60 * 1000;
+    this.minNewSamples = options.minNewSamples || parseInt(process.env.TRAINING_MIN_NEW_SAMPLES, 10) || 500; // new outcomes that justify an early run
   }
   
   ensureModelDir() {
@@ -26,14 +46,58 @@ class TrainingPipeline {
   
   // Check if training is needed
   shouldTrain() {
-    if (!this.lastTraining) return true;
+    return this.trainingDue().due;
+  }
+  
+  // Why (if at all) training should run now: first_run, interval, new_samples or drift
+  // -> { due, reason, newSamples, drift: drift findings since the last run }
+  trainingDue(now = new Date()) {
+    if (!this.lastTraining) return { due: true, reason: 'first_run', newSamples: null, drift: [] };
+    
+    const since = new Date(this.lastTraining).toISOString();
+    const newSamples = this.countSamplesSince(since);
+    const findings = this.checkDrift(now);
+    
+    let reason = null;
+    if (findings.some(f => f.drifted)) reason = 'drift';
+    else if (now.getTime() - this.lastTraining > this.trainingInterval) reason = 'interval';
+    else if (newSamples >= this.minNewSamples) reason = 'new_samples';
+    
+    return { due: Boolean(reason), reason, newSamples, drift: findings };
+  }
+  
+  // Outcomes recorded since a point in time, across every stream a model trains on
+  countSamplesSince(since) {
+    return ['email_performance', 'conversions', 'pricing', 'content_performance']
+      .reduce((sum, name) => sum + this.learning.loadMetrics(name).filter(r => r.timestamp > since).length, 0);
+  }
+  
+  // Lead mix and email outcomes since the last run vs the window it trained on
+  checkDrift(now = new Date()) {
+    if (!this.state.baseline) return [];
     
-    const timeSinceLast = Date.now() - this.lastTraining;
-    return timeSinceLast > this.trainingInterval;
+    const current = drift.snapshot(this.driftData(), { from: this.state.lastTraining, to: now.toISOString() });
+    const findings = drift.compare(this.state.baseline, current);
+    
+    this.state.lastDriftCheck = { at: now.toISOString(), findings: findings.map(({ baseline, current: value, ...f }) => f) };
+    this.saveState();
+    return findings;
+  }
+  
+  driftData() {
+    return { leads: this.leads.list(), emails: this.learning.loadMetrics('email_performance') };
   }
   
-  // Run training pipeline
-  async train() {
+  // Anomalies raised for drift (kept with the training state for the dashboard)
+  recordAlerts(alerts) {
+    if (!alerts.length) return;
+    const at = new Date().toISOString();
+    this.state.alerts = [...(this.state.alerts || []), ...alerts.map(a => ({ ...a, at }))].slice(-20);
+    this.saveState();
+  }
+  
+  // Run training pipeline: every trained model becomes a registry version, promoted only if it beats the champion
+  async train({ reason = 'manual' } = {}) {
     console.log('🧠 Starting AI training pipeline...');
     
     const results = {
@@ -42,15 +106,39 @@ class TrainingPipeline {
     };
     
     // Train each model
-    results.models.push(await this.trainSubjectLineModel());
-    results.models.push(await this.trainPricingModel());
-    results.models.push(await this.trainContentModel());
-    results.models.push(await this.trainLeadScoringModel());
-    
-    // Save trained models
-    this.saveModels(results.models);
+    const candidates = [
+      await this.trainSubjectLineModel(),
+      await this.trainPricingModel(),
+      await this.trainContentModel(),
+      await this.trainLeadScoringModel()
+    ];
+    
+    candidates.forEach(candidate => {
+      if (candidate.status !== 'trained') {
+        results.models.push(candidate);
+        return;
+      }
+      
+      const { model, championMetric, features, ...info } = candidate;
+      const record = this.registry.register(candidate.name, candidate, { championMetric });
+      results.models.push({ ...info, version: record.version, promoted: record.promoted, decision: record.decision, championMetric });
+      console.log(`${record.promoted ? '🏅' : '🥈'} ${record.id}: ${formatMetric(record.metric)} vs champion ${championMetric === null ? 'n/a' : championMetric} - ${record.decision}`);
+    });
     
-    this.lastTraining = Date.now();
+    // Serve the champions
+    this.syncServedModels();
+    
+    // New drift baseline: what this run trained on
+    const now = new Date();
+    this.lastTraining = now.getTime();
+    this.state.lastTraining = now.toISOString();
+    this.state.baseline = drift.snapshot(this.driftData(), drift.baselineWindow(now));
+    this.state.runs = [...(this.state.runs || []), {
+      at: now.toISOString(),
+      reason,
+      promoted: results.models.filter(m => m.promoted).map(m => `${m.name}@v${m.version}`)
+    }].slice(-20);
+    this.saveState();
     
     console.log('✅ Training complete:', results);
     return results;
@@ -58,34 +146,48 @@ class TrainingPipeline {
   
   // Train subject line optimization model
   async trainSubjectLineModel() {
-    const emailPerf = this.learning.loadMetrics('email_performance');
+    const emailPerf = this.learning.loadMetrics('email_performance').filter(e => e.subject);
     
     if (emailPerf.length < 50) {
       return { name: 'subject_line', status: 'insufficient_data', samples: emailPerf.length };
     }
     
     // Extract features
-    const features = emailPerf.map(email => ({
+    const toFeatures = email => ({
       subject: email.subject,
       length: email.subject.length,
       hasQuestion: email.subject.includes('?'),
       hasNumber: /\d/.test(email.subject),
       converted: email.converted
-    }));
+    });
+    const { train, holdout } = splitByTime(emailPerf, 'sentAt');
     
     // Calculate best patterns
-    const patterns = this.analyzePatterns(features);
+    const patterns = this.analyzePatterns(train.map(toFeatures));
     
     const model = {
       type: 'subject_line',
       bestLength: patterns.avgLength,
       bestPatterns: patterns.topWords,
       avoidPatterns: patterns.avoidWords,
-      trainedAt: new Date().toISOString(),
-      accuracy: patterns.accuracy
+      trainedAt: new Date().toISOString()
     };
     
-    return { name: 'subject_line', ...model };
+    // Does the model rank converting subjects above the rest?
+    const evaluateOn = m => auc(holdout.map(e => (e.converted ? 1 : 0)), holdout.map(e => subjectScore(m, e.subject)));
+    const holdoutAUC = evaluateOn(model);
+    
+    return {
+      name: 'subject_line',
+      status: 'trained',
+      model,
+      metric: { name: 'auc', value: holdoutAUC, higherIsBetter: true },
+      metrics: { auc: holdoutAUC, conversionRate: rate(holdout, e => e.converted), trainConversionRate: patterns.conversionRate },
+      window: windowOf(emailPerf, 'sentAt'),
+      samples: { total: emailPerf.length, train: train.length, holdout: holdout.length },
+      features: ['subject_words', 'subject_length'],
+      championMetric: this.championMetric('subject_line', evaluateOn)
+    };
   }
   
   // Train pricing model
@@ -96,9 +198,15 @@ class TrainingPipeline {
       return { name: 'pricing', status: 'insufficient_data', samples: pricing.length };
     }
     
+    const { train, holdout } = splitByTime(pricing, 'timestamp');
+    
     // Find optimal price points
-    const accepted = pricing.filter(p => p.outcome === 'accepted');
-    const rejected = pricing.filter(p => p.outcome === 'rejected');
+    const accepted = train.filter(p => p.outcome === 'accepted');
+    const rejected = train.filter(p => p.outcome === 'rejected');
+    
+    if (!accepted.length) {
+      return { name: 'pricing', status: 'insufficient_data', samples: pricing.length, reason: 'no accepted prices' };
+    }
     
     const acceptedPrices = accepted.map(p => p.price);
     const rejectedPrices = rejected.map(p => p.price);
@@ -111,12 +219,29 @@ class TrainingPipeline {
       type: 'pricing',
       optimalRange: { min: minAccepted, max: maxAccepted },
       sweetSpot: Math.round(avgAccepted),
-      rejectionThreshold: Math.max(...rejectedPrices),
-      trainedAt: new Date().toISOString(),
-      accuracy: accepted.length / pricing.length
+      rejectionThreshold: rejectedPrices.length ? Math.max(...rejectedPrices) : null,
+      trainedAt: new Date().toISOString()
     };
     
-    return { name: 'pricing', ...model };
+    // Predict "accepted" inside the optimal range, scored on held-out offers with a known outcome
+    const decided = holdout.filter(p => p.outcome === 'accepted' || p.outcome === 'rejected');
+    const evaluateOn = m => (decided.length
+      ? round4(rate(decided, p => (p.price >= m.optimalRange.min && p.price <= m.optimalRange.max) === (p.outcome === 'accepted')))
+      : null);
+    const acceptRate = rate(decided, p => p.outcome === 'accepted');
+    const holdoutAccuracy = evaluateOn(model);
+    
+    return {
+      name: 'pricing',
+      status: 'trained',
+      model,
+      metric: { name: 'accuracy', value: holdoutAccuracy, higherIsBetter: true },
+      metrics: { accuracy: holdoutAccuracy, baselineAccuracy: decided.length ? round4(Math.max(acceptRate, 1 - acceptRate)) : null },
+      window: windowOf(pricing, 'timestamp'),
+      samples: { total: pricing.length, train: train.length, holdout: decided.length },
+      features: ['price'],
+      championMetric: this.championMetric('pricing', evaluateOn)
+    };
   }
   
   // Train content model
@@ -127,12 +252,14 @@ class TrainingPipeline {
       return { name: 'content', status: 'insufficient_data', samples: content.length };
     }
     
+    const { train, holdout } = splitByTime(content, 'timestamp');
+    
     // Find best content types
     const byType = {};
-    content.forEach(c => {
+    train.forEach(c => {
       if (!byType[c.type]) byType[c.type] = { total: 0, conversions: 0 };
       byType[c.type].total++;
-      byType[c.type].conversions += c.conversions;
+      byType[c.type].conversions += c.conversions || 0;
     });
     
     const rankings = Object.entries(byType)
@@ -147,36 +274,136 @@ class TrainingPipeline {
       type: 'content',
       bestTypes: rankings.slice(0, 3),
       worstTypes: rankings.slice(-2),
+      averages: Object.fromEntries(rankings.map(r => [r.type, round4(r.avgConversions)])),
+      overall: round4(train.reduce((sum, c) => sum + (c.conversions || 0), 0) / train.length),
       trainedAt: new Date().toISOString()
     };
     
-    return { name: 'content', ...model };
+    // Mean absolute error of "a piece converts like its type's average"
+    const evaluateOn = m => {
+      if (!m.averages || !holdout.length) return null;
+      const error = holdout.reduce((sum, c) => {
+        const expected = m.averages[c.type] !== undefined ? m.averages[c.type] : m.overall;
+        return sum + Math.abs((c.conversions || 0) - expected);
+      }, 0);
+      return round4(error / holdout.length);
+    };
+    const holdoutMAE = evaluateOn(model);
+    
+    return {
+      name: 'content',
+      status: 'trained',
+      model,
+      metric: { name: 'mae', value: holdoutMAE, higherIsBetter: false },
+      metrics: { mae: holdoutMAE, baselineMAE: evaluateOn({ averages: {}, overall: model.overall }) },
+      window: windowOf(content, 'timestamp'),
+      samples: { total: content.length, train: train.length, holdout: holdout.length },
+      features: ['content_type'],
+      championMetric: this.championMetric('content', evaluateOn)
+    };
   }
   
-  // Train lead scoring model
+  // Train lead scoring model: conversion classifier + touchpoint limits for sequences
   async trainLeadScoringModel() {
-    const conversions = this.learning.loadMetrics('conversions');
+    const examples = this.buildLeadExamples();
+    const scorer = this.trainLeadScorer(examples);
+    const touchpoints = this.trainTouchpoints();
+    
+    if (scorer.status !== 'trained' && !touchpoints) {
+      return { name: 'lead_scoring', status: 'insufficient_data', samples: scorer.samples };
+    }
+    
+    const model = {
+      type: 'lead_scoring',
+      ...(touchpoints || {}),
+      scorer: scorer.status === 'trained' ? scorer.model : null,
+      trainedAt: new Date().toISOString()
+    };
+    
+    // The champion's classifier on this run's validation leads
+    const validationAUC = scorer.status === 'trained' ? scorer.metrics.validation.auc : null;
+    const championMetric = this.championMetric('lead_scoring', m => (m.scorer ? this.leadScorer.evaluateModel(m.scorer, examples).auc : null));
     
-    if (conversions.length < 50) {
-      return { name: 'lead_scoring', status: 'insufficient_data', samples: conversions.length };
+    return {
+      name: 'lead_scoring',
+      status: 'trained',
+      model,
+      metric: { name: 'auc', value: validationAUC, higherIsBetter: true },
+      metrics: scorer.status === 'trained' ? scorer.metrics.validation : null,
+      window: windowOf(examples, 'at'),
+      samples: scorer.status === 'trained' ? scorer.samples : { total: examples.length },
+      features: scorer.status === 'trained' ? scorer.features : [],
+      championMetric
+    };
+  }
+  
+  // Logistic regression on labelled leads; served once the registry promotes it
+  trainLeadScorer(examples = this.buildLeadExamples()) {
+    const result = this.leadScorer.train(examples);
+    
+    if (result.status === 'trained') {
+      const v = result.metrics.validation;
+      console.log(`🎯 Lead scorer trained on ${result.samples.train} leads - validation AUC ${v.auc === null ? 'n/a' : v.auc}, log-loss ${v.logLoss} (baseline ${v.baselineLogLoss})`);
     }
     
+    return result;
+  }
+  
+  // Average touchpoints to a sale / without one, once there are enough conversions
+  trainTouchpoints() {
+    const conversions = this.learning.loadMetrics('conversions');
+    if (conversions.length < 50) return null;
+    
     // Analyze conversion factors
     const sales = conversions.filter(c => c.outcome === 'sale');
     const noSales = conversions.filter(c => c.outcome !== 'sale');
     
     // Average touchpoints to conversion
-    const avgTouchpointsToSale = sales.reduce((sum, c) => sum + (c.touchpoints || 0), 0) / sales.length;
-    const avgTouchpointsNoSale = noSales.reduce((sum, c) => sum + (c.touchpoints || 0), 0) / noSales.length;
+    const avgTouchpointsToSale = sales.reduce((sum, c) => sum + (c.touchpoints || 0), 0) / (sales.length || 1);
+    const avgTouchpointsNoSale = noSales.reduce((sum, c) => sum + (c.touchpoints || 0), 0) / (noSales.length || 1);
     
-    const model = {
-      type: 'lead_scoring',
+    return {
       optimalTouchpoints: Math.round(avgTouchpointsToSale),
-      stopTouchpoints: Math.round(avgTouchpointsNoSale * 1.5),
-      trainedAt: new Date().toISOString()
+      stopTouchpoints: Math.round(avgTouchpointsNoSale * 1.5)
     };
+  }
+  
+  // Leads with a known outcome: bought (1), or contacted over LABEL_WINDOW_DAYS ago / unsubscribed without buying (0)
+  // Features are taken as of when the lead was scored, the same view runOutreach has
+  buildLeadExamples(now = new Date()) {
+    const cutoff = new Date(now.getTime() - LABEL_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const buyers = new Set(this.learning.loadMetrics('conversions').filter(c => c.outcome === 'sale').map(c => c.leadId));
+    
+    const emailsByLead = {};
+    this.learning.loadMetrics('email_performance').forEach(e => {
+      (emailsByLead[e.leadId] || (emailsByLead[e.leadId] = [])).push(e);
+    });
     
-    return { name: 'lead_scoring', ...model };
+    return this.leads.list()
+      .map(lead => {
+        const converted = buyers.has(lead.id) || lead.history.some(h => h.state === 'customer');
+        const settled = lead.state === 'unsubscribed' || (lead.lastContactedAt && lead.lastContactedAt < cutoff);
+        if (!converted && !settled) return null;
+        
+        const scored = lead.history.find(h => h.state === 'scored' || h.state === 'contacted');
+        const asOf = scored ? scored.at : lead.createdAt;
+        return {
+          id: lead.id,
+          at: asOf,
+          label: converted ? 1 : 0,
+          features: LeadScorer.featurize(lead, {
+            emails: emailsByLead[lead.id] || [],
+            asOf,
+            aiScore: storedAIScore(lead.aiScore)
+          })
+        };
+      })
+      .filter(Boolean);
+  }
+  
+  // Trained scorer, or null until there is enough labelled data
+  getLeadScorer() {
+    return this.leadScorer.trained ? this.leadScorer : null;
   }
   
   // Helper: analyze patterns
@@ -188,96 +415,191 @@ class TrainingPipeline {
     const avgLength = features.reduce((sum, f) => sum + f.length, 0) / features.length;
     
     // Common words in converted
-    const wordCounts = {};
-    converted.forEach(f => {
-      f.subject.toLowerCase().split(' ').forEach(word => {
-        if (word.length > 2) {
-          wordCounts[word] = (wordCounts[word] || 0) + 1;
-        }
-      });
-    });
+    const wordCounts = countWords(converted);
     
     const sorted = Object.entries(wordCounts)
       .sort((a, b) => b[1] - a[1])
       .map(([word, count]) => ({ word, count }));
     
+    // Common in subjects that didn't convert, never in ones that did
+    const avoid = Object.entries(countWords(notConverted))
+      .filter(([word]) => !wordCounts[word])
+      .sort((a, b) => b[1] - a[1]);
+    
     return {
       avgLength: Math.round(avgLength),
       topWords: sorted.slice(0, 10).map(w => w.word),
-      avoidWords: sorted.slice(-5).map(w => w.word),
-      accuracy: converted.length / features.length
+      avoidWords: avoid.slice(0, 5).map(([word]) => word),
+      conversionRate: converted.length / features.length
     };
   }
   
-  // Save trained models
-  saveModels(models) {
-    const modelFile = path.join(this.modelDir, 'trained_models.json');
+  // Schedule, last runs, drift and alerts for the dashboard
+  status() {
+    return {
+      lastTraining: this.state.lastTraining || null,
+      nextScheduled: this.lastTraining ? new Date(this.lastTraining + this.trainingInterval).toISOString() : null,
+      newSamples: this.lastTraining ? this.countSamplesSince(this.state.lastTraining) : null,
+      minNewSamples: this.minNewSamples,
+      lastDriftCheck: this.state.lastDriftCheck || null,
+      runs: (this.state.runs || []).slice(-5),
+      alerts: (this.state.alerts || []).slice(-5)
+    };
+  }
+  
+  loadState() {
+    return readJSON(this.stateFile, {});
+  }
+  
+  saveState() {
+    writeJSON(this.stateFile, this.state);
+  }
+  
+  // ==================== MODEL REGISTRY ====================
+  
+  // Current champion scored on a candidate's holdout, null if there is none or it can't be
+  championMetric(name, evaluateOn) {
+    const champion = this.registry.champion(name);
+    if (!champion || !champion.model) return null;
     
-    let existing = {};
-    if (fs.existsSync(modelFile)) {
-      existing = JSON.parse(fs.readFileSync(modelFile));
+    const value = evaluateOn(champion.model);
+    return value === undefined || Number.isNaN(value) ? null : value;
+  }
+  
+  // Point the lead scorer (models/lead_scorer.json) at the lead_scoring champion
+  syncServedModels() {
+    const scoring = this.getModel('lead_scoring');
+    this.leadScorer.use(scoring && scoring.scorer ? scoring.scorer : null).save();
+    console.log('💾 Models saved');
+  }
+  
+  // Versions from the old models/trained_models.json become each model's first champion
+  importLegacyModels() {
+    const legacyFile = path.join(this.modelDir, 'trained_models.json');
+    if (this.registry.names().length || !fs.existsSync(legacyFile)) return;
+    
+    let legacy;
+    try {
+      legacy = readJSON(legacyFile, {});
+    } catch (e) {
+      console.log(`⚠️ Skipping legacy model import: ${e.message}`);
+      return;
     }
     
-    models.forEach(model => {
-      existing[model.name] = model;
+    Object.entries(legacy).forEach(([name, model]) => {
+      if (!model || model.status === 'insufficient_data') return;
+      const { scorer, ...rest } = model;
+      this.registry.register(name, {
+        model: name === 'lead_scoring' ? { ...rest, scorer: this.leadScorer.model } : rest,
+        metrics: { imported: true }
+      });
     });
-    
-    fs.writeFileSync(modelFile, JSON.stringify(existing, null, 2));
-    console.log('💾 Models saved');
+    console.log('📦 Imported trained_models.json into the model registry');
   }
   
-  // Load trained models
+  // Served models, keyed by name
   loadModels() {
-    const modelFile = path.join(this.modelDir, 'trained_models.json');
+    const names = this.registry.names();
+    if (!names.length) return null;
     
-    if (!fs.existsSync(modelFile)) {
-      return null;
-    }
-    
-    return JSON.parse(fs.readFileSync(modelFile));
+    return Object.fromEntries(names.map(name => [name, this.getModel(name)]).filter(([, model]) => model));
   }
   
-  // Get model for inference
+  // Get model for inference - the promoted version
   getModel(name) {
-    const models = this.loadModels();
-    return models ? models[name] : null;
+    const champion = this.registry.champion(name);
+    return champion ? { name, ...champion.model, version: champion.version, metric: champion.metric } : null;
+  }
+  
+  // Registry review + manual overrides; each change is served immediately
+  listModels() {
+    return this.registry.summary();
+  }
+  
+  promoteModel(name, version) {
+    const record = this.registry.promote(name, version);
+    this.syncServedModels();
+    return record;
+  }
+  
+  rollbackModel(name) {
+    const record = this.registry.rollback(name);
+    this.syncServedModels();
+    return record;
+  }
+  
+  pinModel(name, version = null) {
+    const champion = this.registry.pin(name, version);
+    this.syncServedModels();
+    return champion;
+  }
+  
+  unpinModel(name) {
+    this.registry.unpin(name);
   }
   
-  // A/B test runner
+  // A/B test runner - two-variant subject test in the experiments store
   async runABTest(testId, variantA, variantB) {
-    const test = {
-      id: testId,
-      variantA,
-      variantB,
-      started: new Date().toISOString(),
-      results: { a: 0, b: 0, aConversions: 0, bConversions: 0 }
-    };
-    
-    // Save test
-    const testFile = path.join(this.modelDir, 'ab_tests.json');
-    let tests = {};
-    if (fs.existsSync(testFile)) {
-      tests = JSON.parse(fs.readFileSync(testFile));
-    }
-    tests[testId] = test;
-    fs.writeFileSync(testFile, JSON.stringify(tests, null, 2));
-    
+    this.experiments.create({ id: testId, type: 'subject', variants: [variantA, variantB] });
     return { testId, status: 'running', variantA, variantB };
   }
   
-  // Record A/B test result
+  // Record A/B test result: one exposure for the variant, plus a conversion if it converted
   recordABResult(testId, variant, converted) {
-    const testFile = path.join(this.modelDir, 'ab_tests.json');
-    if (!fs.existsSync(testFile)) return;
-    
-    const tests = JSON.parse(fs.readFileSync(testFile));
-    if (tests[testId]) {
-      tests[testId].results[variant === 'A' ? 'aConversions' : 'bConversions']++;
-      tests[testId].results[variant === 'a' ? 'a' : 'b']++;
-      
-      fs.writeFileSync(testFile, JSON.stringify(tests, null, 2));
-    }
+    return this.experiments.recordResult(testId, String(variant).toUpperCase(), converted);
   }
 }
 
+// ==================== HELPERS ====================
+
+// Oldest records train, the newest HOLDOUT_SHARE are held out
+function splitByTime(records, field) {
+  const sorted = [...records].sort((a, b) => String(a[field] || '').localeCompare(String(b[field] || '')));
+  const cut = Math.max(1, Math.min(sorted.length - 1, Math.round(sorted.length * (1 - HOLDOUT_SHARE))));
+  return { train: sorted.slice(0, cut), holdout: sorted.slice(cut) };
+}
+
+// { from, to } of the records' timestamps
+function windowOf(records, field) {
+  const times = records.map(r => r[field]).filter(Boolean).sort();
+  return times.length ? { from: times[0], to: times[times.length - 1] } : null;
+}
+
+// Subject line model as a ranker: winning words up, losing words and off-length down
+function subjectScore(model, subject) {
+  const words = String(subject || '').toLowerCase().split(' ');
+  const hits = list => words.filter(w => (list || []).includes(w)).length;
+  return hits(model.bestPatterns) - hits(model.avoidPatterns) - Math.abs(String(subject || '').length - (model.bestLength || 0)) / 100;
+}
+
+// AI score kept by markScored: { ai: { score } } from scoreLead, or the bare analyzeLead result stored before
+function storedAIScore(aiScore) {
+  if (!aiScore) return null;
+  const source = aiScore.ai !== undefined ? aiScore.ai : aiScore;
+  return source && typeof source.score === 'number' ? source.score : null;
+}
+
+// Word -> number of subjects it appears in (words over 2 chars)
+function countWords(features) {
+  const counts = {};
+  features.forEach(f => {
+    new Set(f.subject.toLowerCase().split(' ').filter(word => word.length > 2)).forEach(word => {
+      counts[word] = (counts[word] || 0) + 1;
+    });
+  });
+  return counts;
+}
+
+function rate(records, predicate) {
+  return records.length ? records.filter(predicate).length / records.length : 0;
+}
+
+function round4(value) {
+  return Math.round(value * 1e4) / 1e4;
+}
+
+function formatMetric(metric) {
+  return metric && metric.value !== null && metric.value !== undefined ? `${metric.name} ${metric.value}` : 'no holdout metric';
+}
+
 module.exports = { TrainingPipeline };
@@ -0,0 +1,205 @@
+/**
+ * MODEL REGISTRY
+ * Every trained version of every model, with its data window, sample counts,
+ * holdout metrics and feature schema. One version per model is the champion
+ * and gets served; a new version only takes over if it beats the champion on
+ * the same holdout. Champions can be pinned (training keeps registering
+ * challengers but never promotes them) or rolled back.
+ *
+ * Index in models/registry.json, each version in models/registry/<name>/v<n>.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readJSON, writeJSON } = require('../storage');
+
+class ModelRegistry {
+  constructor(options = {}) {
+    this.modelDir = options.modelDir || path.join(__dirname, '../models');
+    this.indexFile = path.join(this.modelDir, 'registry.json');
+    this.versionDir = path.join(this.modelDir, 'registry');
+    this.ensureDirs();
+  }
+
+  ensureDirs() {
+    if (!fs.existsSync(this.versionDir)) {
+      fs.mkdirSync(this.versionDir, { recursive: true });
+    }
+  }
+
+  // ==================== REGISTRATION ====================
+
+  // candidate = { model, metric: { name, value, higherIsBetter }, metrics, window, samples, features }
+  // championMetric = the current champion scored on the candidate's holdout (null if it can't be)
+  register(name, candidate, { championMetric = null } = {}) {
+    const index = this.loadIndex();
+    const entry = index.models[name] || (index.models[name] = { champion: null, pinned: false, versions: [], history: [], previous: [] });
+    const version = entry.versions.length ? Math.max(...entry.versions.map(v => v.version)) + 1 : 1;
+
+    const record = {
+      name,
+      version,
+      id: `${name}@v${version}`,
+      trainedAt: new Date().toISOString(),
+      window: candidate.window || null,
+      samples: candidate.samples || null,
+      features: candidate.features || [],
+      metric: candidate.metric || null,
+      metrics: candidate.metrics || null,
+      championMetric,
+      promoted: false,
+      decision: null
+    };
+
+    const decision = this.decide(entry, record, championMetric);
+    record.decision = decision.reason;
+
+    this.writeVersion(name, version, { ...record, model: candidate.model });
+    entry.versions.push(record);
+    if (decision.promote) promote(entry, record, decision.reason);
+
+    this.saveIndex(index);
+    return record;
+  }
+
+  // Promotion rule - strictly better than the champion on the same holdout
+  decide(entry, record, championMetric) {
+    const champion = entry.versions.find(v => v.version === entry.champion);
+    if (!champion) return { promote: true, reason: 'first_version' };
+    if (entry.pinned) return { promote: false, reason: 'champion_pinned' };
+
+    const value = record.metric ? record.metric.value : null;
+    if (value === null || value === undefined) {
+      // Models without a holdout metric: newest data wins unless the champion has one
+      return champion.metric && champion.metric.value !== null && champion.metric.value !== undefined
+        ? { promote: false, reason: 'no_holdout_metric' }
+        : { promote: true, reason: 'unscored_refresh' };
+    }
+
+    if (championMetric === null || championMetric === undefined) return { promote: true, reason: 'champion_unscored' };
+
+    const better = record.metric.higherIsBetter === false ? value < championMetric : value > championMetric;
+    return better ? { promote: true, reason: 'beats_champion' } : { promote: false, reason: 'did_not_beat_champion' };
+  }
+
+  // ==================== CHAMPIONS ====================
+
+  // Served version of a model: { ...record, model } or null
+  champion(name) {
+    const entry = this.loadIndex().models[name];
+    return entry && entry.champion ? this.readVersion(name, entry.champion) : null;
+  }
+
+  version(name, version) {
+    return this.readVersion(name, Number(version));
+  }
+
+  // Make a version the champion by hand
+  promote(name, version, reason = 'manual') {
+    const index = this.loadIndex();
+    const entry = index.models[name];
+    const record = entry && entry.versions.find(v => v.version === Number(version));
+    if (!record) throw new Error(`Unknown model version: ${name}@v${version}`);
+
+    promote(entry, record, reason);
+    this.saveIndex(index);
+    return record;
+  }
+
+  // Back to the champion before the current one; repeated rollbacks keep going back
+  rollback(name) {
+    const index = this.loadIndex();
+    const entry = index.models[name];
+    if (!entry) throw new Error(`Unknown model: ${name}`);
+
+    const version = (entry.previous || []).pop();
+    const record = version && entry.versions.find(v => v.version === version);
+    if (!record) throw new Error(`${name} has no earlier champion to roll back to`);
+
+    promote(entry, record, 'rollback');
+    this.saveIndex(index);
+    return record;
+  }
+
+  // Pin a version (default: the current champion) - training stops promoting until unpinned
+  pin(name, version = null) {
+    const index = this.loadIndex();
+    const entry = index.models[name];
+    if (!entry) throw new Error(`Unknown model: ${name}`);
+
+    if (version !== null && Number(version) !== entry.champion) {
+      const record = entry.versions.find(v => v.version === Number(version));
+      if (!record) throw new Error(`Unknown model version: ${name}@v${version}`);
+      promote(entry, record, 'pinned');
+    }
+
+    entry.pinned = true;
+    this.saveIndex(index);
+    return entry.champion;
+  }
+
+  unpin(name) {
+    const index = this.loadIndex();
+    if (!index.models[name]) throw new Error(`Unknown model: ${name}`);
+    index.models[name].pinned = false;
+    this.saveIndex(index);
+  }
+
+  // ==================== REVIEW ====================
+
+  names() {
+    return Object.keys(this.loadIndex().models);
+  }
+
+  // Champion, pin and the most recent versions per model (no artifacts)
+  summary({ versions = 5 } = {}) {
+    return Object.entries(this.loadIndex().models).map(([name, entry]) => ({
+      name,
+      champion: entry.champion,
+      pinned: entry.pinned,
+      versions: entry.versions.slice(-versions).reverse().map(v => ({
+        version: v.version,
+        trainedAt: v.trainedAt,
+        metric: v.metric,
+        championMetric: v.championMetric,
+        samples: v.samples,
+        window: v.window,
+        promoted: v.promoted,
+        decision: v.decision
+      })),
+      history: entry.history.slice(-10)
+    }));
+  }
+
+  // ==================== STORAGE ====================
+
+  loadIndex() {
+    return readJSON(this.indexFile, { models: {} });
+  }
+
+  saveIndex(index) {
+    writeJSON(this.indexFile, index);
+  }
+
+  writeVersion(name, version, data) {
+    const dir = path.join(this.versionDir, name);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    writeJSON(path.join(dir, `v${version}.json`), data);
+  }
+
+  readVersion(name, version) {
+    const file = path.join(this.versionDir, name, `v${version}.json`);
+    return readJSON(file, null);
+  }
+}
+
+// Champions that are replaced go on the rollback stack (a rollback itself pops instead)
+function promote(entry, record, reason) {
+  if (!entry.previous) entry.previous = [];
+  if (reason !== 'rollback' && entry.champion && entry.champion !== record.version) entry.previous.push(entry.champion);
+  entry.versions.forEach(v => { v.promoted = v.version === record.version; });
+  entry.champion = record.version;
+  entry.history.push({ version: record.version, at: new Date().toISOString(), reason });
+}
+
+module.exports = { ModelRegistry };